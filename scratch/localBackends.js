@@ -0,0 +1,393 @@
+/**
+ * Storage backends for running the upload worker outside Cloudflare (Node only).
+ * They implement the same interface as GitHubBackend in worker.js:
+ *
+ *   LocalGitBackend  commits each submission to an upload-… branch of a local
+ *                    git repository without touching its working tree; review
+ *                    and merge it like a PR branch. A branch renamed to
+ *                    rejected/upload-… counts as rejected; the admin page's
+ *                    reason is kept as a git note (refs/notes/uploads).
+ *   InboxBackend     writes each submission to its own folder in an inbox
+ *                    directory, with a submission.json describing it. It counts
+ *                    as merged once its files are in the site folder, and as
+ *                    rejected when submission.json has a "rejected" entry.
+ *                    Approving it on the admin page copies the files there.
+ *
+ * Neither has issues, so problem reports are written to a folder of their own
+ * in the inbox directory, as report.json.
+ *
+ * Both are used by scratch/server.js.
+ */
+
+import { spawn } from "node:child_process";
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { recordsHash } from "./worker.js";
+
+/** `root/rel`, refusing anything that would end up outside root. */
+function resolveInside(root, rel) {
+  const base = path.resolve(root);
+  const full = path.resolve(base, rel);
+  if (!full.startsWith(base + path.sep)) throw new Error(`Refusing to write outside ${base}: ${rel}`);
+  return full;
+}
+
+/** Run git in `cwd`; resolves with stdout (a Buffer with `raw`), rejects with stderr. */
+function git(cwd, args, { input, env, raw = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("git", args, { cwd, env: { ...process.env, ...env } });
+    const out = [];
+    const err = [];
+    child.stdout.on("data", (d) => out.push(d));
+    child.stderr.on("data", (d) => err.push(d));
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) resolve(raw ? Buffer.concat(out) : Buffer.concat(out).toString("utf8").trim());
+      else reject(new Error(`git ${args[0]} failed: ${Buffer.concat(err).toString("utf8").trim()}`));
+    });
+    child.stdin.end(input);
+  });
+}
+
+const sha256 = (bytes) => createHash("sha256").update(bytes).digest("hex");
+
+/** Save a problem report as <inboxDir>/<id>/report.json. */
+function writeReport(inboxDir, { id, title, body, labels }) {
+  const dir = resolveInside(inboxDir, id);
+  fs.mkdirSync(dir, { recursive: true });
+  const record = { id, title, body, labels, createdAt: new Date().toISOString() };
+  fs.writeFileSync(path.join(dir, "report.json"), JSON.stringify(record, null, 2) + "\n", { flag: "wx" });
+  return { url: null };
+}
+
+export class LocalGitBackend {
+  /**
+   * @param {{ repoDir: string, inboxDir?: string, base?: string, author?: { name: string, email: string } }} options
+   *   inboxDir receives problem reports (default: <repoDir>/.upload-inbox)
+   */
+  constructor({ repoDir, inboxDir = path.join(repoDir, ".upload-inbox"), base = "main", author = { name: "Upload Worker", email: "uploads@localhost" } }) {
+    this.repoDir = repoDir;
+    this.inboxDir = inboxDir;
+    this.base = base;
+    this.identity = {
+      GIT_AUTHOR_NAME: author.name,
+      GIT_AUTHOR_EMAIL: author.email,
+      GIT_COMMITTER_NAME: author.name,
+      GIT_COMMITTER_EMAIL: author.email,
+    };
+  }
+
+  async exists(filePath) {
+    try {
+      await git(this.repoDir, ["cat-file", "-e", `${this.base}:${filePath}`]);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /** upload-… branches not merged into the base branch whose commit message records the hash. */
+  async findPending(hash) {
+    const refs = (await git(this.repoDir, ["for-each-ref", "--format=%(refname:short)", "refs/heads/upload-*"]))
+      .split("\n")
+      .filter(Boolean);
+    const pending = [];
+    for (const ref of refs) {
+      const merged = await git(this.repoDir, ["merge-base", "--is-ancestor", ref, this.base]).then(() => true, () => false);
+      if (merged) continue;
+      const message = await git(this.repoDir, ["log", "-1", "--format=%B", ref]);
+      if (recordsHash(message, hash)) pending.push({ title: message.split("\n")[0], url: null, branch: ref });
+    }
+    return pending;
+  }
+
+  // Same shape as the GitHub flow: blobs -> one tree on top of the base branch -> one commit -> new branch.
+  // A throwaway index keeps the repository's own index and working tree untouched.
+  async submit({ branchName, title, body, files }) {
+    const index = path.join(os.tmpdir(), `upload-index-${process.pid}-${Date.now()}`);
+    const env = { ...this.identity, GIT_INDEX_FILE: index };
+    try {
+      const baseSha = await git(this.repoDir, ["rev-parse", "--verify", `${this.base}^{commit}`]);
+      await git(this.repoDir, ["read-tree", baseSha], { env });
+      for (const file of files) {
+        const sha = await git(this.repoDir, ["hash-object", "-w", "--stdin"], { input: Buffer.from(file.bytes) });
+        await git(this.repoDir, ["update-index", "--add", "--cacheinfo", `100644,${sha},${file.path}`], { env });
+      }
+      const tree = await git(this.repoDir, ["write-tree"], { env });
+      // The Upload-Id trailer finds the commit again once the branch is merged and deleted
+      const message = `${title}\n\n${body}\nUpload-Id: ${branchName}\n`;
+      const commit = await git(this.repoDir, ["commit-tree", tree, "-p", baseSha, "-F", "-"], { env, input: message });
+      // An empty old value makes update-ref fail if the branch already exists
+      await git(this.repoDir, ["update-ref", `refs/heads/${branchName}`, commit, ""]);
+      return { url: null, branch: branchName };
+    } finally {
+      fs.rmSync(index, { force: true });
+    }
+  }
+
+  async revParse(ref) {
+    return git(this.repoDir, ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]).catch(() => null);
+  }
+
+  /**
+   * Files a submission adds, from the first to the last commit reachable from
+   * `ref` with its Upload-Id trailer (a reviewed submission has several).
+   */
+  async changedFiles(ref, id) {
+    const commits = (await git(this.repoDir, ["log", ref, "--format=%H", "--fixed-strings", `--grep=Upload-Id: ${id}`]))
+      .split("\n")
+      .filter(Boolean);
+    if (!commits.length) return [];
+    const out = await git(this.repoDir, ["diff", "-z", "--name-only", "--no-renames", "--diff-filter=AM", `${commits[commits.length - 1]}^1`, commits[0]]);
+    return out.split("\0").filter(Boolean);
+  }
+
+  async status(id) {
+    const commit = await this.revParse(`refs/heads/${id}`);
+    if (commit) {
+      const merged = await git(this.repoDir, ["merge-base", "--is-ancestor", commit, this.base]).then(() => true, () => false);
+      return { state: merged ? "merged" : "pending", url: null, files: await this.changedFiles(commit, id) };
+    }
+    const rejected = await this.revParse(`refs/heads/rejected/${id}`);
+    if (rejected) {
+      const reason = await git(this.repoDir, ["notes", "--ref=uploads", "show", rejected]).catch(() => null);
+      return { state: "rejected", url: null, files: await this.changedFiles(rejected, id), reason };
+    }
+
+    // Merged and deleted
+    const files = await this.changedFiles(this.base, id);
+    if (files.length) return { state: "merged", url: null, files };
+    return null;
+  }
+
+  async readFile(filePath) {
+    return git(this.repoDir, ["show", `${this.base}:${filePath}`]).catch(() => null);
+  }
+
+  async openIssue(issue) {
+    return writeReport(this.inboxDir, issue);
+  }
+
+  async listPending() {
+    const refs = (await git(this.repoDir, ["for-each-ref", "--format=%(refname:short)", "refs/heads/upload-*", "refs/heads/edit-*"]))
+      .split("\n")
+      .filter(Boolean);
+    const pending = [];
+    for (const ref of refs) {
+      const merged = await git(this.repoDir, ["merge-base", "--is-ancestor", ref, this.base]).then(() => true, () => false);
+      if (merged) continue;
+      // The first commit of the submission carries its title and body
+      const first = (await git(this.repoDir, ["log", ref, "--reverse", "--format=%H", "--fixed-strings", `--grep=Upload-Id: ${ref}`])).split("\n")[0];
+      const [title, createdAt, ...body] = (await git(this.repoDir, ["log", "-1", "--format=%s%n%cI%n%b", first || ref])).split("\n");
+      pending.push({
+        id: ref,
+        title,
+        body: body.filter((line) => !line.startsWith("Upload-Id:")).join("\n").trim(),
+        createdAt,
+        url: null,
+        files: await this.changedFiles(ref, ref),
+      });
+    }
+    return pending;
+  }
+
+  async readSubmissionFile(id, filePath) {
+    return git(this.repoDir, ["cat-file", "blob", `refs/heads/${id}:${filePath}`], { raw: true }).catch(() => null);
+  }
+
+  // Another commit on the branch, built with a throwaway index like submit()
+  async revise(id, { message, files, remove }) {
+    const index = path.join(os.tmpdir(), `upload-index-${process.pid}-${Date.now()}`);
+    const env = { ...this.identity, GIT_INDEX_FILE: index };
+    try {
+      const head = await git(this.repoDir, ["rev-parse", "--verify", `refs/heads/${id}^{commit}`]);
+      await git(this.repoDir, ["read-tree", head], { env });
+      for (const filePath of remove) {
+        await git(this.repoDir, ["update-index", "--force-remove", filePath], { env });
+      }
+      for (const file of files) {
+        const sha = await git(this.repoDir, ["hash-object", "-w", "--stdin"], { input: Buffer.from(file.bytes) });
+        await git(this.repoDir, ["update-index", "--add", "--cacheinfo", `100644,${sha},${file.path}`], { env });
+      }
+      const tree = await git(this.repoDir, ["write-tree"], { env });
+      const commit = await git(this.repoDir, ["commit-tree", tree, "-p", head, "-F", "-"], { env, input: `${message}\n\nUpload-Id: ${id}\n` });
+      await git(this.repoDir, ["update-ref", `refs/heads/${id}`, commit, head]);
+    } finally {
+      fs.rmSync(index, { force: true });
+    }
+  }
+
+  async merge(id, { message }) {
+    const branch = await this.revParse(`refs/heads/${id}`);
+    if (!branch) throw new Error(`No branch ${id}.`);
+    const head = await git(this.repoDir, ["symbolic-ref", "--quiet", "HEAD"]).catch(() => "");
+    if (head === `refs/heads/${this.base}`) {
+      // The base branch is checked out here, so merge in the working tree to keep it in step
+      await git(this.repoDir, ["merge", "--no-ff", "-m", message, branch], { env: this.identity }).catch(async (error) => {
+        await git(this.repoDir, ["merge", "--abort"]).catch(() => {});
+        throw error;
+      });
+    } else {
+      const baseSha = await git(this.repoDir, ["rev-parse", "--verify", `${this.base}^{commit}`]);
+      // Fails (and leaves everything as it was) when the branch conflicts with the base
+      const tree = (await git(this.repoDir, ["merge-tree", "--write-tree", baseSha, branch])).split("\n")[0];
+      const commit = await git(this.repoDir, ["commit-tree", tree, "-p", baseSha, "-p", branch, "-F", "-"], { env: this.identity, input: `${message}\n` });
+      await git(this.repoDir, ["update-ref", `refs/heads/${this.base}`, commit, baseSha]);
+    }
+    await git(this.repoDir, ["branch", "-D", id]);
+  }
+
+  async reject(id, reason) {
+    const branch = await this.revParse(`refs/heads/${id}`);
+    if (!branch) throw new Error(`No branch ${id}.`);
+    await git(this.repoDir, ["notes", "--ref=uploads", "add", "-f", "-m", reason, branch], { env: this.identity });
+    await git(this.repoDir, ["branch", "-m", id, `rejected/${id}`]);
+  }
+}
+
+export class InboxBackend {
+  /**
+   * @param {{ inboxDir: string, siteDir: string }} options
+   *   siteDir is the published site (the repository checkout), checked for existing files
+   */
+  constructor({ inboxDir, siteDir }) {
+    this.inboxDir = inboxDir;
+    this.siteDir = siteDir;
+  }
+
+  async exists(filePath) {
+    return fs.existsSync(resolveInside(this.siteDir, filePath));
+  }
+
+  submissions() {
+    if (!fs.existsSync(this.inboxDir)) return [];
+    return fs.readdirSync(this.inboxDir, { withFileTypes: true })
+      .filter((d) => d.isDirectory())
+      .map((d) => path.join(this.inboxDir, d.name, "submission.json"))
+      .filter((file) => fs.existsSync(file))
+      .map((file) => ({ dir: path.dirname(file), ...JSON.parse(fs.readFileSync(file, "utf8")) }));
+  }
+
+  /** Merged once every file is in the site folder with the submitted content. */
+  isMerged(record) {
+    return record.files.every((f) => {
+      const full = resolveInside(this.siteDir, f.path);
+      return fs.existsSync(full) && sha256(fs.readFileSync(full)) === f.sha256;
+    });
+  }
+
+  async findPending(hash) {
+    return this.submissions()
+      .filter((s) => !s.rejected && !this.isMerged(s))
+      .filter((s) => recordsHash(s.body, hash))
+      .map((s) => ({ title: `${s.title} (inbox: ${path.basename(s.dir)})`, url: null }));
+  }
+
+  async submit({ branchName, title, body, files }) {
+    fs.mkdirSync(this.inboxDir, { recursive: true });
+    const dir = resolveInside(this.inboxDir, branchName);
+    fs.mkdirSync(dir); // throws if this submission already exists
+    for (const file of files) {
+      const target = resolveInside(dir, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, Buffer.from(file.bytes));
+    }
+    const record = {
+      branchName,
+      title,
+      body,
+      createdAt: new Date().toISOString(),
+      files: files.map((f) => ({ path: f.path, sha256: f.sha256, size: f.bytes.byteLength })),
+    };
+    fs.writeFileSync(path.join(dir, "submission.json"), JSON.stringify(record, null, 2) + "\n");
+    return { url: pathToFileURL(dir).href };
+  }
+
+  async status(id) {
+    const file = path.join(resolveInside(this.inboxDir, id), "submission.json");
+    if (!fs.existsSync(file)) return null;
+    const record = JSON.parse(fs.readFileSync(file, "utf8"));
+    const files = record.files.map((f) => f.path);
+    if (record.rejected) return { state: "rejected", url: null, files, reason: record.rejected.reason || null };
+    return { state: this.isMerged(record) ? "merged" : "pending", url: null, files };
+  }
+
+  async readFile(filePath) {
+    const full = resolveInside(this.siteDir, filePath);
+    return fs.existsSync(full) ? fs.readFileSync(full, "utf8") : null;
+  }
+
+  async openIssue(issue) {
+    return writeReport(this.inboxDir, issue);
+  }
+
+  async listPending() {
+    return this.submissions()
+      .filter((s) => !s.rejected && !this.isMerged(s))
+      .map((s) => ({
+        id: path.basename(s.dir),
+        title: s.title,
+        body: s.body,
+        createdAt: s.createdAt,
+        url: null,
+        files: s.files.map((f) => f.path),
+      }));
+  }
+
+  /** The submission's record, for the admin methods; refuses anything that isn't pending. */
+  pendingRecord(id) {
+    const dir = resolveInside(this.inboxDir, id);
+    const file = path.join(dir, "submission.json");
+    const record = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+    if (!record || record.rejected || this.isMerged(record)) throw new Error(`${id} isn't waiting for review.`);
+    return {
+      dir,
+      record,
+      save: () => fs.writeFileSync(file, JSON.stringify(record, null, 2) + "\n"),
+    };
+  }
+
+  async readSubmissionFile(id, filePath) {
+    const dir = resolveInside(this.inboxDir, id);
+    const full = resolveInside(dir, filePath);
+    return fs.existsSync(full) ? fs.readFileSync(full) : null;
+  }
+
+  async revise(id, { message, files, remove }) {
+    const { dir, record, save } = this.pendingRecord(id);
+    for (const file of files) {
+      const target = resolveInside(dir, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, Buffer.from(file.bytes));
+    }
+    remove.forEach((filePath) => fs.rmSync(resolveInside(dir, filePath), { force: true }));
+    const replaced = new Set([...remove, ...files.map((f) => f.path)]);
+    record.files = [
+      ...record.files.filter((f) => !replaced.has(f.path)),
+      ...files.map((f) => ({ path: f.path, sha256: f.sha256, size: f.bytes.byteLength })),
+    ];
+    record.revisions = [...(record.revisions || []), { message, at: new Date().toISOString() }];
+    save();
+  }
+
+  // Publishing an inbox submission is copying its files into the site folder
+  async merge(id, { message }) {
+    const { dir, record, save } = this.pendingRecord(id);
+    for (const file of record.files) {
+      const target = resolveInside(this.siteDir, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(resolveInside(dir, file.path), target);
+    }
+    record.merged = { message, at: new Date().toISOString() };
+    save();
+  }
+
+  async reject(id, reason) {
+    const { record, save } = this.pendingRecord(id);
+    record.rejected = { reason, at: new Date().toISOString() };
+    save();
+  }
+}
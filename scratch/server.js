@@ -0,0 +1,137 @@
+/**
+ * Run the upload worker locally, together with the site, so the whole upload
+ * flow works without Cloudflare or a GitHub token.
+ *
+ *   node scratch/server.js [--backend inbox|git|github] [--port 8787]
+ *                          [--repo <dir>] [--inbox <dir>] [--no-rate-limit]
+ *                          [--admin-token <token>]
+ *
+ *   --backend inbox   (default) each upload becomes a folder in --inbox
+ *                     (default: <repo>/.upload-inbox)
+ *   --backend git     each upload becomes an upload-… branch in --repo
+ *                     (problem reports still go to --inbox)
+ *   --backend github  the real thing; needs GITHUB_TOKEN (and optionally GITHUB_REPO)
+ *
+ * The site is served from --repo (default: this checkout) and the worker under
+ * /worker. Open the form as upload.html?worker=http://localhost:8787/worker.
+ *
+ * The review page (admin.html) needs an admin token: --admin-token, else
+ * ADMIN_TOKEN from the environment, else a random one printed at startup.
+ */
+
+import { randomBytes } from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { fileURLToPath } from "node:url";
+import { createUploadHandler, GitHubBackend, MemoryRateLimitStore } from "./worker.js";
+import { InboxBackend, LocalGitBackend } from "./localBackends.js";
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = args.indexOf(name);
+  if (i < 0) return fallback;
+  if (!args[i + 1] || args[i + 1].startsWith("--")) {
+    console.error(`${name} needs a value`);
+    process.exit(1);
+  }
+  return args[i + 1];
+};
+
+const repoDir = path.resolve(option("--repo", path.join(path.dirname(fileURLToPath(import.meta.url)), "..")));
+const port = Number(option("--port", "8787"));
+const backendName = option("--backend", "inbox");
+
+const inboxDir = path.resolve(option("--inbox", path.join(repoDir, ".upload-inbox")));
+
+let backend;
+if (backendName === "inbox") {
+  backend = new InboxBackend({ inboxDir, siteDir: repoDir });
+} else if (backendName === "git") {
+  backend = new LocalGitBackend({ repoDir, inboxDir });
+} else if (backendName === "github") {
+  if (!process.env.GITHUB_TOKEN) {
+    console.error("--backend github needs GITHUB_TOKEN in the environment");
+    process.exit(1);
+  }
+  backend = new GitHubBackend({ token: process.env.GITHUB_TOKEN, repo: process.env.GITHUB_REPO || "harshX091/Exam_Papers" });
+} else {
+  console.error(`Unknown backend "${backendName}" (expected inbox, git or github)`);
+  process.exit(1);
+}
+
+const adminToken = option("--admin-token", process.env.ADMIN_TOKEN || randomBytes(18).toString("base64url"));
+
+const handle = createUploadHandler({
+  backend,
+  rateLimitStore: args.includes("--no-rate-limit") ? null : new MemoryRateLimitStore(),
+  adminToken,
+});
+
+// ── Static site ──────────────────────────────────────────────────────────────
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".webmanifest": "application/manifest+json",
+};
+
+function serveStatic(req, res) {
+  const rel = decodeURIComponent(new URL(req.url, "http://localhost").pathname).replace(/^\/+/, "");
+  // No dotfiles (.git, .cache, the inbox) and nothing outside the site
+  if (rel.split("/").some((part) => part.startsWith("."))) return send(res, 404, "Not found");
+  let file = path.resolve(repoDir, rel);
+  if (file !== repoDir && !file.startsWith(repoDir + path.sep)) return send(res, 404, "Not found");
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, "index.html");
+  if (!fs.existsSync(file)) return send(res, 404, "Not found");
+
+  res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream" });
+  if (req.method === "HEAD") return res.end();
+  fs.createReadStream(file).pipe(res);
+}
+
+function send(res, status, text) {
+  res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
+  res.end(text);
+}
+
+// ── Worker ───────────────────────────────────────────────────────────────────
+// Node request -> fetch Request -> handler -> Node response
+
+async function serveWorker(req, res) {
+  const url = new URL(req.url.slice("/worker".length) || "/", `http://${req.headers.host || "localhost"}`);
+  const request = new Request(url, {
+    method: req.method,
+    headers: { ...req.headers, "cf-connecting-ip": req.socket.remoteAddress || "local" },
+    body: req.method === "GET" || req.method === "HEAD" ? undefined : Readable.toWeb(req),
+    duplex: "half",
+  });
+  const response = await handle(request);
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+http.createServer((req, res) => {
+  if (req.url === "/worker" || req.url.startsWith("/worker/") || req.url.startsWith("/worker?")) {
+    serveWorker(req, res).catch((err) => {
+      console.error(err);
+      if (!res.headersSent) send(res, 500, err.message);
+      else res.end();
+    });
+    return;
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") return send(res, 405, "Method Not Allowed");
+  serveStatic(req, res);
+}).listen(port, () => {
+  console.log(`Site and upload worker (${backendName} backend) on http://localhost:${port}`);
+  console.log(`Upload form: http://localhost:${port}/upload.html?worker=http://localhost:${port}/worker`);
+  console.log(`Review page: http://localhost:${port}/admin.html?worker=http://localhost:${port}/worker (admin token: ${adminToken})`);
+});
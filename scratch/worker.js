@@ -1,150 +1,1244 @@
 /**
  * Cloudflare Worker: GitHub Upload Proxy
  * Handles multipart/form-data uploads and commits them to GitHub via Pull Requests.
- * Supports updating existing files by automatically fetching their SHA.
+ * One request can carry several PDFs; they land in a single commit, branch and PR.
+ *
+ * The client only sends structured fields (semester, subject, course, and per file
+ * category / exam type / year / unit, plus optional details that become a
+ * Name.pdf.json sidecar). The worker checks them against the site's
+ * taxonomy and builds the target paths, branch name, commit message and PR body
+ * itself, so a request can't write outside pdfs/, replace an existing file or put
+ * its own Markdown into a PR.
+ *
+ * GET /pending?sha256=<hex> lists open upload PRs that contain a file with that
+ * content hash, so the upload form can warn before a document is sent twice.
+ * Every PR this worker opens records its file's hash in the body for that reason.
+ *
+ * GET /status?id=<upload id> tells the uploader where a submission stands:
+ * pending (waiting for review), merged (accepted, site data not rebuilt yet),
+ * published (listed in data/hashes.json on main) or rejected (closed unmerged).
+ * The upload id is the branch name returned by the upload.
+ *
+ * POST /report takes a problem report or a suggested correction for a file that
+ * is already on the site (the "Report" button on pdfs.html). A correction becomes
+ * a PR that writes the file's sidecar; anything else becomes an issue.
+ *
+ * The endpoint is public, so uploads, reports and lookups are rate limited per IP
+ * and overall (429 with Retry-After), and uploads and reports can require a
+ * challenge token (Cloudflare Turnstile when TURNSTILE_SECRET is set).
+ *
+ * /admin/… serves the review page (admin.html) to maintainers holding ADMIN_TOKEN:
+ * list pending submissions, preview them, fix details or names, approve or reject.
+ *
+ * Bindings: GITHUB_TOKEN (secret), optional GITHUB_REPO (defaults to
+ * harshX091/Exam_Papers), optional TURNSTILE_SECRET (secret), optional
+ * ADMIN_TOKEN (secret; without it the admin endpoints are off) and optional
+ * RATE_LIMITS (KV namespace; without it limits are kept per isolate).
+ *
+ * The GitHub steps sit behind a small backend interface (see "Storage backends"),
+ * so scratch/server.js can run the same handler in Node against a local git
+ * repository or an inbox folder.
+ *
+ * The taxonomy (subjects, course types, ...) comes from scripts/taxonomy.js and
+ * the filename grammar and notes file name rule from scripts/filenames.js;
+ * wrangler bundles both in on deploy.
  */
 
-export default {
-  async fetch(request, env) {
+import {
+  SEMESTERS, COMMON_SUBJECTS, GENERAL_SUBJECTS, UNIT_SUBJECTS, COURSE_TYPES, CATEGORIES, EXAM_TYPES, UNIT_DESIGNATIONS, UNITS,
+} from "../scripts/taxonomy.js";
+import {
+  buildPaperFilename, cleanNoteFilename, isNoteFilename, COURSE_CODE_RE, YEAR_RE,
+} from "../scripts/filenames.js";
+
+// Hidden marker in upload PR bodies: <!-- upload-sha256: <hex> -->
+const HASH_MARKER = /<!-- upload-sha256: ([0-9a-f]{64}) -->/g;
+// Hidden marker on the comment that gives a rejected PR's reason
+const REJECTED_MARKER = "<!-- upload-rejected -->";
+
+// ── Upload taxonomy ──────────────────────────────────────────────────────────
+// The lists are imported from scripts/taxonomy.js; these are derived from them.
+const SEMESTER_FOLDERS = SEMESTERS.map((n) => `Sem_${n}`);
+const UNIT_TYPES = [...UNIT_DESIGNATIONS, ...UNIT_SUBJECTS];
+// "Major_1_-_Unit_1", "Unit_1" or "Major_1"; older folders carry the unit's title too (..._Thermodynamics)
+const UNIT_FOLDER_RE = new RegExp(
+  `^(?:(${UNIT_DESIGNATIONS.map((d) => d.replace(/\s+/g, "_")).join("|")})(?:_-_)?)?(?:Unit_(\\d{1,2}))?(?:_.+)?$`,
+);
+
+const MAX_FILE_BYTES = 50 * 1024 * 1024; // same limit as the upload form
+
+const squash = (s) => String(s || "").toLowerCase().replace(/[\s_]+/g, "");
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*", ...headers },
+  });
+}
+
+/** An upload problem that is the client's fault; `status` is the HTTP status to answer with. */
+class UploadError extends Error {
+  constructor(status, problems) {
+    super(problems.join(" "));
+    this.status = status;
+    this.problems = problems;
+  }
+}
+
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Base64 in chunks, so large PDFs don't overflow the stack or hit the CPU limit. */
+function toBase64(arrayBuffer) {
+  const uint8Array = new Uint8Array(arrayBuffer);
+  let binaryString = "";
+  const chunkSize = 65536;
+  for (let i = 0; i < uint8Array.length; i += chunkSize) {
+    binaryString += String.fromCharCode.apply(null, uint8Array.subarray(i, i + chunkSize));
+  }
+  return btoa(binaryString);
+}
+
+// Sanitize every path segment to avoid spaces/special chars that break URLs (as upload.js does).
+function sanitizeSegment(s) {
+  return String(s)
+    .replace(/[^a-zA-Z0-9_.\-]/g, "_")
+    .replace(/_+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Subject folders are title-cased words, as the upload form has always made them (English_Aec, Sec)
+function subjectFolderName(subject) {
+  return subject.replace(/_/g, " ")
+    .replace(/\w\S*/g, (txt) => txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase())
+    .replace(/\s+/g, "_");
+}
+
+/**
+ * Check the shared fields of an upload and work out its folders.
+ * @returns {{ semesterKey: string, subject: string, subjectFolder: string, courseFolder: string,
+ *             coreSubject: string, courseCode: string }}
+ */
+export function readSharedFields(formData) {
+  const get = (name) => String(formData.get(name) || "").trim();
+  const problems = [];
+
+  const semester = get("semester");
+  if (!SEMESTERS.map(String).includes(semester)) problems.push(`Semester must be one of ${SEMESTERS.join(", ")}.`);
+
+  const subject = COMMON_SUBJECTS.find((s) => squash(s) === squash(get("subject")));
+  if (!subject) problems.push("Unknown subject.");
+
+  const courseCode = get("courseCode").toUpperCase();
+  if (!COURSE_CODE_RE.test(courseCode)) {
+    problems.push("Course code must be a 3-digit number, optionally followed by A (e.g. 101 or 101A).");
+  }
+
+  // Course type folder: General for English AEC, the core subject for SEC/IKS/VAC,
+  // otherwise Major/Minor/Multi
+  let courseFolder = "";
+  let coreSubject = "";
+  if (subject && UNIT_SUBJECTS.includes(subject)) {
+    coreSubject = COMMON_SUBJECTS.find((s) => !GENERAL_SUBJECTS.includes(s) && squash(s) === squash(get("coreSubject"))) || "";
+    if (!coreSubject) problems.push(`${subject} uploads need a core subject.`);
+    courseFolder = coreSubject;
+  } else if (subject && GENERAL_SUBJECTS.includes(subject)) {
+    courseFolder = "General";
+  } else if (subject) {
+    courseFolder = COURSE_TYPES.find((t) => t === get("courseType")) || "";
+    if (!courseFolder) problems.push(`Course type must be one of ${COURSE_TYPES.join(", ")}.`);
+  }
+
+  if (problems.length) throw new UploadError(400, problems);
+
+  return {
+    semesterKey: `Sem_${semester}`,
+    subject: subject.replace(/_/g, " "),
+    subjectFolder: subjectFolderName(subject),
+    courseFolder,
+    coreSubject: coreSubject.replace(/_/g, " "),
+    courseCode,
+  };
+}
+
+/**
+ * Check one file's fields and build its path:
+ * pdfs/{Sem_N}/{Subject}/{CourseType | CoreSubject}/[{SEC|IKS|VAC}]/{Category}/[{ExamType | UnitFolder}]/file.pdf
+ */
+export function buildTargetPath(shared, file, fields) {
+  const problems = [];
+  const name = file && typeof file.name === "string" ? file.name : "";
+  const label = name || "A file";
+
+  const category = CATEGORIES.find((c) => c === fields.category);
+  if (!category) problems.push(`${label}: type must be one of ${CATEGORIES.join(", ")}.`);
+
+  let examType = "";
+  let year = "";
+  let unitName = "";
+  let unitType = "";
+  if (category === "Papers") {
+    examType = EXAM_TYPES.find((t) => t === fields.examType) || "";
+    if (!examType) problems.push(`${label}: exam type must be ${EXAM_TYPES.join(" or ")}.`);
+    year = fields.year;
+    if (year && !YEAR_RE.test(year)) problems.push(`${label}: year must be a 4-digit year.`);
+  } else if (category === "Notes") {
+    unitName = fields.unitName;
+    if (unitName && !UNITS.map(String).includes(unitName)) problems.push(`${label}: unit must be one of ${UNITS.join(", ")}.`);
+    unitType = fields.unitType ? UNIT_TYPES.find((t) => t === fields.unitType) || null : "";
+    if (unitType === null) problems.push(`${label}: unknown unit designation.`);
+  }
+
+  // Notes keep the uploader's file name (made safe); papers and syllabi follow the filename grammar
+  let fileName;
+  if (category === "Notes") {
+    fileName = cleanNoteFilename(name);
+    if (!isNoteFilename(fileName)) problems.push(`${label}: the file name must end in .pdf and can't start with a dot.`);
+  } else {
+    fileName = buildPaperFilename({
+      subject: shared.subject, coreSubject: shared.coreSubject, courseCode: shared.courseCode, examType, year, category,
+    });
+  }
+
+  if (problems.length) throw new UploadError(400, problems);
+
+  const pathParts = ["pdfs", shared.semesterKey, sanitizeSegment(shared.subjectFolder), sanitizeSegment(shared.courseFolder)];
+  const isGeneralUnitType = UNIT_SUBJECTS.includes(unitType);
+  if (isGeneralUnitType) pathParts.push(unitType);
+  pathParts.push(category);
+  if (examType) pathParts.push(examType);
+
+  // Notes folders: "Unit 1", "Major 1 - Unit 1" or just "Major 1"
+  let unitFolder = unitName ? `Unit ${unitName}` : "";
+  if (unitType && !isGeneralUnitType) unitFolder = unitFolder ? `${unitType} - ${unitFolder}` : unitType;
+  if (unitFolder) pathParts.push(sanitizeSegment(unitFolder));
+  pathParts.push(fileName);
+
+  // Every segment comes from the lists above or has been sanitized; this is the last line of defence
+  if (pathParts.some((p) => !p || p === "." || p === ".." || p.includes("/") || p.includes("\\"))) {
+    throw new UploadError(400, [`${label}: invalid target path.`]);
+  }
+  return {
+    path: pathParts.join("/"),
+    category,
+    description: [
+      category + (examType ? ` (${examType})` : ""),
+      year ? `Year ${year}` : "",
+      unitName ? `Unit ${unitName}` : "",
+      unitType,
+    ].filter(Boolean).join(", "),
+  };
+}
+
+/**
+ * The reverse of buildTargetPath(): the fields a path under pdfs/ was built from.
+ * Used by the admin endpoints to show what an upload says and to check a rename.
+ * Throws an UploadError when a folder isn't one the upload form could have made.
+ * @returns {{ shared: object, fields: { category, examType, year, unitName, unitType } }}
+ */
+export function parseTargetPath(path) {
+  const parts = String(path || "").split("/");
+  const name = parts[parts.length - 1];
+  const fail = (problem) => { throw new UploadError(400, [`${path}: ${problem}`]); };
+  if (parts[0] !== "pdfs" || !SEMESTER_FOLDERS.includes(parts[1]) || parts.length < 6 || parts.length > 8) {
+    fail("expected pdfs/Sem_N/Subject/CourseType/[SEC|IKS|VAC]/Category/[Folder]/file.pdf.");
+  }
+
+  const subject = COMMON_SUBJECTS.find((s) => squash(s) === squash(parts[2]));
+  if (!subject) fail(`unknown subject folder "${parts[2]}".`);
+  let coreSubject = "";
+  if (UNIT_SUBJECTS.includes(subject)) {
+    coreSubject = COMMON_SUBJECTS.find((s) => !GENERAL_SUBJECTS.includes(s) && squash(s) === squash(parts[3])) || "";
+    if (!coreSubject) fail(`unknown core subject folder "${parts[3]}".`);
+  } else if (!(GENERAL_SUBJECTS.includes(subject) ? ["General"] : COURSE_TYPES).includes(parts[3])) {
+    fail(`unknown course type folder "${parts[3]}".`);
+  }
+
+  let i = 4;
+  const fields = { category: "", examType: "", year: "", unitName: "", unitType: "" };
+  if (UNIT_SUBJECTS.includes(parts[i])) fields.unitType = parts[i++];
+  const categoryFolder = parts[i++];
+  fields.category = CATEGORIES.find((c) => c === categoryFolder) || fail(`unknown category folder "${categoryFolder}".`);
+  const folders = parts.slice(i, -1);
+  if (folders.length > 1 || (folders.length && fields.category === "Syllabus")) fail(`unexpected folder "${folders[folders.length - 1]}".`);
+
+  if (fields.category === "Papers") {
+    fields.examType = folders[0] || "";
+    fields.year = (name.match(/_((?:19|20)\d{2})\.pdf$/i) || [])[1] || "";
+  } else if (fields.category === "Notes" && folders.length) {
+    const unit = folders[0].match(UNIT_FOLDER_RE);
+    if (!unit || !(unit[1] || unit[2]) || (unit[1] && fields.unitType)) fail(`unknown unit folder "${folders[0]}".`);
+    fields.unitName = unit[2] || "";
+    if (unit[1]) fields.unitType = unit[1].replace(/_/g, " ");
+  }
+
+  return {
+    shared: {
+      semesterKey: parts[1],
+      subject: subject.replace(/_/g, " "),
+      subjectFolder: subjectFolderName(subject),
+      courseFolder: coreSubject || parts[3],
+      coreSubject: coreSubject.replace(/_/g, " "),
+      // Notes keep their own names, so only papers and syllabi carry a course code
+      courseCode: fields.category === "Notes" ? "" : ((name.match(/_(\d{3}A?)(?=_|\.pdf$)/i) || [])[1] || "").toUpperCase(),
+    },
+    fields,
+  };
+}
+
+/** A renamed path must be the one the upload form would build for its own fields. */
+export function checkTargetPath(path) {
+  const { shared, fields } = parseTargetPath(path);
+  const name = path.split("/").pop();
+  if (fields.category !== "Notes" && !shared.courseCode) {
+    throw new UploadError(400, [`${path}: the file name needs a course code (e.g. Physics_401_External_2026.pdf).`]);
+  }
+  const built = buildTargetPath(shared, { name }, fields).path;
+  if (built !== path) throw new UploadError(400, [`${path} doesn't follow the naming rules; it would be ${built}.`]);
+  return { shared, fields };
+}
+
+// ── Sidecar metadata ─────────────────────────────────────────────────────────
+// Optional details per file (title, description, author, tags, language). They
+// are committed as a Name.pdf.json sidecar next to the PDF, in the shape of
+// schemas/sidecar.schema.json, which scripts/generateData.js reads. The site
+// puts these values into its pages, so angle brackets are refused outright.
+const METADATA_FIELDS = ["title", "description", "author", "tags", "language"];
+const METADATA_MAX_LENGTH = { title: 120, description: 500, author: 80, language: 40 };
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Check one file's optional details.
+ * @returns {{ title?: string, description?: string, author?: string, tags?: string[], language?: string }}
+ *   only the fields that were filled in; empty when there is no sidecar to write
+ */
+function readMetadata(label, fields) {
+  const problems = [];
+  // One line each: control characters and runs of whitespace become a single space
+  const clean = (s) => String(s || "").replace(/[\u0000-\u001f\u007f\s]+/g, " ").trim();
+  const meta = {};
+
+  ["title", "description", "author"].forEach((name) => {
+    const value = clean(fields[name]);
+    if (!value) return;
+    if (value.length > METADATA_MAX_LENGTH[name]) problems.push(`${label}: ${name} can be at most ${METADATA_MAX_LENGTH[name]} characters.`);
+    meta[name] = value;
+  });
+
+  // "Optics, Lenses, optics" -> ["Optics", "Lenses"]
+  const tags = [];
+  clean(fields.tags).split(",").map((t) => t.trim()).filter(Boolean).forEach((tag) => {
+    if (!tags.some((t) => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+  });
+  if (tags.length > MAX_TAGS) problems.push(`${label}: at most ${MAX_TAGS} tags.`);
+  if (tags.some((t) => t.length > MAX_TAG_LENGTH)) problems.push(`${label}: each tag can be at most ${MAX_TAG_LENGTH} characters.`);
+  if (tags.length) meta.tags = tags;
+
+  const language = clean(fields.language);
+  if (language) {
+    if (language.length > METADATA_MAX_LENGTH.language || !/^[\p{L}\p{M} -]+$/u.test(language)) {
+      problems.push(`${label}: language should be a language name, e.g. English.`);
+    }
+    meta.language = language;
+  }
+
+  if (Object.values(meta).flat().some((v) => /[<>]/.test(v))) problems.push(`${label}: details can't contain < or >.`);
+  if (problems.length) throw new UploadError(400, problems);
+  return meta;
+}
+
+/** Reject anything that isn't a complete PDF: header at the start, %%EOF near the end. */
+function checkPdfBytes(label, bytes) {
+  const head = String.fromCharCode.apply(null, bytes.subarray(0, 1024));
+  if (!/%PDF-\d\.\d/.test(head)) {
+    throw new UploadError(415, [`${label} isn't a PDF file (it doesn't start with a PDF header).`]);
+  }
+  const tail = String.fromCharCode.apply(null, bytes.subarray(Math.max(0, bytes.length - 2048)));
+  if (!tail.includes("%%EOF")) {
+    throw new UploadError(415, [`${label} is incomplete (it was cut off before the end).`]);
+  }
+}
+
+// ── Rate limiting ────────────────────────────────────────────────────────────
+// Fixed-window counters behind a small store interface:
+//
+//   store.increment(key, windowSeconds) -> Promise<{ count, resetAt }>   (resetAt in ms)
+//
+// MemoryRateLimitStore keeps the counters in this isolate (local runs and tests);
+// KvRateLimitStore shares them through a KV namespace. KV is eventually
+// consistent, so a burst across isolates can slip a few requests past the limit.
+
+// Checked in order; an IP that is over its own limit doesn't use up the global one
+const RATE_LIMITS = {
+  upload: [
+    { scope: "ip", limit: 5, windowSeconds: 10 * 60 },
+    { scope: "global", limit: 40, windowSeconds: 60 * 60 },
+  ],
+  status: [
+    { scope: "ip", limit: 120, windowSeconds: 10 * 60 },
+    { scope: "global", limit: 2000, windowSeconds: 60 * 60 },
+  ],
+  pending: [
+    { scope: "ip", limit: 60, windowSeconds: 10 * 60 },
+    { scope: "global", limit: 1000, windowSeconds: 60 * 60 },
+  ],
+  report: [
+    { scope: "ip", limit: 5, windowSeconds: 10 * 60 },
+    { scope: "global", limit: 40, windowSeconds: 60 * 60 },
+  ],
+  // Generous for a maintainer, but it caps how fast anyone can guess the token
+  admin: [
+    { scope: "ip", limit: 300, windowSeconds: 10 * 60 },
+  ],
+};
+
+export class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  async increment(key, windowSeconds) {
+    const now = Date.now();
+    if (this.windows.size > 10000) {
+      this.windows.forEach((w, k) => { if (w.resetAt <= now) this.windows.delete(k); });
+    }
+    let w = this.windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowSeconds * 1000 };
+      this.windows.set(key, w);
+    }
+    w.count++;
+    return { count: w.count, resetAt: w.resetAt };
+  }
+}
+
+export class KvRateLimitStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async increment(key, windowSeconds) {
+    const now = Date.now();
+    const saved = await this.kv.get(`rate:${key}`, "json");
+    const w = saved && saved.resetAt > now ? saved : { count: 0, resetAt: now + windowSeconds * 1000 };
+    w.count++;
+    // KV won't expire keys sooner than 60 seconds
+    await this.kv.put(`rate:${key}`, JSON.stringify(w), { expirationTtl: Math.max(60, Math.ceil((w.resetAt - now) / 1000)) });
+    return w;
+  }
+}
+
+/** Count one request against each rule; returns the first limit it exceeds, or null. */
+async function checkRateLimits(store, rules, action, ip) {
+  for (const rule of rules) {
+    const key = rule.scope === "ip" ? `${action}:ip:${ip}` : `${action}:global`;
+    const { count, resetAt } = await store.increment(key, rule.windowSeconds);
+    if (count > rule.limit) {
+      return { scope: rule.scope, retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)) };
+    }
+  }
+  return null;
+}
+
+function rateLimitedResponse(action, hit) {
+  const what = { upload: "uploads", report: "reports" }[action] || "requests";
+  const message = hit.scope === "ip"
+    ? `Too many ${what} from your connection.`
+    : `The site is getting too many ${what} right now.`;
+  return jsonResponse({ message, code: "rate-limited", scope: hit.scope, retryAfter: hit.retryAfter }, 429, {
+    "Retry-After": String(hit.retryAfter),
+    "Access-Control-Expose-Headers": "Retry-After",
+  });
+}
+
+// ── Challenge verification ───────────────────────────────────────────────────
+// A verifier is { verify(token, ip) -> Promise<boolean> }. Uploads send the token
+// from the form's challenge widget as "challengeToken".
+
+/** Cloudflare Turnstile (https://developers.cloudflare.com/turnstile/). */
+export function turnstileVerifier(secret) {
+  return {
+    async verify(token, ip) {
+      if (!token) return false;
+      const body = new FormData();
+      body.append("secret", secret);
+      body.append("response", token);
+      if (ip) body.append("remoteip", ip);
+      const res = await fetch("https://challenges.cloudflare.com/turnstile/v0/siteverify", { method: "POST", body });
+      if (!res.ok) return false;
+      return (await res.json()).success === true;
+    },
+  };
+}
+
+/** Whether an upload record (PR body, commit message) lists a file with this content hash. */
+export function recordsHash(body, hash) {
+  return [...String(body || "").matchAll(HASH_MARKER)].some((m) => m[1] === hash);
+}
+
+// ── Storage backends ─────────────────────────────────────────────────────────
+// Where uploads go. The handler validates everything first and then only talks
+// to the backend through these methods:
+//
+//   backend.exists(path) -> Promise<boolean>
+//       whether a file is already published (uploads never replace files)
+//   backend.findPending(hash) -> Promise<Array<{ number?, title, url? }>>
+//       submissions still waiting for review that contain a file with this sha256
+//   backend.submit({ branchName, title, body, files: [{ path, bytes, sha256 }] }) -> Promise<{ url }>
+//       store all files as one submission; `body` already carries the hash markers
+//   backend.status(id) -> Promise<{ state: "pending"|"merged"|"rejected", url?, files, reason? } | null>
+//       where the submission made under branch name `id` stands; null if unknown
+//   backend.readFile(path) -> Promise<string|null>
+//       a published text file (data/hashes.json, a sidecar that is being corrected)
+//   backend.openIssue({ id, title, body, labels }) -> Promise<{ url }>
+//       record a problem report for a maintainer
+//
+// The admin endpoints also use:
+//
+//   backend.listPending() -> Promise<Array<{ id, title, body, createdAt, url?, files }>>
+//       every upload-… and edit-… submission still waiting for review
+//   backend.readSubmissionFile(id, path) -> Promise<Uint8Array|null>
+//       a file as it is in that submission
+//   backend.revise(id, { message, files: [{ path, bytes, sha256 }], remove: [path] }) -> Promise<void>
+//       change a pending submission: write `files`, drop `remove`
+//   backend.merge(id, { message }) -> Promise<void>
+//       publish the submission (merge it into the site)
+//   backend.reject(id, reason) -> Promise<void>
+//       close it unmerged; status() reports the reason afterwards
+//
+// GitHubBackend (below) opens a pull request. scratch/localBackends.js has a local
+// git repository and a plain inbox directory for self-hosting and offline runs.
+
+export class GitHubBackend {
+  constructor({ token, repo, base = "main" }) {
+    this.repo = repo;
+    this.base = base;
+    this.api = `https://api.github.com/repos/${repo}`;
+    this.headers = {
+      "Authorization": `Bearer ${token}`,
+      "Accept": "application/vnd.github.v3+json",
+      "User-Agent": "Cloudflare-Worker-Upload-Proxy",
+    };
+  }
+
+  async request(path, what, body, method = body ? "POST" : "GET") {
+    const res = await fetch(`${this.api}${path}`, body
+      ? { method, headers: this.headers, body: JSON.stringify(body) }
+      : { method, headers: this.headers });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      throw new Error(`Failed to ${what}${err.message ? `: ${err.message}` : "."}`);
+    }
+    return res.status === 204 ? null : res.json();
+  }
+
+  async exists(path) {
+    const encoded = path.split("/").map(encodeURIComponent).join("/");
+    const res = await fetch(`${this.api}/contents/${encoded}?ref=${this.base}`, { headers: this.headers });
+    if (res.status === 404) return false;
+    if (!res.ok) throw new Error(`Failed to check whether ${path} exists.`);
+    return true;
+  }
+
+  /** Open upload PRs whose body records the given content hash. */
+  async findPending(hash) {
+    const pulls = await this.request("/pulls?state=open&per_page=100", "list open pull requests");
+    return pulls
+      .filter((pr) => pr.head.ref.startsWith("upload-"))
+      .filter((pr) => recordsHash(pr.body, hash))
+      .map((pr) => ({ number: pr.number, title: pr.title, url: pr.html_url }));
+  }
+
+  // All files go into one tree and one commit on one branch, so a batch is a single PR.
+  async submit({ branchName, title, body, files }) {
+    // A. Get the base branch's latest commit (to branch from) and its tree
+    const baseSha = (await this.request(`/git/refs/heads/${this.base}`, `fetch ${this.base} branch ref`)).object.sha;
+    const baseTreeSha = (await this.request(`/git/commits/${baseSha}`, `fetch ${this.base} branch commit`)).tree.sha;
+
+    // B. Upload every file as a blob
+    const tree = [];
+    for (const file of files) {
+      const blob = await this.request("/git/blobs", `upload ${file.path}`, { content: toBase64(file.bytes), encoding: "base64" });
+      tree.push({ path: file.path, mode: "100644", type: "blob", sha: blob.sha });
+    }
+
+    // C. One tree and one commit on top of the base branch
+    const treeSha = (await this.request("/git/trees", "create tree", { base_tree: baseTreeSha, tree })).sha;
+    const commitSha = (await this.request("/git/commits", "create commit", { message: title, tree: treeSha, parents: [baseSha] })).sha;
+
+    // D. Create the branch pointing at that commit
+    await this.request("/git/refs", "create branch", { ref: `refs/heads/${branchName}`, sha: commitSha });
+
+    // E. Create Pull Request
+    const pr = await this.request("/pulls", "create PR", { title, body, head: branchName, base: this.base });
+    return { url: pr.html_url };
+  }
+
+  /** The PR opened for branch `id`, open or closed; null if there is none. */
+  async pullRequest(id) {
+    const owner = this.repo.split("/")[0];
+    const pulls = await this.request(`/pulls?state=all&head=${encodeURIComponent(`${owner}:${id}`)}`, "look up the pull request");
+    return pulls[0] || null;
+  }
+
+  async pullRequestFiles(pr) {
+    return (await this.request(`/pulls/${pr.number}/files?per_page=100`, "list the pull request's files"))
+      .filter((f) => f.status !== "removed")
+      .map((f) => f.filename);
+  }
+
+  async status(id) {
+    const pr = await this.pullRequest(id);
+    if (!pr) return null;
+    const files = await this.pullRequestFiles(pr);
+    const state = pr.merged_at ? "merged" : pr.state === "closed" ? "rejected" : "pending";
+    const status = { state, url: pr.html_url, number: pr.number, files };
+    if (state === "rejected") {
+      // reject() leaves the reason in a marked comment; a PR closed by hand has none
+      const comments = await this.request(`/issues/${pr.number}/comments?per_page=100`, "read the pull request's comments");
+      const note = comments.reverse().find((c) => String(c.body).includes(REJECTED_MARKER));
+      if (note) status.reason = note.body.replace(REJECTED_MARKER, "").replace(/^\*\*Rejected:\*\*/, "").trim();
+    }
+    return status;
+  }
+
+  async readFile(path) {
+    const encoded = path.split("/").map(encodeURIComponent).join("/");
+    const res = await fetch(`${this.api}/contents/${encoded}?ref=${this.base}`, {
+      headers: { ...this.headers, "Accept": "application/vnd.github.raw" },
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Failed to read ${path}.`);
+    return res.text();
+  }
+
+  async openIssue({ title, body, labels }) {
+    const issue = await this.request("/issues", "open an issue", { title, body, labels });
+    return { url: issue.html_url };
+  }
+
+  async listPending() {
+    const pulls = await this.request("/pulls?state=open&per_page=100", "list open pull requests");
+    const pending = [];
+    for (const pr of pulls.filter((p) => /^(upload|edit)-/.test(p.head.ref))) {
+      pending.push({
+        id: pr.head.ref,
+        title: pr.title,
+        body: pr.body || "",
+        createdAt: pr.created_at,
+        url: pr.html_url,
+        files: await this.pullRequestFiles(pr),
+      });
+    }
+    return pending;
+  }
+
+  async readSubmissionFile(id, path) {
+    const encoded = path.split("/").map(encodeURIComponent).join("/");
+    const res = await fetch(`${this.api}/contents/${encoded}?ref=${encodeURIComponent(id)}`, {
+      headers: { ...this.headers, "Accept": "application/vnd.github.raw" },
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`Failed to read ${path} from ${id}.`);
+    return new Uint8Array(await res.arrayBuffer());
+  }
+
+  // One more commit on the PR's branch; the PR (and the auto-merge check) picks it up
+  async revise(id, { message, files, remove }) {
+    const headSha = (await this.request(`/git/refs/heads/${id}`, `fetch the ${id} branch ref`)).object.sha;
+    const headTreeSha = (await this.request(`/git/commits/${headSha}`, `fetch the ${id} branch commit`)).tree.sha;
+    const tree = remove.map((path) => ({ path, mode: "100644", type: "blob", sha: null }));
+    for (const file of files) {
+      const blob = await this.request("/git/blobs", `upload ${file.path}`, { content: toBase64(file.bytes), encoding: "base64" });
+      tree.push({ path: file.path, mode: "100644", type: "blob", sha: blob.sha });
+    }
+    const treeSha = (await this.request("/git/trees", "create tree", { base_tree: headTreeSha, tree })).sha;
+    const commitSha = (await this.request("/git/commits", "create commit", { message, tree: treeSha, parents: [headSha] })).sha;
+    await this.request(`/git/refs/heads/${id}`, `update the ${id} branch`, { sha: commitSha }, "PATCH");
+  }
+
+  async merge(id, { message }) {
+    const pr = await this.pullRequest(id);
+    if (!pr || pr.state !== "open") throw new UploadError(409, [`${id} isn't waiting for review.`]);
+    await this.request(`/pulls/${pr.number}/merge`, "merge the pull request", { merge_method: "merge", commit_title: message }, "PUT");
+    await this.request(`/git/refs/heads/${id}`, `delete the ${id} branch`, null, "DELETE");
+  }
+
+  async reject(id, reason) {
+    const pr = await this.pullRequest(id);
+    if (!pr || pr.state !== "open") throw new UploadError(409, [`${id} isn't waiting for review.`]);
+    await this.request(`/issues/${pr.number}/comments`, "comment on the pull request", {
+      body: `**Rejected:** ${reason}\n\n${REJECTED_MARKER}\n`,
+    });
+    await this.request(`/pulls/${pr.number}`, "close the pull request", { state: "closed" }, "PATCH");
+  }
+}
+
+/** "published" once the data build has picked up every file of a merged upload. */
+async function publishedState(backend, status) {
+  if (status.state !== "merged") return status.state;
+  const manifest = JSON.parse(await backend.readFile("data/hashes.json") || "null");
+  const listed = manifest && manifest.files ? manifest.files : {};
+  // Sidecars aren't in the manifest; the PDFs decide
+  const pdfs = status.files.filter((f) => /\.pdf$/i.test(f));
+  return pdfs.length && pdfs.every((f) => f in listed) ? "published" : "merged";
+}
+
+// ── Reports and corrections ──────────────────────────────────────────────────
+// A suggested edit becomes a PR on an edit-… branch that writes the file's
+// Name.pdf.json sidecar; any other report becomes an issue. Neither is merged
+// automatically (the auto-merge workflow only takes upload-… branches), so a
+// maintainer reviews every correction like a held upload.
+
+const REPORT_KINDS = {
+  edit: "Suggested edit",
+  broken: "Broken or unreadable file",
+  "wrong-file": "Wrong file",
+  duplicate: "Duplicate",
+  other: "Other problem",
+};
+const MAX_REPORT_MESSAGE = 1000;
+// Sidecar fields a suggested edit can change, on top of the upload details
+const EDIT_FIELDS = [...METADATA_FIELDS, "year", "examType", "courseCode"];
+
+/** Markdown inline code (safe in a table cell) that user text can't break out of. */
+function mdCode(value) {
+  return "`" + String(value).replace(/`/g, "'").replace(/\|/g, "\\|") + "`";
+}
+
+/** User text as an indented code block: shown as typed, without Markdown, links or mentions. */
+function mdQuote(text) {
+  return text.split("\n").map((line) => `    ${line}`).join("\n");
+}
+
+/** Path of a PDF on the site, as sent by the client. Whether it exists is up to the backend. */
+function readReportedFile(value) {
+  const file = String(value || "").trim();
+  const parts = file.split("/");
+  if (file.length > 400 || parts[0] !== "pdfs" || parts.length < 3 || !/\.pdf$/i.test(file)
+    || parts.some((p) => !p || p === "." || p === ".." || p.includes("\\"))) {
+    throw new UploadError(400, ["file must be the path of a PDF under pdfs/."]);
+  }
+  return file;
+}
+
+/**
+ * Apply a suggested edit to the current sidecar. Empty fields are left as they are.
+ * @returns {{ sidecar: object, changes: Array<[string, any, any]> }} changes as [field, before, after]
+ */
+function applyCorrections(label, current, fields) {
+  const corrections = readMetadata(label, fields);
+  const problems = [];
+  if (fields.year) {
+    if (YEAR_RE.test(fields.year)) corrections.year = Number(fields.year);
+    else problems.push(`${label}: year must be a 4-digit year.`);
+  }
+  if (fields.examType) {
+    if (EXAM_TYPES.includes(fields.examType)) corrections.examType = fields.examType;
+    else problems.push(`${label}: exam type must be ${EXAM_TYPES.join(" or ")}.`);
+  }
+  if (fields.courseCode) {
+    const courseCode = fields.courseCode.toUpperCase();
+    if (COURSE_CODE_RE.test(courseCode)) corrections.courseCode = courseCode;
+    else problems.push(`${label}: course code must be a 3-digit number, optionally followed by A.`);
+  }
+  if (problems.length) throw new UploadError(400, problems);
+
+  const sidecar = { ...current };
+  const changes = [];
+  Object.entries(corrections).forEach(([key, value]) => {
+    if (JSON.stringify(current[key]) === JSON.stringify(value)) return;
+    changes.push([key, current[key], value]);
+    sidecar[key] = value;
+  });
+  return { sidecar, changes };
+}
+
+async function handleReport(formData, backend) {
+  const file = readReportedFile(formData.get("file"));
+  const name = file.split("/").pop();
+  const kind = String(formData.get("kind") || "");
+  if (!REPORT_KINDS[kind]) throw new UploadError(400, [`kind must be one of ${Object.keys(REPORT_KINDS).join(", ")}.`]);
+  const message = String(formData.get("message") || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, "")
+    .trim();
+  if (message.length > MAX_REPORT_MESSAGE) throw new UploadError(400, [`The message can be at most ${MAX_REPORT_MESSAGE} characters.`]);
+  if (kind === "other" && !message) throw new UploadError(400, ["Please describe the problem."]);
+
+  if (!await backend.exists(file)) throw new UploadError(404, [`${file} isn't on the site.`]);
+  const note = message ? ["", "### Note from the reporter", "", mdQuote(message)] : [];
+  const stamp = Date.now();
+
+  if (kind !== "edit") {
+    const { url } = await backend.openIssue({
+      id: `report-${stamp}`,
+      title: `${REPORT_KINDS[kind]}: ${name}`,
+      body: [
+        "## Problem Report",
+        "A visitor reported a problem with a file on the site.",
+        "",
+        `- **Problem:** ${REPORT_KINDS[kind]}`,
+        `- **File:** ${mdCode(file)}`,
+        ...note,
+      ].join("\n") + "\n",
+      labels: ["report"],
+    });
+    return jsonResponse({ success: true, kind, url });
+  }
+
+  const sidecarPath = `${file}.json`;
+  const text = await backend.readFile(sidecarPath);
+  let current = {};
+  try {
+    if (text !== null) current = JSON.parse(text);
+  } catch {
+    current = null;
+  }
+  if (!current || typeof current !== "object" || Array.isArray(current)) {
+    throw new UploadError(409, [`The current details of ${name} can't be read, so they can't be edited here. Please report it as another problem instead.`]);
+  }
+
+  const fields = Object.fromEntries(EDIT_FIELDS.map((n) => [n, String(formData.get(n) || "").trim()]));
+  const { sidecar, changes } = applyCorrections(name, current, fields);
+  if (!changes.length) throw new UploadError(400, ["Nothing to change: the suggested details are the same as the current ones."]);
+
+  const show = (v) => (v === undefined ? "—" : mdCode(Array.isArray(v) ? v.join(", ") : v));
+  const slug = name.replace(/\.pdf$/i, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40);
+  const branchName = `edit-${slug || "file"}-${stamp}`;
+  const bytes = new TextEncoder().encode(JSON.stringify(sidecar, null, 2) + "\n");
+  const { url } = await backend.submit({
+    branchName,
+    title: `Correct the details of ${name}`,
+    body: [
+      "## Suggested Correction",
+      "A visitor suggested new details for a file on the site. Merging this PR writes them to the file's sidecar.",
+      "",
+      `- **File:** ${mdCode(file)}`,
+      `- **Sidecar:** ${mdCode(sidecarPath)} (${text === null ? "new" : "updated"})`,
+      "",
+      "| Field | Now | Suggested |",
+      "| --- | --- | --- |",
+      ...changes.map(([key, before, after]) => `| ${key} | ${show(before)} | ${show(after)} |`),
+      ...note,
+    ].join("\n") + "\n",
+    files: [{ path: sidecarPath, bytes, sha256: await sha256Hex(bytes) }],
+  });
+  return jsonResponse({ success: true, kind, id: branchName, url });
+}
+
+function errorResponse(error) {
+  if (error instanceof UploadError) {
+    return jsonResponse({ message: error.message, problems: error.problems }, error.status);
+  }
+  return jsonResponse({ message: error.message }, 500);
+}
+
+// ── Admin review ─────────────────────────────────────────────────────────────
+// Endpoints behind ADMIN_TOKEN for admin.html: list what is waiting for review,
+// preview a submitted PDF, fix a file's details or name, then approve (merge) or
+// reject it. Every request needs "Authorization: Bearer <ADMIN_TOKEN>".
+//
+//   GET  /admin/pending                    submissions with each file's fields and sidecar
+//   GET  /admin/file?id=<id>&path=<path>   a submitted PDF
+//   POST /admin/update   { id, changes: [{ path, rename?, details? }] }
+//   POST /admin/approve  { id }
+//   POST /admin/reject   { id, reason }
+//
+// `details` replaces the editable sidecar fields (EDIT_FIELDS) as a whole; other
+// sidecar fields are kept. A rename must be the path the upload form would build.
+
+const SUBMISSION_ID_RE = /^(upload|edit)-[a-z0-9_.-]+$/;
+const MAX_REJECT_REASON = 500;
+
+/** Compare digests rather than the strings, so the time taken says nothing about the token. */
+async function sameSecret(given, expected) {
+  const encoder = new TextEncoder();
+  const [a, b] = await Promise.all([sha256Hex(encoder.encode(given)), sha256Hex(encoder.encode(expected))]);
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+async function pendingSubmission(backend, id) {
+  if (!SUBMISSION_ID_RE.test(String(id || ""))) throw new UploadError(400, ["id must be an upload-… or edit-… id."]);
+  const submission = (await backend.listPending()).find((s) => s.id === id);
+  if (!submission) throw new UploadError(404, [`${id} isn't waiting for review.`]);
+  return submission;
+}
+
+/** A sidecar in a submission: the object, {} when there is none, null when it can't be parsed. */
+async function readSubmissionSidecar(backend, submission, path) {
+  if (!submission.files.includes(path)) return {};
+  try {
+    const value = JSON.parse(new TextDecoder().decode(await backend.readSubmissionFile(submission.id, path)));
+    return value && typeof value === "object" && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/** A submission as admin.html shows it: one entry per PDF, with what its path says and its sidecar. */
+async function describeSubmission(backend, submission) {
+  const pdfs = submission.files.filter((f) => /\.pdf$/i.test(f));
+  // A suggested edit only carries the sidecar of a PDF that is already on the site
+  const published = submission.files
+    .filter((f) => /\.pdf\.json$/i.test(f) && !pdfs.includes(f.slice(0, -5)))
+    .map((f) => f.slice(0, -5));
+  const files = [];
+  for (const path of [...pdfs, ...published]) {
+    const entry = { path, published: published.includes(path), parsed: null, problems: [], details: null };
+    try {
+      const { shared, fields } = parseTargetPath(path);
+      entry.parsed = { semester: shared.semesterKey, subject: shared.subject, course: shared.courseFolder, courseCode: shared.courseCode, ...fields };
+      if (!entry.published) checkTargetPath(path);
+    } catch (error) {
+      if (!(error instanceof UploadError)) throw error;
+      entry.problems = error.problems;
+    }
+    entry.details = await readSubmissionSidecar(backend, submission, `${path}.json`);
+    if (entry.details === null) entry.problems.push(`${path}.json isn't a valid sidecar.`);
+    files.push(entry);
+  }
+  const described = new Set(files.flatMap((f) => [f.path, `${f.path}.json`]));
+  return {
+    id: submission.id,
+    kind: submission.id.startsWith("edit-") ? "edit" : "upload",
+    title: submission.title,
+    body: submission.body,
+    createdAt: submission.createdAt,
+    url: submission.url || null,
+    files,
+    otherFiles: submission.files.filter((f) => !described.has(f)),
+  };
+}
+
+async function handleAdminUpdate(input, backend) {
+  const submission = await pendingSubmission(backend, input.id);
+  const changes = Array.isArray(input.changes) ? input.changes : [];
+  if (!changes.length) throw new UploadError(400, ["changes must list at least one file."]);
+
+  const files = [];
+  const remove = [];
+  const notes = [];
+  const taken = new Set(submission.files);
+  for (const change of changes) {
+    const path = String(change && change.path || "");
+    const name = path.split("/").pop();
+    const isPdf = /\.pdf$/i.test(path) && submission.files.includes(path);
+    const isPublished = /\.pdf$/i.test(path) && !isPdf && submission.files.includes(`${path}.json`);
+    if (!isPdf && !isPublished) throw new UploadError(400, [`${path || "A change"}: not a PDF in ${submission.id}.`]);
+
+    let target = path;
+    const rename = String(change.rename || "").trim();
+    if (rename && rename !== path) {
+      if (isPublished) throw new UploadError(400, [`${name} is already on the site, so it can't be renamed here.`]);
+      checkTargetPath(rename);
+      if (taken.has(rename) || await backend.exists(rename)) throw new UploadError(409, [`${rename} already exists.`]);
+      const bytes = await backend.readSubmissionFile(submission.id, path);
+      files.push({ path: rename, bytes, sha256: await sha256Hex(bytes) });
+      remove.push(path);
+      taken.delete(path);
+      taken.add(rename);
+      target = rename;
+      notes.push(`rename ${name} to ${rename.split("/").pop()}`);
+    }
+
+    const sidecarPath = `${path}.json`;
+    const current = await readSubmissionSidecar(backend, submission, sidecarPath);
+    let sidecar = current;
+    if (change.details && typeof change.details === "object") {
+      const fields = Object.fromEntries(EDIT_FIELDS.map((n) => [n, String(change.details[n] ?? "").trim()]));
+      const kept = Object.fromEntries(Object.entries(current || {}).filter(([key]) => !EDIT_FIELDS.includes(key)));
+      sidecar = applyCorrections(name, kept, fields).sidecar;
+    } else if (current === null) {
+      throw new UploadError(409, [`${sidecarPath} can't be read; send new details for ${name} along with the rename.`]);
+    }
+
+    const detailsChanged = JSON.stringify(sidecar) !== JSON.stringify(current);
+    if (detailsChanged) notes.push(`update the details of ${target.split("/").pop()}`);
+    if (target !== path && submission.files.includes(sidecarPath)) remove.push(sidecarPath);
+    if (Object.keys(sidecar).length && (detailsChanged || target !== path)) {
+      if (target !== path && await backend.exists(`${target}.json`)) throw new UploadError(409, [`${target}.json already exists.`]);
+      const bytes = new TextEncoder().encode(JSON.stringify(sidecar, null, 2) + "\n");
+      files.push({ path: `${target}.json`, bytes, sha256: await sha256Hex(bytes) });
+    } else if (!Object.keys(sidecar).length && detailsChanged && submission.files.includes(sidecarPath)) {
+      remove.push(sidecarPath);
+    }
+  }
+  if (!files.length && !remove.length) throw new UploadError(400, ["Nothing to change."]);
+
+  const message = notes.length === 1 ? `Review: ${notes[0]}` : `Review changes\n\n${notes.map((n) => `- ${n}`).join("\n")}`;
+  await backend.revise(submission.id, { message, files, remove });
+  return jsonResponse({ success: true, id: submission.id });
+}
+
+async function handleAdmin(request, url, backend) {
+  const route = `${request.method} ${url.pathname}`;
+  if (route === "GET /admin/pending") {
+    const uploads = [];
+    for (const submission of await backend.listPending()) uploads.push(await describeSubmission(backend, submission));
+    return jsonResponse({ uploads });
+  }
+
+  if (route === "GET /admin/file") {
+    const submission = await pendingSubmission(backend, url.searchParams.get("id"));
+    const path = String(url.searchParams.get("path") || "");
+    if (!/\.pdf$/i.test(path) || !submission.files.includes(path)) throw new UploadError(404, [`${path} isn't a PDF in ${submission.id}.`]);
+    const bytes = await backend.readSubmissionFile(submission.id, path);
+    if (!bytes) throw new UploadError(404, [`${path} isn't a PDF in ${submission.id}.`]);
+    return new Response(bytes, {
+      headers: { "Content-Type": "application/pdf", "Cache-Control": "no-store", "Access-Control-Allow-Origin": "*" },
+    });
+  }
+
+  if (request.method !== "POST" || !["/admin/update", "/admin/approve", "/admin/reject"].includes(url.pathname)) {
+    return jsonResponse({ message: "Not found." }, 404);
+  }
+  let input;
+  try {
+    input = await request.json();
+  } catch {
+    throw new UploadError(400, ["The request body must be JSON."]);
+  }
+  if (!input || typeof input !== "object") throw new UploadError(400, ["The request body must be a JSON object."]);
+
+  if (url.pathname === "/admin/update") return handleAdminUpdate(input, backend);
+
+  const submission = await pendingSubmission(backend, input.id);
+  if (url.pathname === "/admin/approve") {
+    await backend.merge(submission.id, { message: `Merge ${submission.id}: ${submission.title}` });
+    return jsonResponse({ success: true, id: submission.id, state: "merged" });
+  }
+
+  const reason = String(input.reason || "").replace(/[\u0000-\u001f\u007f]+/g, " ").replace(/\s+/g, " ").trim();
+  if (!reason) throw new UploadError(400, ["Give a reason, so the uploader knows why."]);
+  if (reason.length > MAX_REJECT_REASON) throw new UploadError(400, [`The reason can be at most ${MAX_REJECT_REASON} characters.`]);
+  await backend.reject(submission.id, reason);
+  return jsonResponse({ success: true, id: submission.id, state: "rejected", reason });
+}
+
+/**
+ * The request handler, with its moving parts passed in.
+ *
+ * @param {{ backend?: { exists: Function, findPending: Function, submit: Function } | null,
+ *           rateLimitStore?: { increment(key: string, windowSeconds: number): Promise<{ count: number, resetAt: number }> },
+ *           rateLimits?: typeof RATE_LIMITS,
+ *           challengeVerifier?: { verify(token: string, ip: string): Promise<boolean> } | null,
+ *           adminToken?: string | null }} options
+ *   no store means no rate limiting; no verifier means no challenge; no admin token
+ *   means no /admin/ endpoints
+ */
+export function createUploadHandler(options = {}) {
+  const { backend = null, rateLimitStore = null, rateLimits = RATE_LIMITS, challengeVerifier = null, adminToken = null } = options;
+  const noBackend = () => jsonResponse({ message: "Worker Error: GITHUB_TOKEN is not configured." }, 500);
+
+  return async (request) => {
     // 1. Handle CORS Preflight
     if (request.method === "OPTIONS") {
       return new Response(null, {
         headers: {
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type",
+          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+          "Access-Control-Allow-Headers": "Content-Type, Authorization",
         },
       });
     }
 
+    const url = new URL(request.url);
+    const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+
+    if (url.pathname.startsWith("/admin/")) {
+      if (!adminToken) return jsonResponse({ message: "The admin endpoints are off (ADMIN_TOKEN is not set)." }, 404);
+      const limited = rateLimitStore && await checkRateLimits(rateLimitStore, rateLimits.admin, "admin", ip);
+      if (limited) return rateLimitedResponse("admin", limited);
+      const token = (request.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+      if (!token || !await sameSecret(token, adminToken)) {
+        return jsonResponse({ message: "Wrong or missing admin token.", code: "unauthorized" }, 401, { "WWW-Authenticate": "Bearer" });
+      }
+      if (!backend) return noBackend();
+      try {
+        return await handleAdmin(request, url, backend);
+      } catch (error) {
+        return errorResponse(error);
+      }
+    }
+
+    if (request.method === "GET" && url.pathname === "/pending") {
+      const hash = String(url.searchParams.get("sha256") || "").toLowerCase();
+      if (!/^[0-9a-f]{64}$/.test(hash)) {
+        return jsonResponse({ message: "sha256 must be 64 hex characters." }, 400);
+      }
+      const limited = rateLimitStore && await checkRateLimits(rateLimitStore, rateLimits.pending, "pending", ip);
+      if (limited) return rateLimitedResponse("pending", limited);
+      if (!backend) return noBackend();
+      try {
+        const pending = await backend.findPending(hash);
+        return jsonResponse({ pending });
+      } catch (error) {
+        return jsonResponse({ message: error.message }, 502);
+      }
+    }
+
+    if (request.method === "GET" && url.pathname === "/status") {
+      const id = String(url.searchParams.get("id") || "");
+      if (!/^upload-[a-z0-9_.-]+$/.test(id)) {
+        return jsonResponse({ message: "id must be an upload id (upload-…)." }, 400);
+      }
+      const limited = rateLimitStore && await checkRateLimits(rateLimitStore, rateLimits.status, "status", ip);
+      if (limited) return rateLimitedResponse("status", limited);
+      if (!backend) return noBackend();
+      try {
+        const status = await backend.status(id);
+        if (!status) return jsonResponse({ message: "No upload with that id." }, 404);
+        return jsonResponse({ id, ...status, state: await publishedState(backend, status) });
+      } catch (error) {
+        return jsonResponse({ message: error.message }, 502);
+      }
+    }
+
     if (request.method !== "POST") {
       return new Response("Method Not Allowed", { status: 405 });
     }
 
-    try {
-      // 2. Parse FormData
-      const formData = await request.formData();
-      const file = formData.get("file");
-      const targetPath = formData.get("targetPath");
-      const branchName = formData.get("branchName");
-      const commitMsg = formData.get("commitMsg");
-      const prBody = formData.get("prBody");
-
-      if (!file || !targetPath || !branchName || !commitMsg) {
-        return new Response(JSON.stringify({ message: "Missing required fields." }), { 
-          status: 400,
-          headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
-        });
+    if (url.pathname === "/report") {
+      // A report opens an issue or a PR, so it is counted like an upload
+      const limited = rateLimitStore && await checkRateLimits(rateLimitStore, rateLimits.report, "report", ip);
+      if (limited) return rateLimitedResponse("report", limited);
+      try {
+        const formData = await request.formData();
+        if (challengeVerifier && !await challengeVerifier.verify(String(formData.get("challengeToken") || ""), ip)) {
+          return jsonResponse({ message: "The anti-spam check failed or expired. Please complete it again and resubmit.", code: "challenge-failed" }, 403);
+        }
+        if (!backend) return noBackend();
+        return await handleReport(formData, backend);
+      } catch (error) {
+        return errorResponse(error);
       }
+    }
 
-      const GITHUB_TOKEN = env.GITHUB_TOKEN;
-      const GITHUB_REPO = "harshX091/Exam_Papers"; // Update this if your repo name changed
+    // Every upload creates a branch and a PR, so count it before doing any work
+    const limited = rateLimitStore && await checkRateLimits(rateLimitStore, rateLimits.upload, "upload", ip);
+    if (limited) return rateLimitedResponse("upload", limited);
 
-      if (!GITHUB_TOKEN) {
-        return new Response(JSON.stringify({ message: "Worker Error: GITHUB_TOKEN is not configured." }), { 
-          status: 500,
-          headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
-        });
-      }
+    try {
+      // 2. Parse FormData. A batch sends "file" and each per-file field once per PDF, in the same order.
+      const formData = await request.formData();
 
-      const ghHeaders = {
-        "Authorization": `Bearer ${GITHUB_TOKEN}`,
-        "Accept": "application/vnd.github.v3+json",
-        "User-Agent": "Cloudflare-Worker-Upload-Proxy",
-      };
-
-      // 3. Convert File to Base64 (using chunked conversion to avoid stack overflow and CPU timeout)
-      const arrayBuffer = await file.arrayBuffer();
-      const uint8Array = new Uint8Array(arrayBuffer);
-      let binaryString = "";
-      const chunkSize = 65536;
-      for (let i = 0; i < uint8Array.length; i += chunkSize) {
-        binaryString += String.fromCharCode.apply(
-          null,
-          uint8Array.subarray(i, i + chunkSize)
-        );
-      }
-      const base64Content = btoa(binaryString);
-
-      // --- GitHub API Flow ---
-
-      // A. Get main branch latest SHA (to branch from)
-      const mainRefRes = await fetch(`https://api.github.com/repos/${GITHUB_REPO}/git/refs/heads/main`, { headers: ghHeaders });
-      if (!mainRefRes.ok) throw new Error("Failed to fetch main branch ref.");
-      const mainRefData = await mainRefRes.json();
-      const mainSha = mainRefData.object.sha;
-
-      // B. Check if file already exists on main (to get SHA for update)
-      let existingFileSha = null;
-      const fileCheckRes = await fetch(`https://api.github.com/repos/${GITHUB_REPO}/contents/${targetPath}?ref=main`, { headers: ghHeaders });
-      if (fileCheckRes.ok) {
-        const fileData = await fileCheckRes.json();
-        existingFileSha = fileData.sha;
+      if (challengeVerifier && !await challengeVerifier.verify(String(formData.get("challengeToken") || ""), ip)) {
+        return jsonResponse({ message: "The anti-spam check failed or expired. Please complete it again and resubmit.", code: "challenge-failed" }, 403);
       }
+      const files = formData.getAll("file");
+      const perFile = ["category", "examType", "year", "unitName", "unitType"].map((name) => [name, formData.getAll(name)]);
+      // Details are optional: a field is either left out entirely or sent once per file
+      const perFileMeta = METADATA_FIELDS.map((name) => [name, formData.getAll(name)]);
 
-      // C. Create New Branch
-      const createBranchRes = await fetch(`https://api.github.com/repos/${GITHUB_REPO}/git/refs`, {
-        method: "POST",
-        headers: ghHeaders,
-        body: JSON.stringify({
-          ref: `refs/heads/${branchName}`,
-          sha: mainSha,
-        }),
-      });
-      if (!createBranchRes.ok) {
-        const err = await createBranchRes.json();
-        throw new Error(`Failed to create branch: ${err.message}`);
+      if (!files.length || perFile.some(([, values]) => values.length !== files.length)
+        || perFileMeta.some(([, values]) => values.length && values.length !== files.length)) {
+        return jsonResponse({ message: "Missing required fields." }, 400);
       }
 
-      // D. Commit File to New Branch
-      const commitPayload = {
-        message: commitMsg,
-        content: base64Content,
-        branch: branchName,
-      };
-      if (existingFileSha) {
-        commitPayload.sha = existingFileSha; // Required for updates!
-      }
+      const shared = readSharedFields(formData);
+      const valuesAt = (fieldLists, i) => Object.fromEntries(fieldLists.map(([name, values]) => [name, String(values[i] || "").trim()]));
+      const uploads = files.map((file, i) => {
+        if (typeof file === "string") throw new UploadError(400, ["Each file must be sent as a file."]);
+        const target = buildTargetPath(shared, file, valuesAt(perFile, i));
+        const meta = readMetadata(file.name || target.path, valuesAt(perFileMeta, i));
+        return { file, ...target, meta, sidecarPath: Object.keys(meta).length ? `${target.path}.json` : null };
+      });
 
-      const commitRes = await fetch(`https://api.github.com/repos/${GITHUB_REPO}/contents/${targetPath}`, {
-        method: "PUT",
-        headers: ghHeaders,
-        body: JSON.stringify(commitPayload),
+      const seen = new Set();
+      uploads.forEach(({ path }) => {
+        if (seen.has(path)) throw new UploadError(400, [`Two files in this upload would both be saved as ${path}.`]);
+        seen.add(path);
       });
 
-      if (!commitRes.ok) {
-        const err = await commitRes.json();
-        throw new Error(`GitHub File creation failed: ${err.message}`);
+      // 3. Check the files themselves before touching the repository
+      for (const upload of uploads) {
+        const label = upload.file.name || upload.path;
+        if (upload.file.size > MAX_FILE_BYTES) {
+          throw new UploadError(413, [`${label} is too large. Maximum size is 50 MB.`]);
+        }
+        if (!upload.file.size) throw new UploadError(400, [`${label} is empty.`]);
+        upload.buffer = await upload.file.arrayBuffer();
+        checkPdfBytes(label, new Uint8Array(upload.buffer));
       }
 
-      // E. Create Pull Request
-      const prRes = await fetch(`https://api.github.com/repos/${GITHUB_REPO}/pulls`, {
-        method: "POST",
-        headers: ghHeaders,
-        body: JSON.stringify({
-          title: commitMsg,
-          body: prBody,
-          head: branchName,
-          base: "main",
-        }),
-      });
+      if (!backend) return noBackend();
 
-      if (!prRes.ok) {
-        const err = await prRes.json();
-        throw new Error(`Failed to create PR: ${err.message}`);
+      // 4. Uploads add files; they never replace one that is already on the site
+      for (const path of uploads.flatMap((u) => [u.path, u.sidecarPath]).filter(Boolean)) {
+        if (await backend.exists(path)) {
+          throw new UploadError(409, [`${path} already exists. Uploads can't replace existing files.`]);
+        }
       }
 
-      const prData = await prRes.json();
+      const { semesterKey, subject, subjectFolder, courseFolder, coreSubject, courseCode } = shared;
+      const branchName = `upload-${semesterKey.toLowerCase()}-${subjectFolder.toLowerCase()}-${Date.now()}`;
+      const commitMsg = uploads.length === 1
+        ? `Add ${uploads[0].category} for ${subject} (${semesterKey})`
+        : `Add ${uploads.length} files for ${subject} (${semesterKey})`;
+      const prBody = [
+        "## New Student Upload",
+        `A user has submitted ${uploads.length === 1 ? "a new academic document" : `${uploads.length} new academic documents`} for review.`,
+        "",
+        `- **Semester:** ${semesterKey}`,
+        `- **Subject:** ${subject}`,
+        `- **Course Type:** ${courseFolder}${coreSubject ? " (Core Subject)" : ""}`,
+        `- **Course Code:** ${courseCode}`,
+        "",
+        "### Files",
+        ...uploads.flatMap((u) => [
+          `- \`${u.path}\` — ${u.description}`,
+          ...(u.sidecarPath ? [`- \`${u.sidecarPath}\` — ${Object.keys(u.meta).join(", ")}`] : []),
+        ]),
+        "",
+        `Merging this PR will automatically publish the ${uploads.length === 1 ? "document" : "documents"} and regenerate the site data.`,
+      ].join("\n");
 
-      return new Response(JSON.stringify({ success: true, prUrl: prData.html_url }), {
-        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" },
+      // 5. Hand the files (and their sidecars) to the backend, recording each PDF's
+      //    content hash so later uploads of the same file can be spotted
+      const stored = [];
+      const hashMarkers = [];
+      for (const upload of uploads) {
+        const sha256 = await sha256Hex(upload.buffer);
+        stored.push({ path: upload.path, bytes: upload.buffer, sha256 });
+        hashMarkers.push(`<!-- upload-sha256: ${sha256} -->`);
+        if (upload.sidecarPath) {
+          const bytes = new TextEncoder().encode(JSON.stringify(upload.meta, null, 2) + "\n");
+          stored.push({ path: upload.sidecarPath, bytes, sha256: await sha256Hex(bytes) });
+        }
+      }
+      const { url: prUrl } = await backend.submit({
+        branchName,
+        title: commitMsg,
+        body: `${prBody}\n\n${hashMarkers.join("\n")}\n`,
+        files: stored,
       });
 
+      return jsonResponse({ success: true, id: branchName, prUrl, files: uploads.map((u) => u.path) });
+
     } catch (error) {
-      return new Response(JSON.stringify({ message: error.message }), {
-        status: 500,
-        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" },
-      });
+      return errorResponse(error);
     }
+  };
+}
+
+// Used when the worker has no RATE_LIMITS KV binding; lives as long as the isolate
+const memoryRateLimits = new MemoryRateLimitStore();
+
+export default {
+  async fetch(request, env) {
+    return createUploadHandler({
+      backend: env.GITHUB_TOKEN
+        ? new GitHubBackend({ token: env.GITHUB_TOKEN, repo: env.GITHUB_REPO || "harshX091/Exam_Papers" })
+        : null,
+      rateLimitStore: env.RATE_LIMITS ? new KvRateLimitStore(env.RATE_LIMITS) : memoryRateLimits,
+      challengeVerifier: env.TURNSTILE_SECRET ? turnstileVerifier(env.TURNSTILE_SECRET) : null,
+      adminToken: env.ADMIN_TOKEN || null,
+    })(request);
   },
 };
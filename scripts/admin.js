@@ -0,0 +1,287 @@
+// Review page for maintainers (admin.html): lists the uploads and suggested
+// corrections waiting for review, previews them, and fixes, approves or rejects
+// them through the worker's /admin/ endpoints (scratch/worker.js).
+//
+// The admin token (the worker's ADMIN_TOKEN) is kept in sessionStorage, so it
+// is forgotten when the tab closes. Loaded after scripts/taxonomy.js and
+// scripts/workerClient.js.
+
+const ADMIN_TOKEN_KEY = 'adminToken';
+
+// Sidecar fields a maintainer can set; same set as the worker's EDIT_FIELDS
+const ADMIN_DETAIL_FIELDS = [
+    { key: 'title', label: 'Title', max: 120 },
+    { key: 'year', label: 'Year', paper: true, max: 4, placeholder: 'e.g. 2024' },
+    { key: 'examType', label: 'Exam type', paper: true, options: ['', ...EXAM_TYPES] },
+    { key: 'courseCode', label: 'Course code', paper: true, max: 4, placeholder: 'e.g. 401 or 401A' },
+    { key: 'description', label: 'Description', max: 500 },
+    { key: 'author', label: 'Author / Teacher', max: 80 },
+    { key: 'tags', label: 'Topics / Tags', placeholder: 'Comma-separated' },
+    { key: 'language', label: 'Language', max: 40 }
+];
+
+const PARSED_LABELS = [
+    ['semester', 'Semester'], ['subject', 'Subject'], ['course', 'Course'], ['category', 'Type'],
+    ['examType', 'Exam'], ['year', 'Year'], ['unitType', 'Designation'], ['unitName', 'Unit'], ['courseCode', 'Code']
+];
+
+const adminState = { uploads: [], previews: [] };
+
+const adminList = document.getElementById('reviewList');
+const adminSummary = document.getElementById('reviewSummary');
+const adminSignIn = document.getElementById('signInForm');
+
+function adminEscape(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function adminToken() {
+    return sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+}
+
+/** fetch() against the worker with the admin token; a 401 signs out. */
+async function adminFetch(path, options = {}) {
+    const response = await fetch(`${WORKER_URL}${path}`, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': `Bearer ${adminToken()}` }
+    });
+    if (response.status === 401) {
+        signOut('That admin token was not accepted.');
+        throw new Error('Not signed in.');
+    }
+    return response;
+}
+
+async function adminPost(path, body) {
+    const response = await adminFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || `The worker answered ${response.status}.`);
+    return data;
+}
+
+function signOut(message) {
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    document.getElementById('reviewArea').hidden = true;
+    adminSignIn.hidden = false;
+    const error = document.getElementById('signInError');
+    error.textContent = message || '';
+    error.hidden = !message;
+}
+
+function fieldValue(details, key) {
+    const value = details ? details[key] : undefined;
+    if (Array.isArray(value)) return value.join(', ');
+    return value === undefined || value === null ? '' : String(value);
+}
+
+function renderFile(file, index) {
+    const isPaper = file.parsed ? file.parsed.category === 'Papers' : true;
+    const parsed = file.parsed
+        ? PARSED_LABELS.filter(([key]) => file.parsed[key]).map(([key, label]) =>
+            `<span class="parsed-field"><b>${label}</b> ${adminEscape(file.parsed[key])}</span>`).join('')
+        : '<span class="parsed-field">The path could not be read.</span>';
+    const problems = file.problems.length
+        ? `<ul class="review-problems">${file.problems.map(p => `<li>⚠️ ${adminEscape(p)}</li>`).join('')}</ul>`
+        : '';
+    const fields = ADMIN_DETAIL_FIELDS.filter(f => !f.paper || isPaper).map(f => {
+        const value = adminEscape(fieldValue(file.details, f.key));
+        const input = f.options
+            ? `<select data-detail="${f.key}">${f.options.map(o => `<option value="${o}"${o === fieldValue(file.details, f.key) ? ' selected' : ''}>${o || '—'}</option>`).join('')}</select>`
+            : `<input type="text" data-detail="${f.key}" value="${value}"${f.max ? ` maxlength="${f.max}"` : ''}${f.placeholder ? ` placeholder="${f.placeholder}"` : ''}>`;
+        return `<label>${f.label}${input}</label>`;
+    }).join('');
+
+    return `
+        <div class="review-file" data-index="${index}">
+            <label class="review-path">${file.published ? 'On the site' : 'Path'}
+                <input type="text" data-path value="${adminEscape(file.path)}"${file.published ? ' readonly' : ''} spellcheck="false">
+            </label>
+            <div class="parsed-fields">${parsed}</div>
+            ${problems}
+            <div class="review-details">${fields}</div>
+            <button type="button" class="btn-preview" data-preview>Preview</button>
+            <div class="review-preview" hidden></div>
+        </div>`;
+}
+
+function renderUpload(upload) {
+    const card = document.createElement('article');
+    card.className = 'review-card';
+    card.dataset.id = upload.id;
+    const when = upload.createdAt ? new Date(upload.createdAt).toLocaleString() : '';
+    const link = upload.url ? ` · <a href="${adminEscape(upload.url)}" target="_blank" rel="noopener">Open PR</a>` : '';
+    const others = upload.otherFiles.length
+        ? `<p class="review-problems">⚠️ Also changes: ${upload.otherFiles.map(f => `<code>${adminEscape(f)}</code>`).join(', ')}</p>`
+        : '';
+    card.innerHTML = `
+        <header class="review-head">
+            <span class="review-kind ${upload.kind}">${upload.kind === 'edit' ? 'Correction' : 'Upload'}</span>
+            <h2>${adminEscape(upload.title)}</h2>
+            <p class="review-meta"><code>${adminEscape(upload.id)}</code> · ${adminEscape(when)}${link}</p>
+        </header>
+        <details class="review-body"><summary>Submission notes</summary><pre>${adminEscape(upload.body || '')}</pre></details>
+        ${others}
+        ${upload.files.map((file, i) => renderFile(file, i)).join('')}
+        <div class="review-actions">
+            <button type="button" class="btn-save" data-save>Save changes</button>
+            <button type="button" class="btn-approve" data-approve>Approve &amp; merge</button>
+            <input type="text" data-reason maxlength="500" placeholder="Reason for rejecting (shown to the uploader)">
+            <button type="button" class="btn-reject" data-reject>Reject</button>
+        </div>
+        <div class="review-status" hidden></div>`;
+
+    card.querySelector('[data-save]').addEventListener('click', () => saveChanges(upload, card));
+    card.querySelector('[data-approve]').addEventListener('click', () => approve(upload, card));
+    card.querySelector('[data-reject]').addEventListener('click', () => reject(upload, card));
+    card.querySelectorAll('[data-preview]').forEach(btn => {
+        const row = btn.closest('.review-file');
+        btn.addEventListener('click', () => togglePreview(upload, upload.files[Number(row.dataset.index)], row));
+    });
+    return card;
+}
+
+function setCardStatus(card, kind, text) {
+    const el = card.querySelector('.review-status');
+    el.className = `review-status ${kind}`;
+    el.textContent = text;
+    el.hidden = false;
+}
+
+async function togglePreview(upload, file, row) {
+    const box = row.querySelector('.review-preview');
+    if (!box.hidden) {
+        box.hidden = true;
+        box.innerHTML = '';
+        return;
+    }
+    box.hidden = false;
+    // Corrections point at a file that is already on the site; submitted files come from the worker
+    if (file.published) {
+        box.innerHTML = `<iframe src="${adminEscape(encodeURI(file.path))}" title="Preview"></iframe>`;
+        return;
+    }
+    box.textContent = 'Loading…';
+    try {
+        const response = await adminFetch(`/admin/file?id=${encodeURIComponent(upload.id)}&path=${encodeURIComponent(file.path)}`);
+        if (!response.ok) throw new Error((await response.json().catch(() => ({}))).message || `The worker answered ${response.status}.`);
+        const url = URL.createObjectURL(new Blob([await response.arrayBuffer()], { type: 'application/pdf' }));
+        adminState.previews.push(url);
+        box.innerHTML = `<iframe src="${url}" title="Preview"></iframe>`;
+    } catch (err) {
+        box.textContent = `Could not load the preview: ${err.message}`;
+    }
+}
+
+/** What changed in a card's inputs, in the shape POST /admin/update takes. */
+function collectChanges(upload, card) {
+    const changes = [];
+    card.querySelectorAll('.review-file').forEach(row => {
+        const file = upload.files[Number(row.dataset.index)];
+        const change = { path: file.path };
+        const rename = row.querySelector('[data-path]').value.trim();
+        if (rename !== file.path) change.rename = rename;
+        const inputs = [...row.querySelectorAll('[data-detail]')];
+        if (inputs.some(el => el.value.trim() !== fieldValue(file.details, el.dataset.detail))) {
+            // The worker replaces every detail field, so send the ones this file type doesn't show as they are
+            change.details = Object.fromEntries(ADMIN_DETAIL_FIELDS.map(f => [f.key, fieldValue(file.details, f.key)]));
+            inputs.forEach(el => { change.details[el.dataset.detail] = el.value.trim(); });
+        }
+        if (change.rename || change.details) changes.push(change);
+    });
+    return changes;
+}
+
+async function saveChanges(upload, card) {
+    const changes = collectChanges(upload, card);
+    if (!changes.length) {
+        setCardStatus(card, 'error', 'Nothing has changed.');
+        return;
+    }
+    await runAction(card, 'Saving…', async () => {
+        await adminPost('/admin/update', { id: upload.id, changes });
+        await loadPending(`Saved the changes to ${upload.id}.`);
+    });
+}
+
+async function approve(upload, card) {
+    if (collectChanges(upload, card).length) {
+        setCardStatus(card, 'error', 'Save or undo your changes before approving.');
+        return;
+    }
+    await runAction(card, 'Merging…', async () => {
+        await adminPost('/admin/approve', { id: upload.id });
+        await loadPending(`✅ Approved ${upload.id}. The site data is rebuilt after the merge.`);
+    });
+}
+
+async function reject(upload, card) {
+    const reason = card.querySelector('[data-reason]').value.trim();
+    if (!reason) {
+        setCardStatus(card, 'error', 'Give a reason, so the uploader knows why.');
+        card.querySelector('[data-reason]').focus();
+        return;
+    }
+    await runAction(card, 'Rejecting…', async () => {
+        await adminPost('/admin/reject', { id: upload.id, reason });
+        await loadPending(`Rejected ${upload.id}.`);
+    });
+}
+
+async function runAction(card, busyText, action) {
+    const buttons = card.querySelectorAll('button');
+    buttons.forEach(b => { b.disabled = true; });
+    setCardStatus(card, 'info', busyText);
+    try {
+        await action();
+    } catch (err) {
+        if (card.isConnected) setCardStatus(card, 'error', err.message);
+        buttons.forEach(b => { b.disabled = false; });
+    }
+}
+
+async function loadPending(message) {
+    adminSummary.textContent = 'Loading…';
+    let data;
+    try {
+        const response = await adminFetch('/admin/pending');
+        data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.message || `The worker answered ${response.status}.`);
+    } catch (err) {
+        adminSummary.textContent = `Could not load the review list: ${err.message}`;
+        return;
+    }
+
+    adminState.previews.forEach(url => URL.revokeObjectURL(url));
+    adminState.previews = [];
+    adminState.uploads = data.uploads || [];
+    adminList.innerHTML = '';
+    adminState.uploads.forEach(upload => adminList.appendChild(renderUpload(upload)));
+    const count = adminState.uploads.length;
+    adminSummary.textContent = (message ? `${message} ` : '')
+        + (count ? `${count} submission${count === 1 ? '' : 's'} waiting for review.` : 'Nothing is waiting for review.');
+}
+
+adminSignIn.addEventListener('submit', e => {
+    e.preventDefault();
+    const token = document.getElementById('adminTokenInput').value.trim();
+    if (!token) return;
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+    adminSignIn.reset();
+    showReview();
+});
+
+document.getElementById('refreshReview').addEventListener('click', () => loadPending());
+document.getElementById('signOut').addEventListener('click', () => signOut());
+
+function showReview() {
+    adminSignIn.hidden = true;
+    document.getElementById('signInError').hidden = true;
+    document.getElementById('reviewArea').hidden = false;
+    loadPending();
+}
+
+if (adminToken()) showReview();
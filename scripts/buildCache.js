@@ -0,0 +1,137 @@
+/**
+ * Build cache for generateData.js.
+ *
+ * Remembers size, mtime and SHA-256 of every input file, plus anything
+ * expensive derived from it (extracted PDF text). A file whose size and mtime
+ * match is trusted without reading it; one whose mtime changed (e.g. a fresh
+ * git checkout in CI) is re-hashed, and if the hash matches its cached data is
+ * reused.
+ *
+ * The cache lives in .cache/ (git-ignored) and is safe to delete at any time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_VERSION = 1;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/** Hash the contents of several files together (missing files count as empty). */
+function hashFiles(files) {
+  const h = crypto.createHash('sha256');
+  files.forEach(f => {
+    h.update(f);
+    h.update(fs.existsSync(f) && fs.statSync(f).isFile() ? fs.readFileSync(f) : '');
+  });
+  return h.digest('hex');
+}
+
+class BuildCache {
+  /**
+   * @param {string} file where the cache is stored
+   * @param {{ derivedVersion: string }} opts derived data (e.g. extracted text) is
+   *   dropped when this changes, because the code that produced it changed
+   */
+  constructor(file, { derivedVersion }) {
+    this.file = file;
+    this.derivedVersion = derivedVersion;
+    this.files = {};
+    this.fingerprint = null;
+    this.outputs = null;
+    this.added = [];
+    this.modified = [];
+    this.removed = [];
+    this.seen = new Set();
+
+    let saved = null;
+    try {
+      saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      saved = null; // first run, or the cache was deleted / is corrupt
+    }
+    if (saved && saved.version === CACHE_VERSION) {
+      this.files = saved.files || {};
+      this.fingerprint = saved.fingerprint || null;
+      this.outputs = saved.outputs || null;
+      if (saved.derivedVersion !== derivedVersion) {
+        Object.values(this.files).forEach(e => { e.data = {}; });
+      }
+    }
+  }
+
+  /**
+   * Content hash of a file, read from disk only if size or mtime changed.
+   * @param {string} rel repo-relative path, used as the cache key
+   * @param {string} full absolute path
+   */
+  hash(rel, full) {
+    this.seen.add(rel);
+    const st = fs.statSync(full);
+    const entry = this.files[rel];
+    if (entry && entry.size === st.size && entry.mtimeMs === st.mtimeMs) return entry.hash;
+
+    const hash = sha256(fs.readFileSync(full));
+    if (entry && entry.hash === hash) {
+      // Touched but not changed: keep what we derived from it
+      entry.mtimeMs = st.mtimeMs;
+      return hash;
+    }
+    (entry ? this.modified : this.added).push(rel);
+    this.files[rel] = { size: st.size, mtimeMs: st.mtimeMs, hash, data: {} };
+    return hash;
+  }
+
+  /** Cached value derived from a file, computed (and stored) on a miss. hash() must have been called first. */
+  derived(rel, key, compute) {
+    const entry = this.files[rel];
+    if (!entry) return compute();
+    if (!(key in entry.data)) entry.data[key] = compute();
+    return entry.data[key];
+  }
+
+  /** Forget files that were not hash()ed during this run. */
+  prune() {
+    Object.keys(this.files).forEach(rel => {
+      if (!this.seen.has(rel)) {
+        this.removed.push(rel);
+        delete this.files[rel];
+      }
+    });
+  }
+
+  /** One hash over every input's path and content, plus `extra` (e.g. generator sources). */
+  computeFingerprint(extra) {
+    const h = crypto.createHash('sha256');
+    h.update(String(extra || ''));
+    Object.keys(this.files).sort().forEach(rel => h.update(`${rel}\0${this.files[rel].hash}\n`));
+    return h.digest('hex');
+  }
+
+  summary() {
+    const unchanged = this.seen.size - this.added.length - this.modified.length;
+    return `${this.added.length} new, ${this.modified.length} changed, ${this.removed.length} removed, ${unchanged} unchanged`;
+  }
+
+  /**
+   * @param {string|null} fingerprint of the inputs this build used; null when the build failed
+   * @param {string|null} outputs hash of what it wrote, so edits to the outputs force a rebuild
+   */
+  save(fingerprint, outputs) {
+    this.fingerprint = fingerprint;
+    this.outputs = outputs;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({
+      version: CACHE_VERSION,
+      derivedVersion: this.derivedVersion,
+      fingerprint,
+      outputs,
+      files: this.files
+    }) + '\n', 'utf8');
+  }
+}
+
+module.exports = { BuildCache, hashFiles, sha256 };
@@ -0,0 +1,199 @@
+/**
+ * Human-readable diff of what generateData.js changed in data/.
+ *
+ * Works on entries rather than JSON lines: papers (sem_N.json) and syllabus
+ * materials (syllabus_sem_N.json) are matched by their `file`, grouped by
+ * semester and subject, and compared field by field. The search index and
+ * full-text shards are derived from the same entries, so they only get a
+ * one-line summary.
+ *
+ * Used by `generateData.js --dry-run` / `--diff` / `--report <file.md>`.
+ */
+
+const IGNORED = Symbol('ignored');
+
+// How to turn each output file into comparable entries
+const DIFF_KINDS = [
+    {
+        match: /^sem_(\d+)\.json$/,
+        label: 'Papers',
+        entries: list => (list || []).map(e => ({ subject: e.subject, entry: e }))
+    },
+    {
+        match: /^syllabus_sem_(\d+)\.json$/,
+        label: 'Notes & syllabus',
+        entries: list => (list || []).flatMap(s => (s.units || []).flatMap(u => (u.materials || []).map(m => ({
+            subject: s.subject,
+            entry: { unit: u.title, ...m }
+        }))))
+    },
+    {
+        match: /^search_index\.json$/,
+        label: 'Search index',
+        summary: (a, b) => `${(a || []).length} → ${(b || []).length} items`
+    },
+    {
+        match: /^fulltext\/manifest\.json$/,
+        label: 'Full-text index',
+        summary: (a, b) => {
+            const docs = v => (v && v.docs) || 0;
+            const terms = v => (v && v.shards ? v.shards.reduce((n, s) => n + s.terms, 0) : 0);
+            return `${docs(a)} → ${docs(b)} documents, ${terms(a)} → ${terms(b)} terms`;
+        }
+    },
+    { match: /^fulltext\//, summary: IGNORED } // shards, documents and texts are summed up in the manifest
+];
+
+function parse(text) {
+    if (text == null) return undefined;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+}
+
+function show(value) {
+    if (value === undefined) return '(none)';
+    return JSON.stringify(value);
+}
+
+/** Fields whose value differs between two versions of an entry. */
+function fieldChanges(before, after) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys
+        .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+        .map(k => ({ field: k, before: before[k], after: after[k] }));
+}
+
+/**
+ * Compare old and new versions of the output files.
+ *
+ * @param {Array<{ file: string, before: string|null, after: string|null }>} outputs
+ *   file is relative to data/; null content means the file doesn't exist (yet / any more)
+ * @returns {{ sections: Array<{ file: string, label: string, semester: string|null, status: string,
+ *             summary?: string, subjects?: Object<string, { added: object[], removed: object[],
+ *             modified: Array<{ entry: object, changes: object[] }> }> }>, totals: { added: number, removed: number, modified: number } }}
+ */
+function diffOutputs(outputs) {
+    const totals = { added: 0, removed: 0, modified: 0 };
+    const sections = [];
+
+    outputs.slice().sort((a, b) => a.file.localeCompare(b.file, undefined, { numeric: true })).forEach(({ file, before, after }) => {
+        const kind = DIFF_KINDS.find(k => k.match.test(file));
+        if (!kind || kind.summary === IGNORED) return;
+        const m = kind.match.exec(file);
+        const status = before == null ? 'new file' : after == null ? 'deleted' : 'modified';
+        const section = { file, label: kind.label, semester: m[1] ? m[1].replace('sem_', '') : null, status };
+
+        if (kind.summary) {
+            section.summary = kind.summary(parse(before), parse(after));
+            sections.push(section);
+            return;
+        }
+
+        const subjects = {};
+        const bucket = subject => {
+            subjects[subject] = subjects[subject] || { added: [], removed: [], modified: [] };
+            return subjects[subject];
+        };
+        const oldEntries = new Map(kind.entries(parse(before)).map(x => [x.entry.file, x]));
+        const newEntries = new Map(kind.entries(parse(after)).map(x => [x.entry.file, x]));
+
+        newEntries.forEach((x, key) => {
+            const old = oldEntries.get(key);
+            if (!old) {
+                bucket(x.subject).added.push(x.entry);
+                return;
+            }
+            const changes = fieldChanges(old.entry, x.entry);
+            if (changes.length) bucket(x.subject).modified.push({ entry: x.entry, changes });
+        });
+        oldEntries.forEach((x, key) => {
+            if (!newEntries.has(key)) bucket(x.subject).removed.push(x.entry);
+        });
+
+        Object.values(subjects).forEach(s => {
+            totals.added += s.added.length;
+            totals.removed += s.removed.length;
+            totals.modified += s.modified.length;
+        });
+        section.subjects = subjects;
+        sections.push(section);
+    });
+
+    return { sections, totals };
+}
+
+function totalsLine(totals) {
+    return `${totals.added} added, ${totals.removed} removed, ${totals.modified} modified`;
+}
+
+function sectionTitle(s) {
+    return `${s.semester ? `Semester ${s.semester} — ` : ''}${s.label} (data/${s.file}, ${s.status})`;
+}
+
+/** Plain-text report for the terminal. */
+function formatDiffText(report) {
+    if (!report.sections.length) return 'No changes to data/.';
+    const lines = [];
+    report.sections.forEach(s => {
+        if (s.summary) {
+            lines.push(`${sectionTitle(s)}: ${s.summary}`);
+            return;
+        }
+        lines.push(sectionTitle(s));
+        Object.keys(s.subjects).sort().forEach(subject => {
+            const { added, removed, modified } = s.subjects[subject];
+            lines.push(`  ${subject}`);
+            added.forEach(e => lines.push(`    + ${e.title}  (${e.file})`));
+            removed.forEach(e => lines.push(`    - ${e.title}  (${e.file})`));
+            modified.forEach(({ entry, changes }) => {
+                lines.push(`    ~ ${entry.title}  (${entry.file})`);
+                changes.forEach(c => lines.push(`        ${c.field}: ${show(c.before)} → ${show(c.after)}`));
+            });
+        });
+    });
+    lines.push('', `Total: ${totalsLine(report.totals)}`);
+    return lines.join('\n');
+}
+
+function mdCode(value) {
+    return '`' + String(value).replace(/`/g, "'") + '`';
+}
+
+function mdText(value) {
+    return String(value).replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+/** Markdown report, e.g. for a PR comment. */
+function formatDiffMarkdown(report, heading = 'Data changes') {
+    const lines = [`### ${heading}`, ''];
+    if (!report.sections.length) {
+        lines.push('No changes to `data/`.');
+        return lines.join('\n') + '\n';
+    }
+    lines.push(`**${totalsLine(report.totals)}**`, '');
+
+    report.sections.forEach(s => {
+        if (s.summary) {
+            lines.push(`- ${mdText(sectionTitle(s))}: ${s.summary}`);
+            return;
+        }
+        lines.push('', `#### ${mdText(sectionTitle(s))}`, '');
+        Object.keys(s.subjects).sort().forEach(subject => {
+            const { added, removed, modified } = s.subjects[subject];
+            lines.push(`**${mdText(subject)}**`, '');
+            added.forEach(e => lines.push(`- ➕ ${mdText(e.title)} — ${mdCode(e.file)}`));
+            removed.forEach(e => lines.push(`- ➖ ${mdText(e.title)} — ${mdCode(e.file)}`));
+            modified.forEach(({ entry, changes }) => {
+                lines.push(`- ✏️ ${mdText(entry.title)} — ${mdCode(entry.file)}`);
+                changes.forEach(c => lines.push(`  - ${mdCode(c.field)}: ${mdCode(show(c.before))} → ${mdCode(show(c.after))}`));
+            });
+            lines.push('');
+        });
+    });
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+module.exports = { diffOutputs, formatDiffText, formatDiffMarkdown };
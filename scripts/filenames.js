@@ -0,0 +1,158 @@
+// Filename grammar for papers and syllabi.
+//
+//   {Subject}[_{CoreSubject}]_{CourseCode}[_{ExamType}][_{Year}].pdf   (Papers)
+//   {Subject}[_{CoreSubject}]_{CourseCode}_Syllabus.pdf                  (Syllabus)
+//
+//   Physics_401_External_2026.pdf      -> Physics, 401, External, 2026
+//   SEC_Physics_406_Internal_2026.pdf  -> SEC (core: Physics), 406, Internal, 2026
+//   English_AEC_404_External_2025.pdf  -> English AEC, 404, External, 2025
+//   Chemistry_401A_Syllabus.pdf        -> Chemistry, 401A, Syllabus
+//
+// The upload form and the upload worker build names with buildPaperFilename()
+// and generateData.js reads them back with parsePaperFilename(), so they can't
+// drift apart.
+// Notes keep the uploader's own file name, made safe by cleanNoteFilename(); the
+// upload worker and validateUpload.js both check it with isNoteFilename().
+// Loaded as a plain <script> in the browser, after scripts/taxonomy.js, and
+// required from Node.
+
+const FILENAME_TAXONOMY = typeof TAXONOMY !== 'undefined' ? TAXONOMY : require('./taxonomy').TAXONOMY;
+
+const FILENAME_EXAM_TYPES = FILENAME_TAXONOMY.examTypes.map(e => e.id);
+
+// Subjects that carry a core subject after them (SEC_Physics_...)
+const FILENAME_UNIT_SUBJECTS = FILENAME_TAXONOMY.subjects.filter(s => s.needsCoreSubject).map(s => s.id.toUpperCase());
+
+const COURSE_CODE_RE = /^\d{3}A?$/i;
+const YEAR_RE = /^(19|20)\d{2}$/;
+// Letters, digits, spaces, ".", "-" and "_"; ends in .pdf and doesn't start with a dot
+const NOTE_FILENAME_RE = /^[a-zA-Z0-9\-_][a-zA-Z0-9.\-_ ]*\.pdf$/i;
+
+/** "Computer Science" / "Computer_Science" -> "Computer_Science"; strips anything unsafe in a URL. */
+function filenameSegment(s) {
+    return String(s || '')
+        .trim()
+        .replace(/[\s_]+/g, '_')
+        .replace(/[^a-zA-Z0-9\-_]/g, '')
+        .replace(/_+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/** Filename words -> display name. Also splits old CamelCase names ("ComputerScience", "EnglishAEC"). */
+function displayWords(tokens) {
+    return tokens
+        .join(' ')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Build a filename from structured fields.
+ *
+ * @param {{ subject: string, coreSubject?: string, courseCode: string, examType?: string,
+ *           year?: number|string, category?: 'Papers'|'Syllabus' }} fields
+ * @returns {string} e.g. "SEC_Physics_406_Internal_2026.pdf", or '' when subject/course code are missing
+ */
+function buildPaperFilename(fields) {
+    const subject = filenameSegment(fields.subject);
+    const courseCode = String(fields.courseCode || '').trim().toUpperCase();
+    if (!subject || !courseCode) return '';
+
+    const parts = [subject];
+    const core = filenameSegment(fields.coreSubject);
+    if (core) parts.push(core);
+    parts.push(courseCode);
+
+    if (fields.category === 'Syllabus') {
+        parts.push('Syllabus');
+    } else {
+        if (fields.examType) parts.push(filenameSegment(fields.examType));
+        if (fields.year) parts.push(String(fields.year).trim());
+    }
+    return parts.join('_') + '.pdf';
+}
+
+/** An uploaded notes file's name as it is stored: other characters dropped, runs of spaces collapsed. */
+function cleanNoteFilename(name) {
+    return String(name || '').replace(/[^a-zA-Z0-9.\-_ ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/** Whether a notes file name is one cleanNoteFilename() can produce and the site accepts. */
+function isNoteFilename(name) {
+    return NOTE_FILENAME_RE.test(String(name || ''));
+}
+
+/**
+ * Key of a course in data/courses.json: the filename up to and including the
+ * course code, e.g. "Physics_401", "SEC_Physics_406", "English_AEC_404".
+ */
+function courseKey(fields) {
+    const parts = [filenameSegment(fields.subject)];
+    const core = filenameSegment(fields.coreSubject);
+    if (core) parts.push(core);
+    parts.push(String(fields.courseCode || fields.code || '').trim().toUpperCase());
+    return parts.join('_');
+}
+
+/** Inverse of courseKey(): "SEC_Physics_406" -> { subject: 'SEC', coreSubject: 'Physics', code: '406' }. */
+function parseCourseKey(key) {
+    const parsed = parsePaperFilename(key);
+    return parsed ? { subject: parsed.subject, coreSubject: parsed.coreSubject, code: parsed.courseCode } : null;
+}
+
+/**
+ * Parse a filename built by buildPaperFilename() (or one of the older hand-named
+ * variants such as "ComputerScience_101_External.pdf").
+ *
+ * @param {string} filename basename, with or without ".pdf"
+ * @returns {{ subject: string, coreSubject: string|null, courseCode: string, examType: string|null,
+ *             year: number|null, category: 'Papers'|'Syllabus' } | null} null when the name doesn't follow the grammar
+ */
+function parsePaperFilename(filename) {
+    const base = String(filename || '').split(/[\\/]/).pop().replace(/\.pdf$/i, '');
+    const tokens = base.split('_').filter(Boolean);
+
+    const codeAt = tokens.findIndex(t => COURSE_CODE_RE.test(t));
+    if (codeAt < 1) return null;
+
+    const before = tokens.slice(0, codeAt);
+    const after = tokens.slice(codeAt + 1);
+
+    let subject = displayWords(before);
+    let coreSubject = null;
+    const unit = before[0].toUpperCase();
+    if (FILENAME_UNIT_SUBJECTS.includes(unit) && before.length > 1) {
+        subject = unit;
+        coreSubject = displayWords(before.slice(1));
+    }
+
+    const result = {
+        subject,
+        coreSubject,
+        courseCode: tokens[codeAt].toUpperCase(),
+        examType: null,
+        year: null,
+        category: 'Papers'
+    };
+
+    if (after.length === 1 && after[0].toLowerCase() === 'syllabus') {
+        result.category = 'Syllabus';
+        return result;
+    }
+
+    for (const t of after) {
+        const exam = FILENAME_EXAM_TYPES.find(e => e.toLowerCase() === t.toLowerCase());
+        if (exam && !result.examType && result.year === null) result.examType = exam;
+        else if (YEAR_RE.test(t) && result.year === null) result.year = Number(t);
+        else return null; // anything else means it isn't ours ("..._3004.pdf")
+    }
+    return result;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildPaperFilename, parsePaperFilename, courseKey, parseCourseKey, filenameSegment, cleanNoteFilename, isNoteFilename,
+        FILENAME_EXAM_TYPES, COURSE_CODE_RE, YEAR_RE
+    };
+}
@@ -0,0 +1,224 @@
+// Full-text search over PDF contents.
+//
+// The index is produced by scripts/generateData.js and sharded by the first
+// character of each term, so a query only downloads the shards its own terms
+// start with:
+//   data/fulltext/manifest.json       – document count and the list of shards
+//   data/fulltext/docs.json           – every indexed document, with its semester
+//   data/fulltext/terms_<key>.json    – term -> flat [doc, page, count, ...] triples
+//                                       for the terms starting with that character
+//   data/fulltext/text_<doc>.json     – one document's page texts, only fetched
+//                                       to build a snippet for it
+//
+// This file is loaded as a plain <script> in the browser (exposing FULLTEXT)
+// and required from Node by the generator, so the tokenizer and the shard
+// names are shared and the index and the queries always agree on them.
+
+const FULLTEXT_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which', 'with'
+]);
+
+/**
+ * Split text into index terms: lower-cased runs of letters/digits (any script),
+ * with diacritics folded and stopwords dropped.
+ */
+function fullTextTokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(t => t.length > 1 && !FULLTEXT_STOPWORDS.has(t));
+}
+
+/**
+ * Shard a term is stored in: its first character, written as a hex code point
+ * when it isn't a-z or 0-9 (e.g. "thermal" -> "t", "સમય" -> "u0ab8").
+ */
+function fullTextShardKey(term) {
+    const first = String.fromCodePoint(term.codePointAt(0));
+    return /^[a-z0-9]$/.test(first) ? first : `u${first.codePointAt(0).toString(16).padStart(4, '0')}`;
+}
+
+/** File holding the page texts of document `docIndex` in docs.json. */
+function fullTextTextFile(docIndex) {
+    return `text_${docIndex}.json`;
+}
+
+function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Build a short HTML snippet around the first occurrence of any query term,
+ * with every occurrence wrapped in <mark>.
+ */
+function fullTextSnippet(pageText, terms, radius = 70) {
+    const text = String(pageText || '').replace(/\s+/g, ' ');
+    const lower = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    // NFKD can change the length for some scripts; fall back to the raw text then.
+    const haystack = lower.length === text.length ? lower : text.toLowerCase();
+
+    let first = -1;
+    terms.forEach(t => {
+        const i = haystack.indexOf(t);
+        if (i !== -1 && (first === -1 || i < first)) first = i;
+    });
+    if (first === -1) first = 0;
+
+    let start = Math.max(0, first - radius);
+    let end = Math.min(text.length, first + radius * 2);
+    // Snap to word boundaries
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > first ? text.lastIndexOf(' ', end) : end;
+
+    const slice = text.slice(start, end);
+    const sliceLower = haystack.slice(start, end);
+    let html = '';
+    let i = 0;
+    while (i < slice.length) {
+        let hit = 0;
+        for (const t of terms) {
+            if (sliceLower.startsWith(t, i) && t.length > hit) hit = t.length;
+        }
+        if (hit) {
+            html += `<mark>${escapeHtml(slice.slice(i, i + hit))}</mark>`;
+            i += hit;
+        } else {
+            html += escapeHtml(slice[i]);
+            i++;
+        }
+    }
+    return (start > 0 ? '… ' : '') + html + (end < text.length ? ' …' : '');
+}
+
+// ── Browser loader ───────────────────────────────────────────────────────────
+
+const FULLTEXT = {
+    base: 'data/fulltext/',
+    manifest: null,
+    docs: null,
+    shards: {}, // shard key -> Promise<{ term: postings }>
+    texts: {},  // doc index -> Promise<string[]>
+
+    fetchJson(file, fallback) {
+        return fetch(this.base + file, { cache: 'no-cache' })
+            .then(res => (res.ok ? res.json() : fallback))
+            .catch(() => fallback);
+    },
+
+    async loadManifest() {
+        if (!this.manifest) this.manifest = this.fetchJson('manifest.json', { docs: 0, shards: [] });
+        return this.manifest;
+    },
+
+    loadDocs() {
+        if (!this.docs) this.docs = this.fetchJson('docs.json', []);
+        return this.docs;
+    },
+
+    loadShard(shard) {
+        if (!this.shards[shard.key]) this.shards[shard.key] = this.fetchJson(shard.index, {});
+        return this.shards[shard.key];
+    },
+
+    loadText(docIndex) {
+        if (!this.texts[docIndex]) this.texts[docIndex] = this.fetchJson(fullTextTextFile(docIndex), []);
+        return this.texts[docIndex];
+    },
+
+    /**
+     * Find pages containing every query term. The last term is matched as a
+     * prefix so results appear while the user is still typing.
+     *
+     * `opts.expand(term, vocab, isLast)` can replace the default matching; it
+     * returns a Map of vocabulary term -> weight (see SEARCH.expandForFullText).
+     * Only the shards the query's terms start with are searched, so a typo in
+     * the first letter of a word isn't corrected here.
+     *
+     * @param {string} query
+     * @param {{ semesters?: string[], limit?: number, expand?: Function }} [opts] semesters are keys like "sem_4"
+     * @returns {Promise<Array<{ doc, semester, page, snippet, hits }>>}
+     */
+    async search(query, opts = {}) {
+        const terms = fullTextTokenize(query);
+        if (terms.length === 0) return [];
+        const limit = opts.limit || 10;
+
+        const { shards } = await this.loadManifest();
+        const keys = new Set(terms.map(fullTextShardKey));
+        // A term whose shard doesn't exist can't match, and every term has to
+        if (![...keys].every(key => shards.some(s => s.key === key))) return [];
+        const [docs, ...termMaps] = await Promise.all([
+            this.loadDocs(),
+            ...shards.filter(s => keys.has(s.key)).map(s => this.loadShard(s))
+        ]);
+
+        const inScope = doc => !opts.semesters || opts.semesters.includes(doc.semester);
+        const matches = matchTerms(Object.assign({}, ...termMaps), docs, terms, opts.expand)
+            .filter(m => m.doc && inScope(m.doc))
+            .sort((a, b) => b.hits - a.hits)
+            .slice(0, limit);
+
+        // Snippets need the page text, which lives in a separate (larger) file per document.
+        return Promise.all(matches.map(async m => {
+            const pageText = (await this.loadText(m.docIndex))[m.page] || '';
+            return {
+                doc: m.doc,
+                semester: m.doc.semester,
+                page: m.page + 1,
+                hits: m.hits,
+                snippet: fullTextSnippet(pageText, m.matched)
+            };
+        }));
+    }
+};
+
+/** Pages of `docs` holding every query term, given the postings of the shards they fall in. */
+function matchTerms(index, docs, terms, expand) {
+    const vocab = Object.keys(index);
+    const last = terms.length - 1;
+    const matched = new Set();
+
+    // For each query term, the set of "doc:page" keys that contain it.
+    const sets = terms.map((term, i) => {
+        const keys = new Map();
+        let expansions;
+        if (expand) expansions = [...expand(term, vocab, i === last).keys()];
+        else expansions = i === last ? vocab.filter(v => v.startsWith(term)) : (index[term] ? [term] : []);
+        expansions.forEach(v => {
+            matched.add(v);
+            const postings = index[v];
+            for (let p = 0; p < postings.length; p += 3) {
+                const key = postings[p] + ':' + postings[p + 1];
+                keys.set(key, (keys.get(key) || 0) + postings[p + 2]);
+            }
+        });
+        return keys;
+    });
+
+    const matchedTerms = [...matched];
+    const out = [];
+    sets[0].forEach((count, key) => {
+        let hits = count;
+        for (let i = 1; i < sets.length; i++) {
+            if (!sets[i].has(key)) return;
+            hits += sets[i].get(key);
+        }
+        const [docIndex, page] = key.split(':').map(Number);
+        out.push({ docIndex, page, doc: docs[docIndex], hits, matched: matchedTerms });
+    });
+
+    // One result per document: keep its best page.
+    const best = new Map();
+    out.forEach(m => {
+        const prev = best.get(m.docIndex);
+        if (!prev || m.hits > prev.hits || (m.hits === prev.hits && m.page < prev.page)) best.set(m.docIndex, m);
+    });
+    return [...best.values()];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FULLTEXT, fullTextTokenize, fullTextSnippet, fullTextShardKey, fullTextTextFile, FULLTEXT_STOPWORDS };
+}
@@ -1,9 +1,38 @@
 const fs = require('fs');
 const path = require('path');
+const { extractPdfText } = require('./pdfText');
+const { fullTextTokenize, fullTextShardKey, fullTextTextFile } = require('./fulltext');
+const { parsePaperFilename, courseKey } = require('./filenames');
+const { TAXONOMY, UNIT_SUBJECTS, GENERAL_SUBJECTS } = require('./taxonomy');
+const { validateJsonFile, validateJsonText, dataSchemaFor, validateDataDir, readSidecarChecked, checkPdfPath } = require('./validateData');
+const { BuildCache, hashFiles, sha256 } = require('./buildCache');
+const { diffOutputs, formatDiffText, formatDiffMarkdown } = require('./dataDiff');
 
 const root = path.resolve(__dirname, '..');
 const pdfRoot = path.join(root, 'pdfs');
 const dataDir = path.join(root, 'data');
+const fullTextDir = path.join(dataDir, 'fulltext');
+
+// --strict: bad sidecars, unknown folders and schema violations fail the build
+// instead of just being printed.
+// --force: ignore the build cache and redo everything.
+// --watch: rebuild whenever something under pdfs/ changes (for local use).
+// --dry-run: work out the new data/ files and report how they differ, without writing them.
+// --diff: write data/ as usual and report what changed.
+// --report <file.md>: also save that report as Markdown (e.g. for a PR comment).
+// --collapse-duplicates: list identical PDFs once, with the other copies as `locations`.
+const strict = process.argv.includes('--strict');
+const collapseDuplicates = process.argv.includes('--collapse-duplicates');
+const force = process.argv.includes('--force');
+const dryRun = process.argv.includes('--dry-run');
+const reportArg = process.argv.indexOf('--report');
+const reportPath = reportArg !== -1 ? process.argv[reportArg + 1] : null;
+const reporting = dryRun || reportPath || process.argv.includes('--diff');
+if (reportArg !== -1 && (!reportPath || reportPath.startsWith('--'))) {
+  console.error('--report needs a file name, e.g. --report data-diff.md');
+  process.exit(1);
+}
+const problems = [];
 
 if (!fs.existsSync(pdfRoot)) {
   console.error('pdfs folder not found:', pdfRoot);
@@ -11,6 +40,94 @@ if (!fs.existsSync(pdfRoot)) {
 }
 if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
 
+// ── Watch mode ───────────────────────────────────────────────────────────────
+// Each rebuild runs in a fresh child process, so no state leaks between runs;
+// the build cache keeps them quick.
+
+function watchAndRebuild() {
+  const { spawn } = require('child_process');
+  const args = [__filename, ...process.argv.slice(2).filter(a => a !== '--watch')];
+  let timer = null;
+  let running = false;
+  let pending = false;
+
+  const rebuild = () => {
+    if (running) { pending = true; return; }
+    running = true;
+    spawn(process.execPath, args, { stdio: 'inherit' }).on('exit', code => {
+      running = false;
+      console.log(code === 0 ? '\nWatching pdfs/ for changes...' : `\nBuild failed (exit ${code}). Watching pdfs/ for changes...`);
+      if (pending) { pending = false; rebuild(); }
+    });
+  };
+
+  // Copying a folder of PDFs fires many events; wait for it to settle
+  fs.watch(pdfRoot, { recursive: true }, (event, name) => {
+    if (name && !/\.pdf(\.json)?$/i.test(name) && path.extname(name)) return; // editor swap files etc.
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, 300);
+  });
+  rebuild();
+}
+
+if (process.argv.includes('--watch')) {
+  watchAndRebuild();
+  return; // a top-level return ends a CommonJS module; the parent only watches
+}
+
+// ── Build cache ──────────────────────────────────────────────────────────────
+// .cache/generateData.json remembers every input's size, mtime and hash plus the
+// text extracted from each PDF, so only new or changed PDFs are read again.
+
+const cache = new BuildCache(path.join(root, '.cache', 'generateData.json'), {
+  // Extracted text is only as good as the extractor that produced it
+  derivedVersion: hashFiles([path.join(__dirname, 'pdfText.js')])
+});
+
+// Anything besides pdfs/ that changes the output
+const generatorInputs = [
+  'scripts/generateData.js', 'scripts/pdfText.js', 'scripts/fulltext.js', 'scripts/filenames.js',
+  'scripts/validateData.js', 'scripts/jsonSchema.js', 'scripts/taxonomy.js', 'data/courses.json',
+  ...fs.readdirSync(path.join(root, 'schemas')).map(f => `schemas/${f}`),
+  ...(fs.existsSync(path.join(dataDir, 'outlines')) ? fs.readdirSync(path.join(dataDir, 'outlines')).map(f => `data/outlines/${f}`) : [])
+].map(f => path.join(root, f));
+
+// Every output file that changed, as { file (relative to data/), before, after }; null = doesn't exist
+const outputChanges = [];
+
+/** Write a data file only if its content changed, so unchanged outputs keep their mtime and git stays quiet. */
+function writeIfChanged(outPath, content) {
+  const before = fs.existsSync(outPath) ? fs.readFileSync(outPath, 'utf8') : null;
+  if (before === content) return false;
+  outputChanges.push({ file: path.relative(dataDir, outPath).replace(/\\/g, '/'), before, after: content });
+  if (!dryRun) {
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, content, 'utf8');
+  }
+  return true;
+}
+
+function removeOutput(outPath) {
+  outputChanges.push({ file: path.relative(dataDir, outPath).replace(/\\/g, '/'), before: fs.readFileSync(outPath, 'utf8'), after: null });
+  if (!dryRun) fs.unlinkSync(outPath);
+}
+
+/** Hash of everything this script writes, to notice when data/ was edited or reset by hand. */
+function hashOutputs() {
+  const outputs = fs.readdirSync(dataDir)
+    .filter(f => /^(sem_|syllabus_sem_|search_index|hashes|navigation).*\.json$/.test(f))
+    .map(f => path.join(dataDir, f));
+  if (fs.existsSync(fullTextDir)) {
+    outputs.push(...fs.readdirSync(fullTextDir).map(f => path.join(fullTextDir, f)));
+  }
+  return hashFiles(outputs.sort());
+}
+
+function logWrite(changed, message) {
+  if (!changed) console.log(`${message} (unchanged)`);
+  else console.log(dryRun ? message.replace(/^Wrote/, 'Would write') : message);
+}
+
 function walk(dir) {
   const out = [];
   for (const d of fs.readdirSync(dir, { withFileTypes: true })) {
@@ -44,22 +161,354 @@ function cleanTitle(name) {
     .trim();
 }
 
+// Four-digit year anywhere in a name. `\b` doesn't work here because "_" counts as a word character.
+function yearFromName(name) {
+  const m = String(name).match(/(?:^|[^\d])((?:19|20)\d{2})(?!\d)/);
+  return m ? Number(m[1]) : null;
+}
+
 function readSidecar(pdfFull) {
-  const j = pdfFull + '.json';
-  if (!fs.existsSync(j)) return null;
-  try { return JSON.parse(fs.readFileSync(j, 'utf8')); } catch { return null; }
+  const { value, errors } = readSidecarChecked(pdfFull);
+  problems.push(...errors);
+  return value;
+}
+
+// Sidecar fields nothing else can work out; copied onto the entry and its search item as they are
+const SIDECAR_EXTRAS = ['author', 'tags', 'language'];
+
+function withSidecarExtras(entry, side) {
+  if (side) SIDECAR_EXTRAS.forEach(k => { if (side[k] !== undefined) entry[k] = side[k]; });
+  return entry;
+}
+
+// ── Course catalogue ─────────────────────────────────────────────────────────
+// data/courses.json is hand-maintained. Keys are courseKey() of the entry
+// ("Physics_401", "SEC_Physics_406"), values describe the course.
+
+const coursesPath = path.join(dataDir, 'courses.json');
+function loadCourses() {
+  if (!fs.existsSync(coursesPath)) return {};
+  const { value: courses, errors } = validateJsonFile(coursesPath, 'courses.schema.json');
+
+  // Things the schema can't express
+  if (courses) {
+    Object.entries(courses).forEach(([key, c]) => {
+      if (!c || !c.code || !c.subject) return;
+      if (Number.isInteger(c.semester) && c.code[0] !== String(c.semester)) {
+        errors.push(`data/courses.json "${key}": code ${c.code} doesn't belong to semester ${c.semester}`);
+      }
+      if (courseKey(c) !== key) errors.push(`data/courses.json "${key}": key should be "${courseKey(c)}"`);
+    });
+  }
+  if (errors.length) throw new Error('Invalid course catalogue:\n  ' + errors.join('\n  '));
+
+  console.log(`Loaded ${Object.keys(courses).length} courses from data/courses.json`);
+  return courses;
+}
+
+// ── Course outlines ──────────────────────────────────────────────────────────
+// data/outlines/{course key}.json is hand-maintained too: each unit's title,
+// topics and teaching hours, and the course's reference books. generateSyllabus()
+// adds them to the notes found for each unit and lists units without notes.
+
+const outlinesDir = path.join(dataDir, 'outlines');
+function loadOutlines() {
+  if (!fs.existsSync(outlinesDir)) return {};
+  const outlines = {};
+  const errors = [];
+  fs.readdirSync(outlinesDir).filter(f => f.endsWith('.json')).sort().forEach(f => {
+    const key = f.replace(/\.json$/, '');
+    const { value: outline, errors: fileErrors } = validateJsonFile(path.join(outlinesDir, f), 'outline.schema.json');
+    errors.push(...fileErrors);
+    if (!outline) return;
+
+    // Things the schema can't express
+    if (!courses[key]) errors.push(`data/outlines/${f}: "${key}" is not a course in data/courses.json`);
+    const seen = new Set();
+    (outline.units || []).forEach(u => {
+      if (seen.has(u.unit)) errors.push(`data/outlines/${f}: unit ${u.unit} is listed twice`);
+      seen.add(u.unit);
+    });
+    outlines[key] = outline;
+  });
+  if (errors.length) throw new Error('Invalid course outlines:\n  ' + errors.join('\n  '));
+
+  if (Object.keys(outlines).length) console.log(`Loaded ${Object.keys(outlines).length} course outlines from data/outlines/`);
+  return outlines;
+}
+
+let courses;
+let outlines;
+try {
+  courses = loadCourses();
+  outlines = loadOutlines();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const unknownCourses = new Set();
+
+const squash = s => String(s || '').toLowerCase().replace(/[\s_]+/g, '');
+
+/**
+ * Find the catalogue key for a PDF. Papers and syllabi carry the course in their
+ * name; notes only have their folder, so fall back to matching semester, subject
+ * and course type (and Major 1 / Major 2 -> 401 / 401A).
+ */
+function courseFor({ filename, semKey, subject, courseType, unitType, unitName }) {
+  const parsed = parsePaperFilename(filename);
+  if (parsed) {
+    const key = courseKey(parsed);
+    if (courses[key]) return key;
+    if (Object.keys(courses).length && !unknownCourses.has(key)) {
+      unknownCourses.add(key);
+      console.warn(`  Course ${key} (from ${filename}) is not in data/courses.json`);
+    }
+  }
+
+  const semester = Number((semKey.match(/\d+/) || [])[0]);
+  const general = unitType && UNIT_SUBJECTS.includes(unitType);
+  let candidates = Object.keys(courses).filter(key => {
+    const c = courses[key];
+    if (c.semester !== semester) return false;
+    if (general) return c.subject === unitType && squash(c.coreSubject) === squash(courseType);
+    if (squash(c.subject) !== squash(subject)) return false;
+    return c.courseType === courseType || c.courseType === 'AEC';
+  });
+
+  // "Major 2 - Unit 1" notes belong to the course whose code ends in that designation's suffix (401A)
+  const designation = TAXONOMY.unitDesignations.find(d => squash(unitName).startsWith(squash(d.id)));
+  if (designation && candidates.length > 1) {
+    const suffixes = TAXONOMY.unitDesignations.map(d => d.codeSuffix).filter(Boolean);
+    candidates = candidates.filter(key => {
+      const code = courses[key].code;
+      return designation.codeSuffix ? code.endsWith(designation.codeSuffix) : !suffixes.some(x => code.endsWith(x));
+    });
+  }
+  return candidates.length === 1 ? candidates[0] : null;
 }
 
 const files = walk(pdfRoot);
+files.forEach(full => problems.push(...checkPdfPath(path.relative(root, full).replace(/\\/g, '/'))));
+
+// Hash every PDF and sidecar (cheap for anything the cache has seen before)
+const pdfHashes = {}; // { 'pdfs/...pdf': sha256 }
+files.forEach(full => {
+  const rel = path.relative(root, full).replace(/\\/g, '/');
+  pdfHashes[rel] = cache.hash(rel, full);
+  if (fs.existsSync(full + '.json')) cache.hash(rel + '.json', full + '.json');
+});
+cache.prune();
+console.log(`Inputs: ${cache.summary()}`);
+
+/** Date (YYYY-MM-DD) of the last commit that touched each file under pdfs/; {} outside a git checkout. */
+function lastCommitDates() {
+  let log;
+  try {
+    log = require('child_process').execFileSync('git', ['-c', 'core.quotePath=false', 'log', '--format=%x00%cs', '--name-only', '--', 'pdfs'], {
+      cwd: root, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'ignore']
+    });
+  } catch {
+    return {};
+  }
+  const dates = {};
+  let date = null;
+  log.split('\n').forEach(line => {
+    if (line.startsWith('\0')) date = line.slice(1);
+    else if (line && pdfHashes[line] && !dates[line]) dates[line] = date; // newest commit comes first
+  });
+  return dates;
+}
+
+// Shown as "last updated" in data/navigation.json. Commit dates rather than
+// mtimes, which a fresh checkout resets.
+const pdfDates = lastCommitDates();
+
+// Same inputs, same generator, same outputs: nothing to do
+const fingerprint = cache.computeFingerprint(`${hashFiles(generatorInputs)}:${strict}:${collapseDuplicates}:${sha256(JSON.stringify(pdfDates))}`);
+if (!force && !reporting && cache.fingerprint === fingerprint && cache.outputs === hashOutputs()) {
+  console.log('Nothing changed since the last build (use --force to rebuild anyway).');
+  process.exit(0);
+}
+
+// ── Duplicates ───────────────────────────────────────────────────────────────
+// The same PDF uploaded under several folders or names. The copy whose folder and
+// name follow the conventions is the primary one; with --collapse-duplicates only
+// it is listed, and the other paths become its `locations`.
+
+const duplicateGroups = []; // [{ hash, files: [primary, ...others] }]
+const duplicateOf = new Map(); // other copy -> primary
+const extraLocations = new Map(); // primary -> [other copies]
+
+function primaryRank(rel) {
+  return (checkPdfPath(rel).length ? 2 : 0) + (parsePaperFilename(path.basename(rel)) ? 0 : 1);
+}
+
+function findDuplicates() {
+  const byHash = new Map();
+  Object.keys(pdfHashes).sort().forEach(rel => {
+    const h = pdfHashes[rel];
+    byHash.set(h, [...(byHash.get(h) || []), rel]);
+  });
+  byHash.forEach((group, hash) => {
+    if (group.length < 2) return;
+    group.sort((a, b) => primaryRank(a) - primaryRank(b) || a.localeCompare(b));
+    duplicateGroups.push({ hash, files: group });
+    if (collapseDuplicates) {
+      group.slice(1).forEach(rel => duplicateOf.set(rel, group[0]));
+      extraLocations.set(group[0], group.slice(1));
+    }
+  });
+
+  if (duplicateGroups.length) {
+    console.log(`--- ${duplicateGroups.length} group(s) of identical PDFs ---`);
+    duplicateGroups.forEach(g => {
+      console.log(`  ${g.files[0]}${collapseDuplicates ? '' : ' (primary)'}`);
+      g.files.slice(1).forEach(rel => console.log(`    = ${rel}${collapseDuplicates ? ' (listed as a location of the above)' : ''}`));
+    });
+    if (!collapseDuplicates) console.log('  Run with --collapse-duplicates to list each of them once.');
+  }
+}
+
+/** Add the other copies of a collapsed duplicate to its entry. */
+function withLocations(entry) {
+  const others = extraLocations.get(entry.file);
+  if (others) entry.locations = others;
+  return entry;
+}
+
+function writeHashManifest() {
+  const sortedFiles = {};
+  Object.keys(pdfHashes).sort().forEach(rel => { sortedFiles[rel] = pdfHashes[rel]; });
+  const manifest = { algorithm: 'sha256', files: sortedFiles, duplicates: duplicateGroups };
+  const outPath = path.join(dataDir, 'hashes.json');
+  const changed = writeIfChanged(outPath, JSON.stringify(manifest, null, 2) + '\n');
+  logWrite(changed, `Wrote ${outPath} with ${Object.keys(sortedFiles).length} hashes`);
+}
+
 const globalSearchIndex = [];
 
+const fullTextDocs = {}; // { semKey: [{ title, subject, type, file }] }
+
 function addToGlobalIndex(entry, type, semKey, subject) {
-  globalSearchIndex.push({
+  const item = {
     title: entry.title,
     subject: subject,
     type: type,
     semester: semKey.replace('sem_', 'Semester '),
     file: entry.file
+  };
+  // Course type is a search facet; legacy papers don't have one
+  if (entry.courseType) item.courseType = entry.courseType;
+  SIDECAR_EXTRAS.forEach(k => { if (entry[k] !== undefined) item[k] = entry[k]; });
+  globalSearchIndex.push(item);
+
+  fullTextDocs[semKey] = fullTextDocs[semKey] || [];
+  fullTextDocs[semKey].push(item);
+}
+
+/** Readable title of a group of materials, e.g. "Major 1 - Unit 1", "Physics • SEC — Unit 1" or "Major Syllabus". */
+function unitTitle(uData) {
+  let typeStr = uData.unitType || uData.courseType || "";
+  if (uData.unitType && uData.courseType && UNIT_SUBJECTS.includes(uData.unitType.toUpperCase())) {
+    typeStr = `${uData.courseType} • ${uData.unitType}`;
+  }
+  let displayTitle = "";
+
+  if (uData.category.toLowerCase() === 'syllabus') {
+    displayTitle = typeStr ? `${typeStr} Syllabus` : "Syllabus";
+  } else if (uData.category.toLowerCase() === 'notes') {
+    if (uData.unitName) {
+      const cleanUnitName = uData.unitName.replace(/_/g, ' ');
+      // For general subjects, always prepend the typeStr (Associated Subject • SEC)
+      if (uData.unitType && UNIT_SUBJECTS.includes(uData.unitType.toUpperCase())) {
+        displayTitle = `${typeStr} — ${cleanUnitName}`;
+      } else if (cleanUnitName.toLowerCase().includes("major") || cleanUnitName.toLowerCase().startsWith("unit")) {
+        // If it's a designated unit (Major 1/2) or already starts with "Unit", use it directly
+        // This prevents "Major Unit 1" and favors just "Unit 1" for regular units.
+        displayTitle = cleanUnitName;
+      } else {
+        displayTitle = typeStr ? `${typeStr} ${cleanUnitName}` : cleanUnitName;
+      }
+    } else {
+      displayTitle = typeStr ? `${typeStr} Notes` : "Notes";
+    }
+  } else {
+    displayTitle = typeStr ? `${typeStr} ${uData.category}` : uData.category;
+  }
+  return displayTitle;
+}
+
+/** "Major 1 - Unit 3 Modern Physics" -> 3; 0 when the folder isn't a unit's */
+function unitNumber(unitName) {
+  const m = /(?:^|\s)unit\s*(\d+)/i.exec(unitName || '');
+  return m ? Number(m[1]) : 0;
+}
+
+/**
+ * Where a course's notes go: the same fields generateSyllabus() reads from a
+ * folder, for units that have no folder yet.
+ */
+function outlineFolder(key, n) {
+  const c = courses[key];
+  const subject = TAXONOMY.subjects.find(s => squash(s.id) === squash(c.subject));
+  const folder = { category: 'Notes', courseType: c.courseType, unitType: null };
+  if (subject && subject.needsCoreSubject) Object.assign(folder, { courseType: c.coreSubject, unitType: subject.id });
+  else if (subject && subject.general) folder.courseType = 'General';
+
+  // Two courses of one kind in a semester keep their notes apart as "Major 1 - Unit 1" and "Major 2 - Unit 1"
+  const siblings = Object.values(courses).filter(o => o.semester === c.semester && squash(o.subject) === squash(c.subject)
+    && o.courseType === c.courseType && squash(o.coreSubject) === squash(c.coreSubject));
+  const designation = TAXONOMY.unitDesignations.find(d => d.codeSuffix && c.code.endsWith(d.codeSuffix))
+    || TAXONOMY.unitDesignations.find(d => !d.codeSuffix);
+  folder.unitName = siblings.length > 1 && designation ? `${designation.id} - Unit ${n}` : `Unit ${n}`;
+  return folder;
+}
+
+/**
+ * Merge data/outlines/ into one semester's syllabus: each unit's outline goes on
+ * the notes for that course and unit number, units nobody has uploaded notes for
+ * yet are added without materials, and reference books go on the subject.
+ */
+function addOutlines(semKey, outputList) {
+  const semester = Number(semKey.replace('sem_', ''));
+  const subjectEntry = name => {
+    let entry = outputList.find(s => squash(s.subject) === squash(name));
+    if (!entry) outputList.push(entry = { subject: name, units: [] });
+    return entry;
+  };
+
+  Object.keys(outlines).filter(key => courses[key].semester === semester).forEach(key => {
+    const outline = outlines[key];
+    const course = courses[key];
+    const units = outputList.flatMap(s => s.units.filter(u => u.course === key && u.unit > 0).map(u => ({ subject: s, unit: u })));
+
+    outline.units.forEach(o => {
+      const details = { title: o.title };
+      if (o.hours) details.hours = o.hours;
+      if (o.topics && o.topics.length) details.topics = o.topics;
+
+      const found = units.filter(x => x.unit.unit === o.unit);
+      found.forEach(x => { x.unit.outline = details; });
+      if (found.length) return;
+
+      const folder = outlineFolder(key, o.unit);
+      subjectEntry(course.subject).units.push({
+        unit: o.unit,
+        category: folder.category,
+        title: unitTitle(folder),
+        courseType: folder.courseType,
+        course: key,
+        outline: details,
+        materials: []
+      });
+    });
+
+    if (outline.references && outline.references.length) {
+      // With the course's notes, wherever they were filed
+      const subject = units.length ? units[0].subject : subjectEntry(course.subject);
+      subject.references = { ...subject.references, [key]: outline.references };
+    }
   });
 }
 
@@ -69,6 +518,7 @@ function generateSyllabus() {
 
   files.forEach(full => {
     const rel = path.relative(root, full).replace(/\\/g, '/');
+    if (duplicateOf.has(rel)) return; // listed under its primary copy
     const parts = rel.split('/');
 
     const semIndex = parts.findIndex(p => /^sem/i.test(p));
@@ -88,14 +538,13 @@ function generateSyllabus() {
     let currentIndex = semIndex + 3;
 
     // Check if next folder is SEC or IKS
-    if (parts[currentIndex] && (parts[currentIndex].toUpperCase() === 'SEC' || parts[currentIndex].toUpperCase() === 'IKS' || parts[currentIndex].toUpperCase() === 'VAC')) {
+    if (parts[currentIndex] && UNIT_SUBJECTS.includes(parts[currentIndex].toUpperCase())) {
       unitType = parts[currentIndex].toUpperCase();
       currentIndex++;
     }
 
     // Auto-assign unitType if the subject itself is a general subject (e.g. pdfs/Sem_4/Sec/Botany/...)
-    const genSubjs = ['SEC', 'IKS', 'VAC'];
-    if (!unitType && genSubjs.includes(subject.toUpperCase())) {
+    if (!unitType && UNIT_SUBJECTS.includes(subject.toUpperCase())) {
       unitType = subject.toUpperCase();
     }
 
@@ -142,9 +591,13 @@ function generateSyllabus() {
       file: rel.replace(/^\/+/, ''), // relative path
       description: (side && side.description) || ''
     };
+    const course = (side && side.course) || courseFor({ filename, semKey, subject, courseType, unitType, unitName });
+    if (course) entry.course = course;
+    withSidecarExtras(entry, side);
+    withLocations(entry);
     
     // Add specifically styled title to global search index
-    addToGlobalIndex({ ...entry, title: searchDisplayTitle }, category || 'Notes', semKey, subject);
+    addToGlobalIndex({ ...entry, title: searchDisplayTitle, courseType }, category || 'Notes', semKey, subject);
 
     if (!syllabusData[semKey]) syllabusData[semKey] = {};
     if (!syllabusData[semKey][subject]) syllabusData[semKey][subject] = {};
@@ -169,6 +622,12 @@ function generateSyllabus() {
     syllabusData[semKey][subject][unitKey].materials.push(entry);
   });
 
+  // A course with an outline is listed before any of its notes are uploaded
+  Object.keys(outlines).forEach(key => {
+    const semKey = `sem_${courses[key].semester}`;
+    syllabusData[semKey] = syllabusData[semKey] || {};
+  });
+
   // Write output
   Object.keys(syllabusData).forEach(semKey => {
     const subjectsObj = syllabusData[semKey];
@@ -190,45 +649,28 @@ function generateSyllabus() {
           return a.title.localeCompare(b.title);
         });
 
-        // Construct a clean, readable Title (e.g., "SEC • Botany Unit 1" or "Major Unit 1")
-        let typeStr = uData.unitType || uData.courseType || "";
-        if (uData.unitType && uData.courseType && ['SEC', 'IKS', 'VAC'].includes(uData.unitType.toUpperCase())) {
-            typeStr = `${uData.courseType} • ${uData.unitType}`;
-        }
-        let displayTitle = "";
-
-        if (uData.category.toLowerCase() === 'syllabus') {
-            displayTitle = typeStr ? `${typeStr} Syllabus` : "Syllabus";
-        } else if (uData.category.toLowerCase() === 'notes') {
-            if (uData.unitName) {
-                const cleanUnitName = uData.unitName.replace(/_/g, ' ');
-                // For general subjects, always prepend the typeStr (Associated Subject • SEC)
-                if (uData.unitType && ['SEC', 'IKS', 'VAC'].includes(uData.unitType.toUpperCase())) {
-                    displayTitle = `${typeStr} — ${cleanUnitName}`;
-                } else if (cleanUnitName.toLowerCase().includes("major") || cleanUnitName.toLowerCase().startsWith("unit")) {
-                    // If it's a designated unit (Major 1/2) or already starts with "Unit", use it directly
-                    // This prevents "Major Unit 1" and favors just "Unit 1" for regular units.
-                    displayTitle = cleanUnitName;
-                } else {
-                    displayTitle = typeStr ? `${typeStr} ${cleanUnitName}` : cleanUnitName;
-                }
-            } else {
-                displayTitle = typeStr ? `${typeStr} Notes` : "Notes";
-            }
-        } else {
-            displayTitle = typeStr ? `${typeStr} ${uData.category}` : uData.category;
-        }
-
-        return {
-          // Pass empty unit/category so the frontend falls back strictly on our generated title
-          unit: 0, 
-          category: '', 
-          title: displayTitle,
+        const unit = {
+          unit: unitNumber(uData.unitName), // 0 for syllabi and notes outside a unit folder
+          category: uData.category,
+          title: unitTitle(uData),
           courseType: uData.courseType, // Add raw fields for custom sorting
           materials: materials
         };
+        // Link the whole unit to a course when all of its files agree
+        const unitCourses = new Set(materials.map(m => m.course));
+        if (unitCourses.size === 1 && materials[0].course) unit.course = materials[0].course;
+        return unit;
       });
 
+      return {
+        subject: subjName,
+        units: unitsList
+      };
+    });
+
+    addOutlines(semKey, outputList);
+
+    outputList.forEach(({ units: unitsList }) => {
       // Sort logic for grouped units
       unitsList.sort((a, b) => {
         // Sort by CourseType first
@@ -245,18 +687,13 @@ function generateSyllabus() {
         // Then naturally by our generated title
         return a.title.localeCompare(b.title, undefined, { numeric: true, sensitivity: 'base' });
       });
-
-      return {
-        subject: subjName,
-        units: unitsList
-      };
     });
 
     outputList.sort((a, b) => a.subject.localeCompare(b.subject));
 
     const outPath = path.join(dataDir, `syllabus_${semKey}.json`);
-    fs.writeFileSync(outPath, JSON.stringify(outputList, null, 2) + '\n', 'utf8');
-    console.log(`Wrote ${outPath} with ${outputList.length} subjects`);
+    const changed = writeIfChanged(outPath, JSON.stringify(outputList, null, 2) + '\n');
+    logWrite(changed, `Wrote ${outPath} with ${outputList.length} subjects`);
   });
 }
 
@@ -266,6 +703,7 @@ function generatePapers() {
 
   files.forEach(full => {
     const rel = path.relative(root, full).replace(/\\/g, '/');
+    if (duplicateOf.has(rel)) return; // listed under its primary copy
     const parts = rel.split('/');
 
     const semIndex = parts.findIndex(p => /^sem/i.test(p));
@@ -289,14 +727,13 @@ function generatePapers() {
 
     let currentIndex = semIndex + 3;
 
-    if (parts[currentIndex] && (parts[currentIndex].toUpperCase() === 'SEC' || parts[currentIndex].toUpperCase() === 'IKS' || parts[currentIndex].toUpperCase() === 'VAC')) {
+    if (parts[currentIndex] && UNIT_SUBJECTS.includes(parts[currentIndex].toUpperCase())) {
       unitType = parts[currentIndex].toUpperCase();
       currentIndex++;
     }
 
     // Auto-assign unitType if the subject itself is a general subject
-    const genSubjs = ['SEC', 'IKS', 'VAC'];
-    if (!unitType && genSubjs.includes(subject.toUpperCase())) {
+    if (!unitType && UNIT_SUBJECTS.includes(subject.toUpperCase())) {
       unitType = subject.toUpperCase();
     }
 
@@ -319,34 +756,40 @@ function generatePapers() {
     }
 
     const filename = path.basename(full);
-    const yearMatch = filename.match(/\b(19|20)\d{2}\b/);
-    const year = yearMatch ? Number(yearMatch[0]) : null;
+    // Structured fields come from the filename grammar (scripts/filenames.js);
+    // hand-named files that don't follow it only get a best-effort year.
+    const parsed = parsePaperFilename(filename);
+    const year = parsed ? parsed.year : yearFromName(filename);
     const titleGuess = cleanTitle(filename);
     const side = readSidecar(full);
+    // The folder wins; the name fills in papers that sit directly under Papers/
+    if (!examType && parsed) examType = parsed.examType;
     
     // Construct a clean, readable Title (e.g., "Major — Physics 201" or "Physics • SEC — ...")
     let typeStr = unitType || courseType || "";
     // If it's a general subject (SEC/IKS/VAC), prepend the core subject (courseType) if unitType is present
-    if (unitType && courseType && ['SEC', 'IKS', 'VAC'].includes(unitType.toUpperCase())) {
+    if (unitType && courseType && UNIT_SUBJECTS.includes(unitType.toUpperCase())) {
       typeStr = `${courseType} • ${unitType}`;
     }
     const cleanFileName = titleGuess || filename;
     const displayTitle = typeStr ? `${typeStr} — ${cleanFileName}` : cleanFileName;
 
-    let description = (side && side.description) || '';
-    if (examType && !description.includes(examType)) {
-      description = description ? `${examType} • ${description}` : examType;
-    }
-
     const entry = {
       subject: (side && side.subject) || subject,
       title: (side && side.title) || displayTitle,
       courseType: courseType, // Store raw course type for robust filtering
       unitType: unitType,
+      coreSubject: (side && side.coreSubject) || (parsed && parsed.coreSubject) || null,
+      courseCode: (side && side.courseCode) || (parsed && parsed.courseCode) || null,
+      examType: (side && side.examType) || examType || null,
       year: (side && side.year) || year,
       file: rel.replace(/^\/+/, ''),
-      description: description
+      description: (side && side.description) || ''
     };
+    const course = (side && side.course) || courseFor({ filename, semKey, subject, courseType, unitType });
+    if (course) entry.course = course;
+    withSidecarExtras(entry, side);
+    withLocations(entry);
     addToGlobalIndex(entry, 'Papers', semKey, subject);
 
     grouped[semKey] = grouped[semKey] || [];
@@ -369,59 +812,223 @@ function generatePapers() {
     }
     const existingMap = new Map((existing || []).map(e => [String(e.file), e]));
 
-    // We only want to keep entries that were found in the current scan (strict mode)
+    // Only entries found in the current scan are kept. The scan and sidecars decide
+    // every field; the previous build can only fill in a description or year the scan
+    // couldn't find, and says so, so stale values don't live on unnoticed.
     const merged = entries.map(e => {
       const ex = existingMap.get(e.file);
-      if (ex) {
-        // Prioritize generated fields if they are more informative or required for UI logic
-        return {
-          ...e,
-          // If the existing title doesn't start with the course type but the new one does, 
-          // we favor the new one to fix visibility issues.
-          title: (e.title.toLowerCase().startsWith(e.courseType.toLowerCase()) && !ex.title.toLowerCase().startsWith(e.courseType.toLowerCase())) 
-                 ? e.title : (['SEC', 'IKS', 'VAC'].includes(e.unitType?.toUpperCase()) ? e.title : (ex.title || e.title)),
-          description: ex.description || e.description,
-          year: ex.year || e.year,
-          subject: ex.subject || e.subject
-        };
-      }
-      return e;
+      if (!ex) return e;
+      const out = { ...e };
+      // Older builds put the exam type in the description; it's a field of its own now
+      if (!e.description && ex.description && ex.description !== e.examType) out.description = ex.description;
+      if (!e.year && ex.year) out.year = ex.year;
+      ['description', 'year'].filter(k => out[k] !== e[k]).forEach(k => {
+        console.warn(`  Kept ${k} ${JSON.stringify(out[k])} of ${e.file} from the previous ${semKey}.json; move it into a sidecar`);
+      });
+      return out;
     });
 
     merged.sort((a, b) => (b.year || 0) - (a.year || 0) || a.title.localeCompare(b.title));
-    fs.writeFileSync(outPath, JSON.stringify(merged, null, 2) + '\n', 'utf8');
-    console.log('Wrote', outPath, merged.length, 'entries');
+    const changed = writeIfChanged(outPath, JSON.stringify(merged, null, 2) + '\n');
+    logWrite(changed, `Wrote ${outPath} ${merged.length} entries`);
   });
 }
 
 function processLegacyPaper(full, rel, semKey, subject, grouped) {
     const filename = path.basename(full);
-    const yearMatch = filename.match(/\b(19|20)\d{2}\b/);
-    const year = yearMatch ? Number(yearMatch[0]) : null;
+    const parsed = parsePaperFilename(filename);
+    const year = parsed ? parsed.year : yearFromName(filename);
     const titleGuess = cleanTitle(filename);
     const side = readSidecar(full);
 
     const entry = {
       subject: (side && side.subject) || subject,
       title: (side && side.title) || titleGuess || filename,
+      courseCode: (side && side.courseCode) || (parsed && parsed.courseCode) || null,
+      examType: (side && side.examType) || (parsed && parsed.examType) || null,
       year: (side && side.year) || year,
       file: rel.replace(/^\/+/, ''),
       description: (side && side.description) || ''
     };
+    const course = (side && side.course) || courseFor({ filename, semKey, subject });
+    if (course) entry.course = course;
+    withSidecarExtras(entry, side);
+    withLocations(entry);
     addToGlobalIndex(entry, 'Papers', semKey, subject);
 
     grouped[semKey] = grouped[semKey] || [];
     grouped[semKey].push(entry);
 }
 
+function generateFullTextIndex() {
+  console.log('--- Generating Full-Text Search Index ---');
+
+  const docs = [];
+  const shardTerms = {}; // shard key -> { term: postings }
+  let changed = false;
+  Object.keys(fullTextDocs).sort().forEach(semKey => {
+    fullTextDocs[semKey].forEach(item => {
+      // Extraction is the slow part of the build, so its result is cached per PDF
+      const pages = cache.derived(item.file, 'pages', () => {
+        try {
+          return extractPdfText(fs.readFileSync(path.join(root, item.file))).pages;
+        } catch (err) {
+          console.warn(`  Skipping text for ${item.file}: ${err.message}`);
+          return [];
+        }
+      });
+      // Scans without an OCR layer have nothing to index
+      if (!pages.some(p => p.trim())) return;
+
+      const docIndex = docs.length;
+      docs.push({ title: item.title, subject: item.subject, type: item.type, semester: semKey, file: item.file, pages: pages.length });
+      changed = writeIfChanged(path.join(fullTextDir, fullTextTextFile(docIndex)), JSON.stringify(pages) + '\n') || changed;
+
+      pages.forEach((text, pageIndex) => {
+        const counts = new Map();
+        fullTextTokenize(text).forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+        counts.forEach((count, term) => {
+          const key = fullTextShardKey(term);
+          const terms = shardTerms[key] = shardTerms[key] || {};
+          (terms[term] = terms[term] || []).push(docIndex, pageIndex, count);
+        });
+      });
+    });
+  });
+
+  const shards = Object.keys(shardTerms).sort().map(key => {
+    const sortedTerms = {};
+    Object.keys(shardTerms[key]).sort().forEach(t => { sortedTerms[t] = shardTerms[key][t]; });
+    const index = `terms_${key}.json`;
+    changed = writeIfChanged(path.join(fullTextDir, index), JSON.stringify(sortedTerms) + '\n') || changed;
+    return { key, index, terms: Object.keys(sortedTerms).length };
+  });
+  changed = writeIfChanged(path.join(fullTextDir, 'docs.json'), JSON.stringify(docs) + '\n') || changed;
+  const termCount = shards.reduce((n, s) => n + s.terms, 0);
+  logWrite(changed, `Wrote fulltext/ with ${docs.length} documents and ${termCount} terms in ${shards.length} shards`);
+
+  // Clear out shards and texts nothing refers to any more (and the old per-semester files)
+  const live = new Set(['manifest.json', 'docs.json', ...shards.map(s => s.index), ...docs.map((d, i) => fullTextTextFile(i))]);
+  if (fs.existsSync(fullTextDir)) {
+    fs.readdirSync(fullTextDir)
+      .filter(f => !live.has(f))
+      .forEach(f => removeOutput(path.join(fullTextDir, f)));
+  }
+
+  writeIfChanged(path.join(fullTextDir, 'manifest.json'), JSON.stringify({ docs: docs.length, shards }, null, 2) + '\n');
+}
+
+// ── Navigation ───────────────────────────────────────────────────────────────
+// data/navigation.json lists the semesters, subjects and course types that have
+// anything in them, with how many items of each category and when they last
+// changed, so the navigation pages can grey out empty branches. Empty branches
+// are left out; the pages fill them in from the taxonomy.
+
+/** Sort ids in the order of a taxonomy list; ids it doesn't know go last, by name. */
+function taxonomyOrderOf(list) {
+  const ids = list.map(x => squash(x.id));
+  const rank = id => (ids.includes(squash(id)) ? ids.indexOf(squash(id)) : ids.length);
+  return (a, b) => rank(a) - rank(b) || String(a).localeCompare(String(b));
+}
+
+function generateNavigation() {
+  const semesters = {};
+  const total = { counts: {} };
+  const branch = (map, key, props) => {
+    map[key] = map[key] || { ...props, counts: {}, children: {} };
+    return map[key];
+  };
+  const count = (branchNode, category, date) => {
+    branchNode.counts[category] = (branchNode.counts[category] || 0) + 1;
+    if (date && !(branchNode.updated >= date)) branchNode.updated = date;
+  };
+
+  Object.keys(fullTextDocs).forEach(semKey => {
+    fullTextDocs[semKey].forEach(item => {
+      const category = TAXONOMY.categories.map(c => c.id).find(id => squash(id) === squash(item.type)) || item.type;
+      const known = TAXONOMY.subjects.find(s => squash(s.id) === squash(item.subject));
+      // The id the subject's folder and the pages' ?subject= use
+      const subjectId = known ? known.id : item.subject.replace(/ /g, '_');
+      const date = pdfDates[item.file];
+
+      const sem = branch(semesters, semKey, { semester: Number(semKey.replace('sem_', '')) });
+      const subject = branch(sem.children, subjectId, { id: subjectId });
+      [total, sem, subject].forEach(n => count(n, category, date));
+      // General subjects are listed as a whole; legacy papers have no course type
+      if (!GENERAL_SUBJECTS.includes(subjectId) && item.courseType) {
+        count(branch(subject.children, item.courseType, { id: item.courseType }), category, date);
+      }
+    });
+  });
+
+  // { ...props, updated, counts, <childKey>: [...] }, children in taxonomy order
+  const byId = list => (a, b) => taxonomyOrderOf(list)(a.id, b.id);
+  const node = ({ children, counts, updated, ...props }, childKey, order, childNode) => {
+    const out = { ...props };
+    if (updated) out.updated = updated;
+    out.counts = {};
+    Object.keys(counts).sort(taxonomyOrderOf(TAXONOMY.categories)).forEach(c => { out.counts[c] = counts[c]; });
+    if (childKey) out[childKey] = Object.values(children).sort(order).map(childNode);
+    return out;
+  };
+  const courseTypeNode = ct => node(ct);
+  const subjectNode = subject => GENERAL_SUBJECTS.includes(subject.id)
+    ? node(subject)
+    : node(subject, 'courseTypes', byId(TAXONOMY.courseTypes), courseTypeNode);
+  const semesterNode = sem => node(sem, 'subjects', byId(TAXONOMY.subjects), subjectNode);
+  const manifest = node({ ...total, children: semesters }, 'semesters', (a, b) => a.semester - b.semester, semesterNode);
+
+  const outPath = path.join(dataDir, 'navigation.json');
+  const changed = writeIfChanged(outPath, JSON.stringify(manifest, null, 2) + '\n');
+  logWrite(changed, `Wrote ${outPath} with ${manifest.semesters.length} semesters`);
+}
+
 // Run logic
 try {
+  findDuplicates();
+  writeHashManifest();
   generateSyllabus();
   generatePapers();
+  generateFullTextIndex();
+  generateNavigation();
   
   const searchIndexPath = path.join(dataDir, 'search_index.json');
-  fs.writeFileSync(searchIndexPath, JSON.stringify(globalSearchIndex, null, 0) + '\n', 'utf8');
-  console.log(`Wrote ${searchIndexPath} with ${globalSearchIndex.length} items for global search.`);
+  const changed = writeIfChanged(searchIndexPath, JSON.stringify(globalSearchIndex, null, 0) + '\n');
+  logWrite(changed, `Wrote ${searchIndexPath} with ${globalSearchIndex.length} items for global search.`);
+
+  // Check what we just wrote against schemas/ before anything consumes it
+  console.log('--- Validating ---');
+  if (dryRun) {
+    // Nothing was written; check the would-be contents instead
+    outputChanges.filter(o => o.after !== null && dataSchemaFor(o.file)).forEach(o => {
+      problems.push(...validateJsonText(path.join(dataDir, o.file), o.after, dataSchemaFor(o.file)).errors);
+    });
+  } else {
+    problems.push(...validateDataDir(dataDir));
+  }
+
+  if (reporting) {
+    const report = diffOutputs(outputChanges);
+    console.log(`--- ${dryRun ? 'Dry run: changes that would be made' : 'Changes'} ---`);
+    console.log(formatDiffText(report));
+    if (reportPath) {
+      fs.writeFileSync(reportPath, formatDiffMarkdown(report, dryRun ? 'Data changes (dry run)' : 'Data changes'), 'utf8');
+      console.log(`Wrote Markdown report to ${reportPath}`);
+    }
+  }
+
+  if (problems.length) {
+    problems.forEach(p => console.warn(`${strict ? 'error' : 'warning'}: ${p}`));
+    if (strict) {
+      console.error(`\n${problems.length} problem(s) found in --strict mode.`);
+      cache.save(null, null); // keep the extracted text, but don't let the next run skip these checks
+      process.exit(1);
+    }
+    console.warn(`${problems.length} warning(s). Run with --strict to fail on them.`);
+  }
+  // A dry run leaves data/ as the last real build wrote it
+  if (dryRun) cache.save(cache.fingerprint, cache.outputs);
+  else cache.save(fingerprint, hashOutputs());
   
   console.log('Done.');
 } catch (err) {
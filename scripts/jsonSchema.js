@@ -0,0 +1,185 @@
+// Minimal JSON Schema checker (draft-07 subset) with line numbers.
+//
+// Supports: type (incl. arrays of types and "integer"), enum, const, pattern,
+// minLength, minimum, maximum, minItems, required, properties,
+// additionalProperties (boolean or schema), items, anyOf, and local $refs
+// ("#/definitions/name"). That covers everything in schemas/; anything else
+// in a schema is ignored. ("$taxonomy" is resolved to an enum by
+// validateData.js before a schema gets here.)
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported (got ${ref})`);
+    return ref.slice(2).split('/').reduce((node, key) => node && node[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+/**
+ * Validate a value against a schema.
+ * @returns {Array<{ pointer: string, message: string }>} empty when valid
+ */
+function validateSchema(schema, value, root = schema, pointer = '') {
+    if (schema.$ref) return validateSchema(resolveRef(root, schema.$ref), value, root, pointer);
+
+    const errors = [];
+    const fail = message => errors.push({ pointer: pointer || '/', message });
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(t => matchesType(value, t))) {
+            fail(`should be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors; // nothing else is meaningful on the wrong type
+        }
+    }
+    if (schema.anyOf && !schema.anyOf.some(s => validateSchema(s, value, root, pointer).length === 0)) {
+        fail('does not match any of the allowed shapes');
+    }
+    if ('const' in schema && value !== schema.const) fail(`should be ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`should have at least ${schema.minLength} character(s)`);
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(`should match ${schema.pattern}, got ${JSON.stringify(value)}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`should be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`should be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`should have at least ${schema.minItems} item(s)`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, root, `${pointer}/${i}`)));
+        }
+    } else if (value && typeof value === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) fail(`is missing required property "${key}"`);
+        });
+        const props = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            const child = `${pointer}/${escapePointer(key)}`;
+            if (props[key]) {
+                errors.push(...validateSchema(props[key], value[key], root, child));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ pointer: child, message: `unknown property "${key}"` });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, value[key], root, child));
+            }
+        });
+    }
+    return errors;
+}
+
+// ── Locating errors in the source text ──────────────────────────────────────
+
+function lineColumn(text, offset) {
+    let line = 1;
+    let last = -1;
+    for (let i = 0; i < offset && i < text.length; i++) {
+        if (text.charCodeAt(i) === 10) { line++; last = i; }
+    }
+    return { line, column: offset - last };
+}
+
+/**
+ * Find where the value at a JSON pointer starts in `text`.
+ * Walks the text with a tiny tokenizer instead of building a full position map,
+ * so it's only paid for when there's an error to report.
+ */
+function locatePointer(text, pointer) {
+    const keys = pointer.split('/').slice(1).map(k => k.replace(/~1/g, '/').replace(/~0/g, '~'));
+    let i = 0;
+
+    const ws = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+    const skipString = () => {
+        i++; // opening quote
+        while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+        i++;
+    };
+    const readString = () => {
+        const start = i;
+        skipString();
+        return JSON.parse(text.slice(start, i));
+    };
+    const skipValue = () => {
+        ws();
+        const c = text[i];
+        if (c === '"') return skipString();
+        if (c === '{' || c === '[') {
+            const close = c === '{' ? '}' : ']';
+            i++;
+            ws();
+            if (text[i] === close) { i++; return undefined; }
+            for (;;) {
+                ws();
+                if (c === '{') { skipString(); ws(); i++; } // key and colon
+                skipValue();
+                ws();
+                if (text[i] === ',') { i++; continue; }
+                i++; // closing bracket
+                return undefined;
+            }
+        }
+        while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+        return undefined;
+    };
+
+    for (const key of keys) {
+        ws();
+        if (text[i] === '{') {
+            i++;
+            let found = false;
+            for (;;) {
+                ws();
+                if (text[i] === '}') break;
+                const name = readString();
+                ws();
+                i++; // colon
+                ws();
+                if (name === key) { found = true; break; }
+                skipValue();
+                ws();
+                if (text[i] === ',') i++;
+            }
+            if (!found) break;
+        } else if (text[i] === '[') {
+            i++;
+            const index = Number(key);
+            for (let n = 0; n < index; n++) {
+                skipValue();
+                ws();
+                if (text[i] === ',') i++;
+            }
+            ws();
+        } else {
+            break;
+        }
+    }
+    ws();
+    return lineColumn(text, i);
+}
+
+/** Position of a JSON.parse() SyntaxError, if Node reported one. */
+function syntaxErrorLocation(text, err) {
+    const m = /position (\d+)/.exec(err.message);
+    return m ? lineColumn(text, Number(m[1])) : { line: 1, column: 1 };
+}
+
+module.exports = { validateSchema, locatePointer, syntaxErrorLocation };
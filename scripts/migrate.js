@@ -0,0 +1,331 @@
+/**
+ * Move files under pdfs/ from one folder convention to the next, by rule.
+ *
+ *   node scripts/migrate.js [--dry-run]                 apply every pending migration
+ *   node scripts/migrate.js --status                    list migrations and which are applied
+ *   node scripts/migrate.js --rollback [<id>] [--dry-run]
+ *                                                       undo the last applied migration, or
+ *                                                       every one back to and including <id>
+ *
+ * A migration is a file migrations/NNN-name.json, applied in name order:
+ *
+ *   { "description": "Standalone Papers folders belong to the Major",
+ *     "rules": [{ "match": "pdfs/{sem}/{subject}/Papers/{rest*}",
+ *                 "to": "pdfs/{sem}/{subject}/Major/Papers/{rest}" }] }
+ *
+ * Each file under pdfs/ is moved by the first rule whose pattern matches its
+ * whole path; files no rule matches stay put. In a pattern {name} stands for
+ * (part of) one folder or file name, {name:regex} for part of one that matches
+ * regex, and {name*} for one or more whole segments; everything else is
+ * literal. The destination uses the same names. A PDF's sidecar
+ * (Name.pdf.json) always moves with it.
+ *
+ * The whole plan is checked before anything moves: no two files may end up at
+ * the same path (ignoring case, as Windows and macOS do), none may land on a
+ * file that stays, and nothing may leave pdfs/. Folders a migration empties are
+ * removed. Applied migrations and their moves are recorded in
+ * migrations/applied.json, which is committed with the moved files; --rollback
+ * replays those moves backwards.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateJsonText } = require('./validateData');
+
+const root = path.resolve(__dirname, '..');
+const pdfRoot = path.join(root, 'pdfs');
+const migrationsDir = path.join(root, 'migrations');
+const appliedFile = path.join(migrationsDir, 'applied.json');
+
+const MIGRATION_ID_RE = /^\d{3}-[a-z0-9-]+$/;
+const PLACEHOLDER_RE = /\{(\w+)(\*|:((?:[^{}\\]|\\.|\{\d*,?\d*\})+))?\}/g;
+
+const rel = full => path.relative(root, full).replace(/\\/g, '/');
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+
+/** "pdfs/Sem{n:\\d+}/{rest*}" → { regex, names, segments } (segments: names that stay in one folder name) */
+function compilePattern(pattern) {
+    const names = [];
+    const segments = [];
+    let source = '';
+    let last = 0;
+    for (const m of pattern.matchAll(PLACEHOLDER_RE)) {
+        const [whole, name, kind, regex] = m;
+        if (names.includes(name)) throw new Error(`{${name}} appears twice in "${pattern}"`);
+        names.push(name);
+        source += escapeRegExp(pattern.slice(last, m.index));
+        if (kind === '*') {
+            source += `(?<${name}>.+)`;
+        } else {
+            segments.push(name);
+            source += `(?<${name}>${regex ? `(?:${regex})` : '[^/]+'})`;
+        }
+        last = m.index + whole.length;
+    }
+    source += escapeRegExp(pattern.slice(last));
+    try {
+        return { regex: new RegExp(`^${source}$`), names, segments };
+    } catch (err) {
+        throw new Error(`"${pattern}" is not a valid pattern: ${err.message}`);
+    }
+}
+
+function compileRule(rule) {
+    const { regex, names, segments } = compilePattern(rule.match);
+    for (const [, name] of rule.to.matchAll(/\{([^{}]*)\}/g)) {
+        if (!names.includes(name)) throw new Error(`"${rule.to}" uses {${name}}, which "${rule.match}" doesn't define`);
+    }
+    return { match: rule.match, to: rule.to, regex, segments };
+}
+
+/** Where the first matching rule sends a file, or null when none matches. */
+function destination(migration, file) {
+    for (const rule of migration.rules) {
+        const m = rule.regex.exec(file);
+        // {name} and {name:regex} never take in a "/"; only {name*} spans folders
+        if (!m || rule.segments.some(name => m.groups[name].includes('/'))) continue;
+        return rule.to.replace(/\{(\w+)\}/g, (_, name) => m.groups[name]);
+    }
+    return null;
+}
+
+/**
+ * Read every migrations/NNN-name.json, in the order they apply.
+ * @returns {Array<{ id: string, description: string, rules: object[] }>}
+ */
+function loadMigrations(dir = migrationsDir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json') && path.join(dir, name) !== appliedFile)
+        .sort()
+        .map(name => {
+            const file = path.join(dir, name);
+            const id = name.slice(0, -'.json'.length);
+            if (!MIGRATION_ID_RE.test(id)) throw new Error(`${rel(file)}: migration files are named like 003-papers-by-year.json`);
+            const { value, errors } = validateJsonText(rel(file), fs.readFileSync(file, 'utf8'), 'migration.schema.json');
+            if (errors.length) throw new Error(errors.join('\n'));
+            const { description, rules } = value;
+            try {
+                return { id, description, rules: rules.map(compileRule) };
+            } catch (err) {
+                throw new Error(`${rel(file)}: ${err.message}`);
+            }
+        });
+}
+
+// ── Planning ─────────────────────────────────────────────────────────────────
+
+/** Every file under pdfs/, as repository-relative paths. */
+function listFiles(dir = pdfRoot) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .flatMap(e => (e.isDirectory() ? listFiles(path.join(dir, e.name)) : e.isFile() ? [rel(path.join(dir, e.name))] : []));
+}
+
+/** Problems with a set of moves over `files` (the tree as it is before they run). */
+function checkMoves(moves, files) {
+    const problems = [];
+    const leaving = new Set(moves.map(m => m.from.toLowerCase()));
+    const staying = new Map(files.filter(f => !leaving.has(f.toLowerCase())).map(f => [f.toLowerCase(), f]));
+    const arriving = new Map();
+    for (const { from, to } of moves) {
+        const parts = to.split('/');
+        if (parts[0] !== 'pdfs' || parts.length < 2 || parts.some(p => !p || p === '.' || p === '..')) {
+            problems.push(`${from} would move to ${to}, outside pdfs/`);
+            continue;
+        }
+        const key = to.toLowerCase();
+        if (arriving.has(key)) problems.push(`${arriving.get(key)} and ${from} would both move to ${to}`);
+        else if (staying.has(key)) problems.push(`${from} would replace ${staying.get(key)}`);
+        arriving.set(key, from);
+    }
+    return problems;
+}
+
+/**
+ * Work out one migration's moves without touching the disk.
+ * @param {string[]} files the tree it runs on
+ * @returns {{ moves: Array<{ from: string, to: string }>, problems: string[], files: string[] }}
+ *          files is the tree afterwards, so the next migration can be planned on it
+ */
+function planMigration(migration, files) {
+    const present = new Set(files);
+    const moves = [];
+    for (const file of files) {
+        // A sidecar follows its PDF; one without a PDF is moved like any other file
+        if (/\.pdf\.json$/i.test(file) && present.has(file.slice(0, -'.json'.length))) continue;
+        const to = destination(migration, file);
+        if (!to || to === file) continue;
+        moves.push({ from: file, to });
+        if (/\.pdf$/i.test(file) && present.has(`${file}.json`)) moves.push({ from: `${file}.json`, to: `${to}.json` });
+    }
+    const moved = new Map(moves.map(m => [m.from, m.to]));
+    return { moves, problems: checkMoves(moves, files), files: files.map(f => moved.get(f) || f) };
+}
+
+/** The moves that undo an applied migration, checked against the tree as it is now. */
+function planRollback(entry, files) {
+    if (entry.baseline) {
+        return { moves: [], problems: [`${entry.id} was applied before moves were recorded, so it can't be rolled back`], files };
+    }
+    const present = new Set(files);
+    const moves = entry.moves.map(m => ({ from: m.to, to: m.from }));
+    const problems = moves.filter(m => !present.has(m.from)).map(m => `${m.from} is missing`);
+    const moved = new Map(moves.map(m => [m.from, m.to]));
+    return { moves, problems: problems.concat(checkMoves(moves, files)), files: files.map(f => moved.get(f) || f) };
+}
+
+function printPlan(title, { moves, problems }) {
+    console.log(`\n=== ${title} ===`);
+    moves.forEach(m => console.log(`  ${m.from}\n    →  ${m.to}`));
+    if (!moves.length && !problems.length) console.log('  (nothing to move)');
+    problems.forEach(p => console.error(`  ❌ ${p}`));
+}
+
+// ── Applying ─────────────────────────────────────────────────────────────────
+
+/**
+ * Move files in two steps (aside, then into place), so a file may take the
+ * path of another one that is moving away in the same set.
+ */
+function applyMoves(moves) {
+    const aside = moves.map((m, i) => {
+        const from = path.join(root, m.from);
+        const temp = `${from}.migrating-${i}`;
+        fs.renameSync(from, temp);
+        return temp;
+    });
+    moves.forEach((m, i) => {
+        const to = path.join(root, m.to);
+        fs.mkdirSync(path.dirname(to), { recursive: true });
+        fs.renameSync(aside[i], to);
+    });
+    removeEmptyFolders(moves.map(m => path.dirname(path.join(root, m.from))));
+}
+
+/** Remove each folder (and the folders above it, up to pdfs/) once it is empty. */
+function removeEmptyFolders(dirs) {
+    // Deepest first, so a parent is looked at after its children are gone
+    const unique = [...new Set(dirs)].sort((a, b) => b.length - a.length);
+    for (let dir of unique) {
+        while (dir !== pdfRoot && dir.startsWith(pdfRoot + path.sep)
+            && fs.existsSync(dir) && !fs.readdirSync(dir).length) {
+            fs.rmdirSync(dir);
+            dir = path.dirname(dir);
+        }
+    }
+}
+
+function readApplied() {
+    if (!fs.existsSync(appliedFile)) return [];
+    return JSON.parse(fs.readFileSync(appliedFile, 'utf8')).applied;
+}
+
+function writeApplied(applied) {
+    fs.mkdirSync(migrationsDir, { recursive: true });
+    fs.writeFileSync(appliedFile, JSON.stringify({ applied }, null, 2) + '\n');
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const rollbackAt = args.indexOf('--rollback');
+    const rollbackTo = rollbackAt >= 0 && args[rollbackAt + 1] && !args[rollbackAt + 1].startsWith('--')
+        ? args[rollbackAt + 1] : null;
+
+    let migrations;
+    let applied;
+    try {
+        migrations = loadMigrations();
+        applied = readApplied();
+    } catch (err) {
+        console.error(err.message);
+        process.exit(2);
+    }
+    const appliedIds = new Set(applied.map(a => a.id));
+
+    if (args.includes('--status')) {
+        migrations.forEach(m => {
+            const entry = applied.find(a => a.id === m.id);
+            const state = !entry ? 'pending' : entry.baseline ? 'applied (baseline)' : `applied ${entry.appliedAt}, ${entry.moves.length} file(s)`;
+            console.log(`  ${m.id.padEnd(32)} ${state}\n      ${m.description}`);
+        });
+        applied.filter(a => !migrations.some(m => m.id === a.id))
+            .forEach(a => console.log(`  ${a.id.padEnd(32)} applied, but its rule file is gone`));
+        process.exit(0);
+    }
+
+    let steps;
+    if (rollbackAt >= 0) {
+        if (!applied.length) {
+            console.log('No migrations have been applied.');
+            process.exit(0);
+        }
+        const from = rollbackTo ? applied.findIndex(a => a.id === rollbackTo) : applied.length - 1;
+        if (from < 0) {
+            console.error(`${rollbackTo} hasn't been applied`);
+            process.exit(2);
+        }
+        steps = applied.slice(from).reverse().map(entry => ({ entry, title: `Rolling back ${entry.id}` }));
+    } else {
+        const unknown = applied.filter(a => !migrations.some(m => m.id === a.id));
+        if (unknown.length) {
+            console.error(`Applied but missing from migrations/: ${unknown.map(a => a.id).join(', ')}`);
+            process.exit(2);
+        }
+        const pending = migrations.filter(m => !appliedIds.has(m.id));
+        const late = pending.find(m => m.id < applied[applied.length - 1]?.id);
+        if (late) {
+            console.error(`${late.id} sorts before migrations that are already applied; give it a higher number`);
+            process.exit(2);
+        }
+        steps = pending.map(migration => ({ migration, title: `${migration.id}: ${migration.description}` }));
+    }
+    if (!steps.length) {
+        console.log('Nothing to migrate: every migration is applied.');
+        process.exit(0);
+    }
+
+    // Plan every step on a simulated tree first, so a later step's problems stop the run before anything moves
+    let files = listFiles();
+    let ok = true;
+    for (const step of steps) {
+        try {
+            step.plan = step.entry ? planRollback(step.entry, files) : planMigration(step.migration, files);
+        } catch (err) {
+            console.error(err.message);
+            process.exit(2);
+        }
+        printPlan(step.title, step.plan);
+        ok = ok && !step.plan.problems.length;
+        files = step.plan.files;
+    }
+    const total = steps.reduce((n, s) => n + s.plan.moves.length, 0);
+
+    if (!ok) {
+        console.error('\nNothing was moved; fix the problems above first.');
+        process.exit(1);
+    }
+    if (dryRun) {
+        console.log(`\nDry run: ${total} move(s) in ${steps.length} step(s), nothing changed.`);
+        process.exit(0);
+    }
+
+    for (const step of steps) {
+        applyMoves(step.plan.moves);
+        if (step.entry) {
+            applied = applied.filter(a => a !== step.entry);
+        } else {
+            applied.push({ id: step.migration.id, appliedAt: new Date().toISOString(), moves: step.plan.moves });
+        }
+        // Record after each step, so an interrupted run still knows what it did
+        writeApplied(applied);
+    }
+    console.log(`\nDone. ${total} file(s) moved; ${rel(appliedFile)} updated (commit it with the moves).`);
+    console.log('\nNext: run  node scripts/generateData.js  to update JSON data files.');
+}
+
+module.exports = { compilePattern, loadMigrations, listFiles, planMigration, planRollback, applyMoves };
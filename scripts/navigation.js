@@ -0,0 +1,76 @@
+// What each semester, subject and course type holds, from data/navigation.json
+// (written by generateData.js). Loaded as a plain <script> by index.html,
+// subjects.html and coursetype.html, after taxonomy.js.
+//
+// A branch with nothing in it isn't in the manifest. If the manifest can't be
+// loaded at all, the pages list the whole taxonomy as they did before it existed.
+
+let navigationLoading = null;
+
+/** The manifest, or null when it can't be loaded. */
+function loadNavigation() {
+    if (!navigationLoading) {
+        navigationLoading = fetch('data/navigation.json', { cache: 'no-cache' })
+            .then(res => (res.ok ? res.json() : null))
+            .catch(() => null);
+    }
+    return navigationLoading;
+}
+
+const navigationKey = id => String(id || '').toLowerCase().replace(/[\s_]+/g, '');
+
+/**
+ * The manifest's entry for a semester, a subject in it, or a course type of that
+ * subject: { counts, updated?, ... }.
+ * @returns {object|null|undefined} null when it has nothing in it; undefined without a manifest
+ */
+function navigationEntry(manifest, sem, subject, courseType) {
+    if (!manifest) return undefined;
+    let node = manifest.semesters.find(s => s.semester === Number(sem)) || null;
+    if (node && subject) node = node.subjects.find(s => navigationKey(s.id) === navigationKey(subject)) || null;
+    if (node && courseType) node = (node.courseTypes || []).find(c => navigationKey(c.id) === navigationKey(courseType)) || null;
+    return node;
+}
+
+/** { Papers: 12, Notes: 8 } -> "12 papers · 8 notes" */
+function countsBadge(counts) {
+    return Object.keys(counts).map(id => {
+        const category = TAXONOMY.categories.find(c => c.id === id);
+        const [one, many] = (category && category.count) || [id.toLowerCase(), id.toLowerCase()];
+        return `${counts[id]} ${counts[id] === 1 ? one : many}`;
+    }).join(' · ');
+}
+
+/** "2026-03-01" -> "Updated 1 Mar 2026" */
+function updatedLabel(date) {
+    if (!date) return '';
+    const d = new Date(`${date}T00:00:00`);
+    return `Updated ${d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}`;
+}
+
+/**
+ * Fill a navigation card from its manifest entry: a count badge when it has
+ * something in it, greyed out and unlinked when it doesn't. `card` is an <a>;
+ * its .meta line is kept as is without a manifest.
+ */
+function applyNavigationEntry(card, entry) {
+    if (entry === undefined) return;
+    const meta = card.querySelector('.meta, p');
+    if (entry === null) {
+        card.classList.add('card-empty');
+        card.removeAttribute('href');
+        card.setAttribute('aria-disabled', 'true');
+        meta.textContent = 'Nothing uploaded yet';
+        return;
+    }
+    const badge = document.createElement('span');
+    badge.className = 'count-badge';
+    badge.textContent = countsBadge(entry.counts);
+    meta.after(badge);
+    if (entry.updated) {
+        const updated = document.createElement('span');
+        updated.className = 'meta updated';
+        updated.textContent = updatedLabel(entry.updated);
+        badge.after(updated);
+    }
+}
@@ -0,0 +1,117 @@
+// Facets, grouping and sorting for the papers view of pdfs.html, over the
+// entries of data/sem_N.json.
+//
+// Loaded as a plain <script> after scripts/taxonomy.js and scripts/filenames.js.
+// The state lives in the URL next to sem/subject/coursetype, so a filtered view
+// can be shared: ?year=2024&year=2023&exam=External&code=401&group=year&sort=oldest&q=...
+// Values of one facet are alternatives; different facets all have to match.
+
+/** Course code of a paper: from the course it was matched to, else its own field. */
+function paperCourseCode(p) {
+    const course = p.course && parseCourseKey(p.course);
+    return (course && course.code) || p.courseCode || '';
+}
+
+const byTaxonomy = list => (a, b) => {
+    const rank = v => (list.includes(v) ? list.indexOf(v) : list.length);
+    return rank(a) - rank(b) || a.localeCompare(b);
+};
+const byNumber = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// In display order. `key` is the URL parameter; `none` heads the group of papers without a value.
+const PAPER_FACETS = [
+    { key: 'year', label: 'Year', value: p => (p.year ? String(p.year) : ''), order: (a, b) => b - a, none: 'Year not given' },
+    { key: 'exam', label: 'Exam Type', value: p => p.examType || '', order: byTaxonomy(EXAM_TYPES), none: 'Exam type not given' },
+    { key: 'code', label: 'Course Code', value: paperCourseCode, order: byNumber, none: 'No course code' }
+];
+
+const byTitle = (a, b) => String(a.title).localeCompare(String(b.title), undefined, { numeric: true, sensitivity: 'base' });
+// Papers without a year go last either way
+const byYear = dir => (a, b) => (!a.year - !b.year) || dir * ((a.year || 0) - (b.year || 0)) || byTitle(a, b);
+
+const PAPER_SORTS = [
+    { key: 'newest', label: 'Newest first', compare: byYear(-1) },
+    { key: 'oldest', label: 'Oldest first', compare: byYear(1) },
+    { key: 'title', label: 'Title (A–Z)', compare: byTitle }
+];
+
+/** @returns {{ filters: Object<string,string[]>, group: string, sort: string, q: string }} */
+function readPaperState(params) {
+    const filters = {};
+    PAPER_FACETS.forEach(f => {
+        const values = params.getAll(f.key).filter(Boolean);
+        if (values.length) filters[f.key] = values;
+    });
+    const group = params.get('group');
+    const sort = params.get('sort');
+    return {
+        filters,
+        group: PAPER_FACETS.some(f => f.key === group) ? group : '',
+        sort: PAPER_SORTS.some(s => s.key === sort) ? sort : PAPER_SORTS[0].key,
+        q: params.get('q') || ''
+    };
+}
+
+/** Put the state into `params`, leaving every other parameter alone. Defaults are left out. */
+function writePaperState(params, state) {
+    ['q', 'group', 'sort', ...PAPER_FACETS.map(f => f.key)].forEach(key => params.delete(key));
+    if (state.q) params.set('q', state.q);
+    PAPER_FACETS.forEach(f => (state.filters[f.key] || []).forEach(v => params.append(f.key, v)));
+    if (state.group) params.set('group', state.group);
+    if (state.sort !== PAPER_SORTS[0].key) params.set('sort', state.sort);
+    return params;
+}
+
+/** Papers matching every facet filter except `skip`. */
+function filterPapers(papers, filters, skip) {
+    return papers.filter(p => PAPER_FACETS.every(f => {
+        const wanted = filters[f.key];
+        return f.key === skip || !wanted || wanted.length === 0 || wanted.includes(f.value(p));
+    }));
+}
+
+/**
+ * Chip counts for every facet, each counted with the *other* facets applied, so
+ * picking 2024 still shows how many papers the other years have. Selected
+ * values stay listed even when nothing is left for them.
+ * @returns {Object<string, Array<{ value: string, count: number }>>}
+ */
+function paperFacetCounts(papers, filters) {
+    const facets = {};
+    PAPER_FACETS.forEach(f => {
+        const counts = {};
+        filterPapers(papers, filters, f.key).forEach(p => {
+            const v = f.value(p);
+            if (v) counts[v] = (counts[v] || 0) + 1;
+        });
+        (filters[f.key] || []).forEach(v => { if (!(v in counts)) counts[v] = 0; });
+        facets[f.key] = Object.keys(counts).sort(f.order).map(value => ({ value, count: counts[value] }));
+    });
+    return facets;
+}
+
+function sortPapers(papers, sort) {
+    const s = PAPER_SORTS.find(x => x.key === sort) || PAPER_SORTS[0];
+    return papers.slice().sort(s.compare);
+}
+
+/**
+ * Split already sorted papers into groups by one facet. Years follow the sort
+ * order (oldest first for "oldest", newest first otherwise); papers without a
+ * value come last.
+ * @returns {Array<{ label: string, papers: object[] }>} one unlabelled group when `group` is empty
+ */
+function groupPapers(papers, group, sort) {
+    const f = PAPER_FACETS.find(x => x.key === group);
+    if (!f) return [{ label: '', papers }];
+    const groups = new Map();
+    papers.forEach(p => {
+        const v = f.value(p);
+        if (!groups.has(v)) groups.set(v, []);
+        groups.get(v).push(p);
+    });
+    const order = f.key === 'year' && sort === 'oldest' ? (a, b) => a - b : f.order;
+    return [...groups.keys()]
+        .sort((a, b) => (!a - !b) || order(a, b))
+        .map(v => ({ label: v || f.none, papers: groups.get(v) }));
+}
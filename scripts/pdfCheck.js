@@ -0,0 +1,223 @@
+// Structural checks on the bytes of an uploaded PDF.
+//
+// The browser's file.type only reflects the extension, so renamed images,
+// half-finished downloads and password-protected files used to get through.
+// inspectPdf() looks at the file itself:
+//
+//   - header        "%PDF-x.y" near the start (and what the file really is if not)
+//   - trailer       "%%EOF" near the end; missing means the file was cut off
+//   - xref          startxref points at a cross-reference table or stream,
+//                   and the table's first entries point at real objects (or, in
+//                   Word's hybrid files, the empty table's /XRefStm does)
+//   - encryption    an /Encrypt dictionary in the trailer
+//   - page count    /Count of the page tree (object streams are unpacked)
+//   - text          whether any page content draws text, or it's only images (a scan)
+//
+// It is a quick scan, not a parser: pdfText.js does the real work at build time.
+// Runs in the browser (upload form) and in Node 18+; both have DecompressionStream.
+
+const PDF_CHECK_MAX_CONTENT_STREAMS = 300; // enough to find text; stops huge scans taking ages
+// What an xref offset should point at: "N G obj". Some writers point at the end-of-line byte just before it.
+const PDF_CHECK_OBJECT_AT = /^\s*\d+\s+\d+\s+obj\b/;
+
+// What a non-PDF file most likely is, by its first bytes
+const PDF_CHECK_SIGNATURES = [
+    { magic: [0xff, 0xd8, 0xff], kind: 'a JPEG image' },
+    { magic: [0x89, 0x50, 0x4e, 0x47], kind: 'a PNG image' },
+    { magic: [0x47, 0x49, 0x46, 0x38], kind: 'a GIF image' },
+    { magic: [0x50, 0x4b, 0x03, 0x04], kind: 'a ZIP archive or Word/PowerPoint document' },
+    { magic: [0xd0, 0xcf, 0x11, 0xe0], kind: 'an old Word/Excel document' },
+    { magic: [0x3c, 0x21, 0x44, 0x4f], kind: 'a web page (HTML)' },
+    { magic: [0x3c, 0x68, 0x74, 0x6d], kind: 'a web page (HTML)' }
+];
+
+/** One char per byte, so string offsets are byte offsets. */
+function pdfBytesToString(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 65536) {
+        out += String.fromCharCode.apply(null, bytes.subarray(i, i + 65536));
+    }
+    return out;
+}
+
+async function pdfInflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') return null;
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** Every "N G obj ... stream ... endstream" in the file, with its dictionary text. */
+function pdfStreams(src) {
+    const out = [];
+    const re = /\d+\s+\d+\s+obj\b/g;
+    let m;
+    while ((m = re.exec(src)) !== null) {
+        const head = src.slice(re.lastIndex, re.lastIndex + 4096);
+        const s = head.search(/\bstream\r?\n/);
+        const e = head.indexOf('endobj');
+        if (s < 0 || (e >= 0 && e < s)) continue;
+        let start = re.lastIndex + s + 'stream'.length;
+        if (src[start] === '\r') start++;
+        if (src[start] === '\n') start++;
+        const end = src.indexOf('endstream', start);
+        out.push({ dict: head.slice(0, s), start, end: end < 0 ? src.length : end });
+        if (end > 0) re.lastIndex = end;
+    }
+    return out;
+}
+
+/** The "<< ... >>" dictionary that contains position i (nested dictionaries are skipped). */
+function pdfEnclosingDict(text, i) {
+    let depth = 0;
+    let start = -1;
+    for (let j = i; j > 0 && j > i - 8192; j--) {
+        if (text[j] === '>' && text[j - 1] === '>') { depth++; j--; } else if (text[j] === '<' && text[j - 1] === '<') {
+            if (depth === 0) { start = j - 1; break; }
+            depth--; j--;
+        }
+    }
+    if (start < 0) return '';
+    depth = 0;
+    for (let j = start; j < text.length && j < start + 16384; j++) {
+        if (text[j] === '<' && text[j + 1] === '<') { depth++; j++; } else if (text[j] === '>' && text[j + 1] === '>') {
+            depth--; j++;
+            if (depth === 0) return text.slice(start, j + 1);
+        }
+    }
+    return '';
+}
+
+/**
+ * Inspect a PDF file.
+ *
+ * @param {Uint8Array} bytes the whole file
+ * @returns {Promise<{ problems: Array<{ code: string, severity: 'error'|'warning', message: string }>,
+ *                     info: { version: string|null, pages: number|null, encrypted: boolean, hasText: boolean|null, images: number } }>}
+ *   errors mean the file won't open on the site; warnings are worth telling the uploader about
+ */
+async function inspectPdf(bytes) {
+    const problems = [];
+    const error = (code, message) => problems.push({ code, severity: 'error', message });
+    const warn = (code, message) => problems.push({ code, severity: 'warning', message });
+    const info = { version: null, pages: null, encrypted: false, hasText: null, images: 0 };
+
+    if (!bytes || bytes.length === 0) {
+        error('empty', 'The file is empty.');
+        return { problems, info };
+    }
+
+    // Header
+    const headText = pdfBytesToString(bytes.subarray(0, 1024));
+    const header = /%PDF-(\d\.\d)/.exec(headText);
+    if (!header) {
+        const sig = PDF_CHECK_SIGNATURES.find(s => s.magic.every((b, i) => bytes[i] === b));
+        error('not-pdf', sig
+            ? `This isn't a PDF — it looks like ${sig.kind} that was renamed to .pdf. Convert it to PDF first.`
+            : "This isn't a PDF file (it doesn't start with a PDF header).");
+        return { problems, info };
+    }
+    info.version = header[1];
+
+    const src = pdfBytesToString(bytes);
+
+    // Trailer: a complete file ends with %%EOF (some tools append a little junk after it)
+    const truncated = src.lastIndexOf('%%EOF') < src.length - 2048;
+    if (truncated) {
+        error('truncated', 'The file is incomplete (it was cut off before the end). Download it again and re-upload.');
+    }
+
+    // Cross-reference table / stream
+    const startxrefs = [...src.slice(-4096).matchAll(/startxref\s+(\d+)/g)];
+    const xrefAt = startxrefs.length ? Number(startxrefs[startxrefs.length - 1][1]) : -1;
+    const atXref = xrefAt >= 0 && xrefAt < src.length ? src.slice(xrefAt, xrefAt + 64) : '';
+    if (xrefAt < 0) {
+        warn('xref-missing', 'The file has no cross-reference table. Most viewers can repair this, but some phones may not open it.');
+    } else if (/^xref\b/.test(atXref)) {
+        const section = src.slice(xrefAt, xrefAt + 1024);
+        const table = /^xref\s+(\d+)\s+(\d+)\s+((?:\d{10} \d{5} [nf]\s*){0,20})/.exec(section);
+        const entries = table ? [...table[3].matchAll(/(\d{10}) (\d{5}) n/g)] : [];
+        const broken = entries.filter(e => !PDF_CHECK_OBJECT_AT.test(src.slice(Number(e[1]), Number(e[1]) + 32)));
+        // Word's hybrid-reference files end with an empty section ("xref 0 0") whose
+        // trailer points at the real table, an XRef stream, with /XRefStm
+        const xrefStm = /^\s*trailer\s*<<[^]*?\/XRefStm\s+(\d+)/.exec(table ? section.slice(table[0].length).split('startxref')[0] : '');
+        const emptyOk = !!xrefStm && PDF_CHECK_OBJECT_AT.test(src.slice(Number(xrefStm[1]), Number(xrefStm[1]) + 32));
+        if (!table || broken.length || (Number(table[2]) === 0 && !emptyOk)) {
+            warn('xref-broken', 'The cross-reference table is damaged (the file was probably edited or saved badly). Most viewers repair this, but some may not.');
+        }
+    } else if (!PDF_CHECK_OBJECT_AT.test(atXref)) {
+        warn('xref-broken', 'The cross-reference offset is wrong (the file was probably edited or saved badly). Most viewers repair this, but some may not.');
+    }
+
+    // Encryption lives in the trailer or, for PDF 1.5+, in the XRef stream dictionary
+    const streams = pdfStreams(src);
+    const trailers = [...src.matchAll(/trailer\s*<<([\s\S]*?)>>\s*startxref/g)].map(m => m[1]);
+    const xrefDicts = streams.filter(s => /\/Type\s*\/XRef\b/.test(s.dict)).map(s => s.dict);
+    info.encrypted = [...trailers, ...xrefDicts].some(d => /\/Encrypt\b/.test(d));
+    if (info.encrypted) {
+        error('encrypted', 'The PDF is password-protected or encrypted, so it can\'t be shown on the site. Remove the protection (e.g. ilovepdf.com/unlock_pdf) and upload it again.');
+    }
+
+    // Unpack object streams so the page tree and fonts can be found in compressed files
+    let objects = src;
+    for (const s of streams.filter(st => /\/Type\s*\/ObjStm\b/.test(st.dict))) {
+        try {
+            const data = await pdfInflate(bytes.subarray(s.start, s.end));
+            if (data) objects += '\n' + pdfBytesToString(data);
+        } catch (err) {
+            // Damaged object stream; whatever it held stays unknown
+        }
+    }
+
+    // Page count: the root /Pages node has the largest /Count
+    // (outline entries have a /Count too, so only page tree nodes are counted)
+    const counts = [...objects.matchAll(/\/Count\s+(\d+)/g)]
+        .filter(m => /\/Type\s*\/Pages\b/.test(pdfEnclosingDict(objects, m.index)))
+        .map(m => Number(m[1]));
+    info.pages = counts.length ? Math.max(...counts) : null;
+    // A cut-off file may simply be missing its page tree; "truncated" already says enough
+    if (truncated && !info.pages) {
+        info.pages = null;
+    } else if (info.pages === 0 || (info.pages === null && !/\/Type\s*\/Page\b/.test(objects))) {
+        error('no-pages', 'The PDF has no pages.');
+    } else if (info.pages === null) {
+        info.pages = (objects.match(/\/Type\s*\/Page\b/g) || []).length;
+    }
+
+    // Text or scan? Content streams have no /Type; images are /Subtype /Image.
+    info.images = streams.filter(s => /\/Subtype\s*\/Image\b/.test(s.dict)).length;
+    if (!info.encrypted && !truncated) {
+        const content = streams.filter(s => !/\/Type\s*\/(XRef|ObjStm|Metadata|EmbeddedFile)\b|\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType|XML)\b|\/Length[123]\b/.test(s.dict));
+        let unreadable = 0;
+        info.hasText = false;
+        for (const s of content.slice(0, PDF_CHECK_MAX_CONTENT_STREAMS)) {
+            let data = bytes.subarray(s.start, s.end);
+            if (/\/Filter\s*\[?\s*\/(FlateDecode|Fl)\b/.test(s.dict)) {
+                try {
+                    data = await pdfInflate(data);
+                } catch (err) {
+                    data = null;
+                }
+            } else if (/\/Filter\b/.test(s.dict)) {
+                data = null; // other codecs are for images and fonts
+            }
+            if (!data) { unreadable++; continue; }
+            if (/\bBT\b[^]*?(\bTj\b|\bTJ\b|'|")/.test(pdfBytesToString(data))) {
+                info.hasText = true;
+                break;
+            }
+        }
+        if (!info.hasText && unreadable && unreadable === content.length) {
+            info.hasText = null; // couldn't decompress anything; don't guess
+        } else if (!info.hasText) {
+            warn('scan', info.images
+                ? 'This looks like a scan: the pages are images without a text layer, so its words won\'t show up in search. That\'s fine, but an OCR\'d copy is more useful.'
+                : 'No text was found in this PDF, so its words won\'t show up in search.');
+        }
+    }
+
+    return { problems, info };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { inspectPdf };
+}
@@ -0,0 +1,783 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal, dependency-free PDF text extractor used by generateData.js.
+ *
+ * It does not try to be a full PDF implementation. Objects are located by
+ * scanning the file for "N G obj" headers (and by unpacking object streams)
+ * instead of trusting the xref table, which makes it tolerant of the slightly
+ * broken files that phone scanners and "Print to PDF" tools produce.
+ *
+ * Supported:
+ *  - FlateDecode streams (with PNG predictors for xref/object streams)
+ *  - Object streams (PDF 1.5+)
+ *  - ToUnicode CMaps (bfchar / bfrange), simple fonts with /Differences
+ *  - Form XObjects (text drawn via `Do`)
+ *
+ * Encrypted files are rejected with an error; pages with no text (scans
+ * without an OCR layer) simply come back as empty strings.
+ */
+
+// ── Lexer ────────────────────────────────────────────────────────────────────
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+class Ref {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+class Name {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+class Lexer {
+    /** @param {string} src latin1 string, one char per byte */
+    constructor(src, pos = 0) {
+        this.src = src;
+        this.pos = pos;
+    }
+
+    skipSpace() {
+        const s = this.src;
+        while (this.pos < s.length) {
+            const c = s.charCodeAt(this.pos);
+            if (WHITESPACE.has(c)) {
+                this.pos++;
+            } else if (c === 0x25) { // % comment
+                while (this.pos < s.length && s[this.pos] !== '\n' && s[this.pos] !== '\r') this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    readRegular() {
+        const s = this.src;
+        const start = this.pos;
+        while (this.pos < s.length) {
+            const c = s.charCodeAt(this.pos);
+            if (WHITESPACE.has(c) || DELIMITERS.has(c)) break;
+            this.pos++;
+        }
+        return s.slice(start, this.pos);
+    }
+
+    readLiteralString() {
+        const s = this.src;
+        let depth = 1;
+        let out = '';
+        this.pos++; // (
+        while (this.pos < s.length) {
+            let ch = s[this.pos++];
+            if (ch === '\\') {
+                ch = s[this.pos++];
+                switch (ch) {
+                    case 'n': out += '\n'; break;
+                    case 'r': out += '\r'; break;
+                    case 't': out += '\t'; break;
+                    case 'b': out += '\b'; break;
+                    case 'f': out += '\f'; break;
+                    case '\r': if (s[this.pos] === '\n') this.pos++; break;
+                    case '\n': break;
+                    default:
+                        if (ch >= '0' && ch <= '7') {
+                            let oct = ch;
+                            while (oct.length < 3 && s[this.pos] >= '0' && s[this.pos] <= '7') oct += s[this.pos++];
+                            out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+                        } else {
+                            out += ch;
+                        }
+                }
+            } else if (ch === '(') {
+                depth++;
+                out += ch;
+            } else if (ch === ')') {
+                if (--depth === 0) break;
+                out += ch;
+            } else {
+                out += ch;
+            }
+        }
+        return out;
+    }
+
+    readHexString() {
+        const s = this.src;
+        this.pos++; // <
+        let hex = '';
+        while (this.pos < s.length && s[this.pos] !== '>') {
+            const ch = s[this.pos++];
+            if (/[0-9a-fA-F]/.test(ch)) hex += ch;
+        }
+        this.pos++; // >
+        if (hex.length % 2) hex += '0';
+        let out = '';
+        for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+        return out;
+    }
+
+    /**
+     * Read the next token. Returns a primitive, a Name, or one of the
+     * structural markers ('[', ']', '<<', '>>', '{', '}') wrapped as {op}.
+     */
+    nextToken() {
+        this.skipSpace();
+        const s = this.src;
+        if (this.pos >= s.length) return null;
+        const ch = s[this.pos];
+
+        if (ch === '(') return { str: this.readLiteralString() };
+        if (ch === '<') {
+            if (s[this.pos + 1] === '<') { this.pos += 2; return { op: '<<' }; }
+            return { str: this.readHexString() };
+        }
+        if (ch === '>' && s[this.pos + 1] === '>') { this.pos += 2; return { op: '>>' }; }
+        if (ch === '[' || ch === ']' || ch === '{' || ch === '}') { this.pos++; return { op: ch }; }
+        if (ch === '/') {
+            this.pos++;
+            const raw = this.readRegular();
+            return new Name(raw.replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))));
+        }
+        if (ch === ')' || ch === '>') { this.pos++; return { op: ch }; }
+
+        const word = this.readRegular();
+        if (word === '') { this.pos++; return { op: ch }; }
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return Number(word);
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        return { op: word };
+    }
+
+    /** Parse a full object (dict/array/ref/primitive) starting at the current position. */
+    readObject() {
+        const tok = this.nextToken();
+        return this.objectFromToken(tok);
+    }
+
+    objectFromToken(tok) {
+        if (tok === null || typeof tok !== 'object' || tok instanceof Name) return tok;
+        if ('str' in tok) return tok.str;
+        if (tok.op === '[') {
+            const arr = [];
+            for (;;) {
+                const t = this.nextToken();
+                if (t === null || (t && t.op === ']')) break;
+                arr.push(this.objectFromToken(t));
+                this.collapseRef(arr);
+            }
+            return arr;
+        }
+        if (tok.op === '<<') {
+            const dict = {};
+            for (;;) {
+                const key = this.nextToken();
+                if (key === null || (key && key.op === '>>')) break;
+                if (!(key instanceof Name)) continue;
+                const save = this.pos;
+                const value = this.readObject();
+                // Look ahead for "num gen R"
+                if (typeof value === 'number') {
+                    const afterNum = this.pos;
+                    const gen = this.nextToken();
+                    if (typeof gen === 'number') {
+                        const r = this.nextToken();
+                        if (r && r.op === 'R') {
+                            dict[key.name] = new Ref(value, gen);
+                            continue;
+                        }
+                    }
+                    this.pos = afterNum;
+                }
+                if (value && value.op === '>>') { this.pos = save; break; }
+                dict[key.name] = value;
+            }
+            return dict;
+        }
+        return tok;
+    }
+
+    /** Arrays are parsed item by item, so fold a trailing "num gen R" into a Ref. */
+    collapseRef(arr) {
+        const n = arr.length;
+        if (n >= 3 && arr[n - 1] && arr[n - 1].op === 'R' &&
+            typeof arr[n - 2] === 'number' && typeof arr[n - 3] === 'number') {
+            arr.splice(n - 3, 3, new Ref(arr[n - 3], arr[n - 2]));
+        }
+    }
+}
+
+// ── Document ─────────────────────────────────────────────────────────────────
+
+function decodePredictor(data, parms) {
+    const predictor = (parms && parms.Predictor) || 1;
+    if (predictor < 10) return data;
+    const columns = (parms && parms.Columns) || 1;
+    const colors = (parms && parms.Colors) || 1;
+    const bpc = (parms && parms.BitsPerComponent) || 8;
+    const bpp = Math.max(1, Math.ceil((colors * bpc) / 8));
+    const rowLen = Math.ceil((columns * colors * bpc) / 8);
+    const rows = Math.floor(data.length / (rowLen + 1));
+    const out = Buffer.alloc(rows * rowLen);
+    let prev = Buffer.alloc(rowLen);
+    for (let r = 0; r < rows; r++) {
+        const type = data[r * (rowLen + 1)];
+        const row = data.subarray(r * (rowLen + 1) + 1, (r + 1) * (rowLen + 1));
+        const cur = Buffer.alloc(rowLen);
+        for (let i = 0; i < rowLen; i++) {
+            const left = i >= bpp ? cur[i - bpp] : 0;
+            const up = prev[i];
+            const upLeft = i >= bpp ? prev[i - bpp] : 0;
+            let v = row[i];
+            if (type === 1) v += left;
+            else if (type === 2) v += up;
+            else if (type === 3) v += (left + up) >> 1;
+            else if (type === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                v += (pa <= pb && pa <= pc) ? left : (pb <= pc ? up : upLeft);
+            }
+            cur[i] = v & 0xff;
+        }
+        cur.copy(out, r * rowLen);
+        prev = cur;
+    }
+    return out;
+}
+
+class PdfDocument {
+    /** @param {Buffer} buf */
+    constructor(buf) {
+        this.buf = buf;
+        this.src = buf.toString('latin1');
+        if (!/^\s*%PDF-/.test(this.src.slice(0, 1024))) {
+            throw new Error('Not a PDF file (missing %PDF- header)');
+        }
+        this.offsets = new Map();   // num -> byte offset of "num gen obj"
+        this.cache = new Map();     // num -> parsed object
+        this.streamObjs = new Map(); // num -> { stream: num, index }
+        this.trailer = {};
+        this.scanObjects();
+        this.readTrailers();
+        this.unpackObjectStreams();
+    }
+
+    scanObjects() {
+        const re = /(\d+)\s+(\d+)\s+obj\b/g;
+        let m;
+        while ((m = re.exec(this.src)) !== null) {
+            // Later definitions win, which matches incremental-update semantics.
+            this.offsets.set(Number(m[1]), m.index + m[0].length);
+        }
+    }
+
+    readTrailers() {
+        const re = /trailer\s*<</g;
+        let m;
+        while ((m = re.exec(this.src)) !== null) {
+            const lx = new Lexer(this.src, m.index + 'trailer'.length);
+            Object.assign(this.trailer, lx.readObject());
+        }
+        // Cross-reference streams carry the trailer keys in their own dictionary.
+        for (const num of this.offsets.keys()) {
+            const obj = this.getObject(num);
+            if (obj && obj.dict && obj.dict.Type instanceof Name && obj.dict.Type.name === 'XRef') {
+                for (const key of ['Root', 'Encrypt', 'Info']) {
+                    if (obj.dict[key] && !this.trailer[key]) this.trailer[key] = obj.dict[key];
+                }
+            }
+        }
+    }
+
+    unpackObjectStreams() {
+        for (const num of [...this.offsets.keys()]) {
+            const obj = this.getObject(num);
+            if (!obj || !obj.dict || !(obj.dict.Type instanceof Name) || obj.dict.Type.name !== 'ObjStm') continue;
+            let data;
+            try { data = this.streamData(obj); } catch { continue; }
+            if (!data) continue;
+            const text = data.toString('latin1');
+            const n = this.resolve(obj.dict.N) || 0;
+            const first = this.resolve(obj.dict.First) || 0;
+            const header = new Lexer(text);
+            for (let i = 0; i < n; i++) {
+                const objNum = header.readObject();
+                const off = header.readObject();
+                if (typeof objNum !== 'number' || typeof off !== 'number') break;
+                if (this.offsets.has(objNum) && !this.streamObjs.has(objNum)) continue;
+                this.streamObjs.set(objNum, { text, pos: first + off });
+            }
+        }
+    }
+
+    get encrypted() {
+        return !!this.trailer.Encrypt;
+    }
+
+    getObject(num) {
+        if (this.cache.has(num)) return this.cache.get(num);
+        let value = null;
+        if (this.offsets.has(num)) {
+            const lx = new Lexer(this.src, this.offsets.get(num));
+            value = lx.readObject();
+            // Direct objects may be followed by a stream body.
+            if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Name) && !(value instanceof Ref)) {
+                const save = lx.pos;
+                const tok = lx.nextToken();
+                if (tok && tok.op === 'stream') {
+                    let start = lx.pos;
+                    if (this.src[start] === '\r') start++;
+                    if (this.src[start] === '\n') start++;
+                    value = { dict: value, start };
+                } else {
+                    lx.pos = save;
+                }
+            }
+        } else if (this.streamObjs.has(num)) {
+            const { text, pos } = this.streamObjs.get(num);
+            value = new Lexer(text, pos).readObject();
+        }
+        this.cache.set(num, value);
+        return value;
+    }
+
+    resolve(v, depth = 0) {
+        while (v instanceof Ref && depth++ < 32) v = this.getObject(v.num);
+        return v;
+    }
+
+    /** Dereference and return a plain dictionary (unwrapping stream objects). */
+    dict(v) {
+        const o = this.resolve(v);
+        if (!o || typeof o !== 'object') return null;
+        if (o.dict && 'start' in o) return o.dict;
+        return o;
+    }
+
+    streamData(obj) {
+        obj = this.resolve(obj);
+        if (!obj || !obj.dict || !('start' in obj)) return null;
+        let len = this.resolve(obj.dict.Length);
+        let end = typeof len === 'number' ? obj.start + len : -1;
+        if (end < 0 || end > this.buf.length || !/^\s*endstream/.test(this.src.substr(end, 32))) {
+            end = this.src.indexOf('endstream', obj.start);
+            if (end < 0) end = this.buf.length;
+        }
+        let data = this.buf.subarray(obj.start, end);
+
+        let filters = this.resolve(obj.dict.Filter);
+        let parms = this.resolve(obj.dict.DecodeParms);
+        if (!filters) return data;
+        if (!Array.isArray(filters)) { filters = [filters]; parms = [parms]; }
+        if (!Array.isArray(parms)) parms = [parms];
+        for (let i = 0; i < filters.length; i++) {
+            const f = this.resolve(filters[i]);
+            const name = f instanceof Name ? f.name : '';
+            if (name === 'FlateDecode' || name === 'Fl') {
+                try {
+                    data = zlib.inflateSync(data);
+                } catch {
+                    // Truncated streams are common; take what zlib could recover.
+                    data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+                }
+                data = decodePredictor(data, this.dict(parms[i]));
+            } else {
+                // Image codecs (DCT, JBIG2, CCITT...) never carry text.
+                return null;
+            }
+        }
+        return data;
+    }
+
+    /** Page dictionaries in reading order, with inherited /Resources attached. */
+    pages() {
+        const root = this.dict(this.trailer.Root);
+        const out = [];
+        const seen = new Set();
+        const visit = (ref, inheritedRes) => {
+            const key = ref instanceof Ref ? ref.num : null;
+            if (key !== null) {
+                if (seen.has(key)) return;
+                seen.add(key);
+            }
+            const node = this.dict(ref);
+            if (!node) return;
+            const res = node.Resources || inheritedRes;
+            const kids = this.resolve(node.Kids);
+            if (Array.isArray(kids)) {
+                kids.forEach(k => visit(k, res));
+            } else {
+                out.push({ page: node, resources: res });
+            }
+        };
+        if (root && root.Pages) visit(root.Pages, null);
+
+        if (out.length === 0) {
+            // No usable page tree: fall back to every /Type /Page object in file order.
+            for (const num of [...this.offsets.keys(), ...this.streamObjs.keys()]) {
+                const d = this.dict(new Ref(num, 0));
+                if (d && d.Type instanceof Name && d.Type.name === 'Page') out.push({ page: d, resources: d.Resources });
+            }
+        }
+        return out;
+    }
+}
+
+// ── Fonts ────────────────────────────────────────────────────────────────────
+
+// Only the printable WinAnsi code points that differ from Latin-1.
+const WIN_ANSI = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+    0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+    0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+    0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// A few glyph names that show up in /Differences arrays; everything else falls back to
+// single-letter names ("a", "B") or "uniXXXX".
+const GLYPH_NAMES = {
+    space: ' ', hyphen: '-', period: '.', comma: ',', colon: ':', semicolon: ';',
+    parenleft: '(', parenright: ')', quoteright: '’', quoteleft: '‘', quotedbl: '"',
+    quotesingle: "'", slash: '/', equal: '=', plus: '+', minus: '−', endash: '–', emdash: '—',
+    bullet: '•', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+    eight: '8', nine: '9', percent: '%', ampersand: '&', question: '?', exclam: '!'
+};
+
+function glyphToUnicode(name) {
+    if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+    if (/^[A-Za-z]$/.test(name)) return name;
+    const uni = name.match(/^uni([0-9A-Fa-f]{4})/);
+    if (uni) return String.fromCharCode(parseInt(uni[1], 16));
+    return '';
+}
+
+function utf16be(bytes) {
+    let out = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    }
+    return out;
+}
+
+function parseCMap(text) {
+    const map = new Map();
+    const hexToStr = h => {
+        let s = '';
+        if (h.length % 2) h += '0';
+        for (let i = 0; i < h.length; i += 2) s += String.fromCharCode(parseInt(h.substr(i, 2), 16));
+        return s;
+    };
+
+    for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(parseInt(m[1], 16), utf16be(hexToStr(m[2])));
+        }
+    }
+    for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        const body = block[1];
+        const re = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<([0-9a-fA-F]*)>|\[([^\]]*)\])/g;
+        let m;
+        while ((m = re.exec(body)) !== null) {
+            const lo = parseInt(m[1], 16);
+            const hi = parseInt(m[2], 16);
+            if (hi - lo > 0xffff) continue;
+            if (m[4] !== undefined) {
+                const base = utf16be(hexToStr(m[4]));
+                const last = base.charCodeAt(base.length - 1);
+                for (let c = lo; c <= hi; c++) {
+                    map.set(c, base.slice(0, -1) + String.fromCharCode(last + (c - lo)));
+                }
+            } else {
+                const items = [...m[5].matchAll(/<([0-9a-fA-F]*)>/g)].map(x => utf16be(hexToStr(x[1])));
+                items.forEach((u, i) => map.set(lo + i, u));
+            }
+        }
+    }
+    return map;
+}
+
+function buildFont(doc, fontRef) {
+    const font = doc.dict(fontRef) || {};
+    const subtype = font.Subtype instanceof Name ? font.Subtype.name : '';
+    const f = { codeBytes: subtype === 'Type0' ? 2 : 1, toUnicode: null, differences: null, widths: new Map(), defaultWidth: 500 };
+
+    if (subtype === 'Type0') {
+        const descendants = doc.resolve(font.DescendantFonts);
+        const cid = doc.dict(Array.isArray(descendants) ? descendants[0] : null) || {};
+        f.defaultWidth = doc.resolve(cid.DW) || 1000;
+        const w = doc.resolve(cid.W);
+        if (Array.isArray(w)) {
+            for (let i = 0; i < w.length;) {
+                const first = doc.resolve(w[i]);
+                const next = doc.resolve(w[i + 1]);
+                if (Array.isArray(next)) {
+                    next.forEach((width, j) => f.widths.set(first + j, doc.resolve(width)));
+                    i += 2;
+                } else {
+                    const width = doc.resolve(w[i + 2]);
+                    for (let c = first; c <= next && c - first < 0xffff; c++) f.widths.set(c, width);
+                    i += 3;
+                }
+            }
+        }
+    } else {
+        const firstChar = doc.resolve(font.FirstChar) || 0;
+        const widths = doc.resolve(font.Widths);
+        if (Array.isArray(widths)) widths.forEach((width, i) => f.widths.set(firstChar + i, doc.resolve(width)));
+    }
+
+    if (font.ToUnicode) {
+        try {
+            const data = doc.streamData(font.ToUnicode);
+            if (data) {
+                // Type0 fonts keep 2-byte codes: in practice they are always Identity-H/V.
+                f.toUnicode = parseCMap(data.toString('latin1'));
+            }
+        } catch { /* broken cmap — fall back to the raw encoding */ }
+    }
+
+    const enc = doc.resolve(font.Encoding);
+    if (enc && !(enc instanceof Name)) {
+        const diffs = doc.resolve(enc.Differences);
+        if (Array.isArray(diffs)) {
+            f.differences = new Map();
+            let code = 0;
+            diffs.forEach(d => {
+                d = doc.resolve(d);
+                if (typeof d === 'number') code = d;
+                else if (d instanceof Name) f.differences.set(code++, glyphToUnicode(d.name));
+            });
+        }
+    }
+    return f;
+}
+
+/**
+ * Decode a shown string to Unicode and measure its advance in glyph space
+ * (thousandths of the font size), so the caller can track the pen position.
+ */
+function decodeString(font, raw) {
+    let text = '';
+    let width = 0;
+    const step = font ? font.codeBytes : 1;
+    for (let i = 0; i < raw.length; i += step) {
+        let code = raw.charCodeAt(i);
+        if (step === 2) code = (code << 8) | (raw.charCodeAt(i + 1) || 0);
+        if (font && font.toUnicode && font.toUnicode.has(code)) {
+            text += font.toUnicode.get(code);
+        } else if (font && font.differences && font.differences.has(code)) {
+            text += font.differences.get(code);
+        } else if (step === 1) {
+            text += WIN_ANSI[code] || (code >= 0x20 ? String.fromCharCode(code) : ' ');
+        }
+        // Two-byte codes without a ToUnicode map are glyph ids; they cannot be mapped.
+        width += font ? (font.widths.has(code) ? font.widths.get(code) : font.defaultWidth) : 500;
+    }
+    return { text, width };
+}
+
+// ── Content streams ──────────────────────────────────────────────────────────
+
+// Gaps between two runs on a line, in ems of the font size, above which they are
+// separate words. A run placed with Td/Tm leaves a gap only where there was a
+// space. Numbers inside a TJ array are mostly kerning and letter fitting (OCR
+// layers nudge letters apart by up to ~0.2 em), so they need a wider gap.
+const WORD_GAP_EM = 0.15;
+const TJ_WORD_GAP_EM = 0.2;
+
+/**
+ * Walk a content stream and return its text. The pen position is tracked well
+ * enough (text matrix translation + glyph widths) to tell a line break from a
+ * word gap from a kerning adjustment, which matters for Word/PowerPoint
+ * exports that position every run individually.
+ */
+function contentText(doc, data, resources, depth) {
+    if (!data || depth > 4) return '';
+    const res = doc.dict(resources) || {};
+    const fontDict = doc.dict(res.Font) || {};
+    const xobjects = doc.dict(res.XObject) || {};
+    const fonts = new Map();
+    const getFont = name => {
+        if (!fonts.has(name)) fonts.set(name, fontDict[name] ? buildFont(doc, fontDict[name]) : null);
+        return fonts.get(name);
+    };
+
+    const lx = new Lexer(data.toString('latin1'));
+    const operands = [];
+    let out = '';
+
+    // Text state
+    let font = null;
+    let fontSize = 1;
+    let charSpacing = 0;
+    let wordSpacing = 0;
+    let hScale = 1;
+    let leading = 0;
+    // Text line matrix (translation + uniform scale only; rotation/skew is rare in notes)
+    let scale = 1;
+    let lineX = 0, lineY = 0;
+    let penX = 0;
+    // Where the previous glyph run ended, and whether the pen has been placed since
+    // (false: it only moved by TJ adjustments)
+    let lastX = null, lastY = null, lastSize = 1;
+    let moved = false;
+
+    const moveTo = (x, y) => {
+        lineX = x;
+        lineY = y;
+        penX = x;
+        moved = true;
+    };
+
+    const show = raw => {
+        const { text, width } = decodeString(font, raw);
+        const size = Math.abs(fontSize * scale) || 1;
+        if (lastY !== null) {
+            const em = Math.max(size, lastSize);
+            const gap = (penX - lastX) / em;
+            if (Math.abs(lineY - lastY) > em * 0.5) {
+                out += '\n';
+            } else if (gap > (moved ? WORD_GAP_EM : TJ_WORD_GAP_EM) || penX < lastX - size) {
+                out += ' ';
+            }
+        }
+        moved = false;
+        out += text;
+        const spaces = (text.match(/ /g) || []).length;
+        penX += ((width / 1000) * fontSize + charSpacing * raw.length / (font ? font.codeBytes : 1) + wordSpacing * spaces) * hScale * scale;
+        lastX = penX;
+        lastY = lineY;
+        lastSize = size;
+    };
+
+    for (;;) {
+        const tok = lx.nextToken();
+        if (tok === null) break;
+        if (tok instanceof Name || typeof tok !== 'object') { operands.push(tok); continue; }
+        if ('str' in tok) { operands.push(tok.str); continue; }
+        if (tok.op === '[') { operands.push(lx.objectFromToken(tok)); continue; }
+        if (tok.op === '<<') { operands.push(lx.objectFromToken(tok)); continue; }
+
+        const num = i => (typeof operands[i] === 'number' ? operands[i] : 0);
+        switch (tok.op) {
+            case 'BI': {
+                // Inline image: skip binary data up to EI.
+                const ei = lx.src.indexOf('EI', lx.pos);
+                lx.pos = ei < 0 ? lx.src.length : ei + 2;
+                break;
+            }
+            case 'BT':
+                scale = 1;
+                moveTo(0, 0);
+                break;
+            case 'Tf':
+                if (operands[0] instanceof Name) font = getFont(operands[0].name);
+                fontSize = num(1) || fontSize;
+                break;
+            case 'Tc': charSpacing = num(0); break;
+            case 'Tw': wordSpacing = num(0); break;
+            case 'Tz': hScale = num(0) / 100 || 1; break;
+            case 'TL': leading = num(0); break;
+            case 'Tm':
+                scale = Math.hypot(num(0), num(1)) || 1;
+                moveTo(num(4), num(5));
+                break;
+            case 'Td':
+                moveTo(lineX + num(0) * scale, lineY + num(1) * scale);
+                break;
+            case 'TD':
+                leading = -num(1);
+                moveTo(lineX + num(0) * scale, lineY + num(1) * scale);
+                break;
+            case 'T*':
+                moveTo(lineX, lineY - leading * scale);
+                break;
+            case 'Tj':
+                if (typeof operands[0] === 'string') show(operands[0]);
+                break;
+            case "'":
+            case '"':
+                if (tok.op === '"') { wordSpacing = num(0); charSpacing = num(1); }
+                moveTo(lineX, lineY - leading * scale);
+                if (typeof operands[operands.length - 1] === 'string') show(operands[operands.length - 1]);
+                break;
+            case 'TJ':
+                if (Array.isArray(operands[0])) {
+                    operands[0].forEach(part => {
+                        if (typeof part === 'string') show(part);
+                        else if (typeof part === 'number') penX -= (part / 1000) * fontSize * hScale * scale;
+                    });
+                }
+                break;
+            case 'Do':
+                if (operands[0] instanceof Name && xobjects[operands[0].name]) {
+                    const xo = doc.resolve(xobjects[operands[0].name]);
+                    if (xo && xo.dict && xo.dict.Subtype instanceof Name && xo.dict.Subtype.name === 'Form') {
+                        try {
+                            out += '\n' + contentText(doc, doc.streamData(xo), xo.dict.Resources || resources, depth + 1) + '\n';
+                            lastY = null;
+                        } catch { /* ignore unreadable forms */ }
+                    }
+                }
+                break;
+        }
+        operands.length = 0;
+    }
+    return out;
+}
+
+function normalizeText(s) {
+    return s
+        .replace(/­/g, '')              // soft hyphens
+        .replace(/[\u0000-\u0008\u000b-\u001f�]/g, ' ')
+        .replace(/[ \t]*\n[ \t]*/g, '\n')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+/**
+ * Extract plain text from a PDF buffer, one string per page.
+ *
+ * @param {Buffer} buf
+ * @returns {{ pages: string[], encrypted: boolean }}
+ */
+function extractPdfText(buf) {
+    const doc = new PdfDocument(buf);
+    if (doc.encrypted) {
+        const err = new Error('PDF is encrypted');
+        err.code = 'PDF_ENCRYPTED';
+        throw err;
+    }
+
+    const pages = doc.pages().map(({ page, resources }) => {
+        let contents = doc.resolve(page.Contents);
+        if (!contents) return '';
+        const parts = Array.isArray(contents) ? contents : [page.Contents];
+        const chunks = [];
+        parts.forEach(p => {
+            try {
+                const data = doc.streamData(p);
+                if (data) chunks.push(data);
+            } catch { /* skip unreadable content streams */ }
+        });
+        // Content arrays are concatenated before parsing (operators may span streams).
+        const joined = Buffer.concat(chunks.flatMap(c => [c, Buffer.from('\n')]));
+        try {
+            return normalizeText(contentText(doc, joined, resources, 0));
+        } catch {
+            return '';
+        }
+    });
+
+    return { pages, encrypted: false };
+}
+
+module.exports = { extractPdfText };
@@ -0,0 +1,169 @@
+// "Report" dialog for files on the listing pages: report a broken or wrong file,
+// or suggest corrected details. Sends the report to the worker's POST /report,
+// which opens an issue or a PR that edits the file's sidecar (Name.pdf.json).
+//
+// Loaded as a plain <script> after scripts/taxonomy.js and
+// scripts/workerClient.js; exposes openReportDialog(item, { paper }).
+
+const REPORT_EDIT_FIELDS = [
+    { key: 'title', label: 'Title', max: 120 },
+    { key: 'year', label: 'Year', paper: true, max: 4, placeholder: 'e.g. 2024' },
+    { key: 'examType', label: 'Exam type', paper: true, options: ['', ...EXAM_TYPES] },
+    { key: 'courseCode', label: 'Course code', paper: true, max: 4, placeholder: 'e.g. 401 or 401A' },
+    { key: 'description', label: 'Description', max: 500 },
+    { key: 'author', label: 'Author / Teacher', max: 80 },
+    { key: 'tags', label: 'Topics / Tags', placeholder: 'Comma-separated' },
+    { key: 'language', label: 'Language', max: 40 }
+];
+
+const reportState = { dialog: null, challenge: null, item: null, initial: {} };
+
+function reportEscape(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function reportFieldValue(item, key) {
+    const value = item[key];
+    if (Array.isArray(value)) return value.join(', ');
+    return value === undefined || value === null ? '' : String(value);
+}
+
+function buildReportDialog() {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'report-dialog';
+    dialog.innerHTML = `
+        <form class="report-form">
+            <h2>Report a problem</h2>
+            <p class="report-file"></p>
+            <label>What's wrong?
+                <select name="kind">
+                    <option value="edit">The details are wrong (title, year, …): suggest a correction</option>
+                    <option value="broken">The file is broken or won't open</option>
+                    <option value="wrong-file">It's the wrong file for this title</option>
+                    <option value="duplicate">It's a copy of another file</option>
+                    <option value="other">Something else</option>
+                </select>
+            </label>
+            <fieldset class="report-edit">
+                <legend>Correct the details you know are wrong; leave the rest as they are.</legend>
+                ${REPORT_EDIT_FIELDS.map(f => `
+                <label data-field="${f.key}">${f.label}
+                    ${f.options
+                        ? `<select name="${f.key}">${f.options.map(o => `<option value="${o}">${o || '—'}</option>`).join('')}</select>`
+                        : `<input type="text" name="${f.key}"${f.max ? ` maxlength="${f.max}"` : ''}${f.placeholder ? ` placeholder="${f.placeholder}"` : ''}>`}
+                </label>`).join('')}
+            </fieldset>
+            <label>Anything else we should know?
+                <textarea name="message" maxlength="1000" rows="3"></textarea>
+            </label>
+            <div class="report-challenge"></div>
+            <div class="report-status" hidden></div>
+            <div class="report-buttons">
+                <button type="button" class="report-cancel">Close</button>
+                <button type="submit" class="report-send">Send</button>
+            </div>
+        </form>`;
+    document.body.appendChild(dialog);
+
+    const form = dialog.querySelector('form');
+    form.elements.kind.addEventListener('change', () => {
+        dialog.querySelector('.report-edit').hidden = form.elements.kind.value !== 'edit';
+    });
+    dialog.querySelector('.report-cancel').addEventListener('click', () => dialog.close());
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        sendReport();
+    });
+
+    reportState.dialog = dialog;
+    reportState.challenge = mountChallenge(dialog.querySelector('.report-challenge'));
+    return dialog;
+}
+
+function setReportStatus(kind, html) {
+    const el = reportState.dialog.querySelector('.report-status');
+    el.className = `report-status ${kind}`;
+    el.innerHTML = html;
+    el.hidden = false;
+}
+
+/**
+ * Open the dialog for one entry of data/sem_N.json or data/syllabus_sem_N.json.
+ * `paper` also offers the year, exam type and course code for correction.
+ */
+function openReportDialog(item, { paper = false } = {}) {
+    const dialog = reportState.dialog || buildReportDialog();
+    const form = dialog.querySelector('form');
+    form.reset();
+    reportState.item = item;
+    reportState.initial = {};
+
+    dialog.querySelector('.report-file').textContent = String(item.file || '').split('/').pop();
+    REPORT_EDIT_FIELDS.forEach(f => {
+        dialog.querySelector(`[data-field="${f.key}"]`).hidden = f.paper && !paper;
+        const value = reportFieldValue(item, f.key);
+        form.elements[f.key].value = value;
+        reportState.initial[f.key] = value;
+    });
+    dialog.querySelector('.report-edit').hidden = false;
+    dialog.querySelector('.report-status').hidden = true;
+    dialog.querySelector('.report-send').disabled = false;
+    dialog.showModal();
+}
+
+async function sendReport() {
+    const form = reportState.dialog.querySelector('form');
+    const sendBtn = reportState.dialog.querySelector('.report-send');
+    const kind = form.elements.kind.value;
+
+    const payload = new FormData();
+    payload.append('file', String(reportState.item.file || '').replace(/^\/+/, ''));
+    payload.append('kind', kind);
+    payload.append('message', form.elements.message.value.trim());
+    if (kind === 'edit') {
+        // Only what the reporter changed; the worker keeps everything else
+        const changed = REPORT_EDIT_FIELDS.filter(f => form.elements[f.key].value.trim() !== reportState.initial[f.key]);
+        if (!changed.length) {
+            setReportStatus('error', 'Change at least one detail, or pick another problem above.');
+            return;
+        }
+        if (changed.some(f => /[<>]/.test(form.elements[f.key].value))) {
+            setReportStatus('error', 'The details can\'t contain &lt; or &gt;.');
+            return;
+        }
+        changed.forEach(f => payload.append(f.key, form.elements[f.key].value.trim()));
+    } else if (kind === 'other' && !form.elements.message.value.trim()) {
+        setReportStatus('error', 'Please describe the problem.');
+        return;
+    }
+    if (CHALLENGE_SITE_KEY) {
+        if (!reportState.challenge.token()) {
+            setReportStatus('error', 'Please complete the anti-spam check first.');
+            return;
+        }
+        payload.append('challengeToken', reportState.challenge.token());
+    }
+
+    sendBtn.disabled = true;
+    try {
+        const response = await fetch(`${WORKER_URL}/report`, { method: 'POST', body: payload });
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 429) {
+            const wait = Number(response.headers.get('Retry-After')) || data.retryAfter || 60;
+            setReportStatus('error', `⏳ ${reportEscape(data.message || 'Too many reports.')} Please try again in ${formatWait(wait)}.`);
+        } else if (!response.ok) {
+            setReportStatus('error', reportEscape(data.message || `Could not send the report (${response.status}).`));
+        } else {
+            const link = data.url ? ` <a href="${reportEscape(data.url)}" target="_blank" rel="noopener">Follow it here</a>.` : '';
+            setReportStatus('success', kind === 'edit'
+                ? `✅ Thanks! Your correction was sent to the maintainers for review.${link}`
+                : `✅ Thanks! The problem was reported to the maintainers.${link}`);
+            return; // leave Send disabled so the same report isn't sent twice
+        }
+    } catch (err) {
+        setReportStatus('error', 'Could not reach the server. Please check your connection and try again.');
+    } finally {
+        reportState.challenge.reset();
+    }
+    sendBtn.disabled = false;
+}
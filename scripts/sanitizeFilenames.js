@@ -1,7 +1,28 @@
+/**
+ * Make every folder and PDF name under pdfs/ URL-safe.
+ *
+ *   node scripts/sanitizeFilenames.js [--dry-run] [--manifest <file.json>]
+ *   node scripts/sanitizeFilenames.js --undo <file.json> [--dry-run]
+ *
+ * The whole plan is worked out before anything is renamed and printed first;
+ * --dry-run stops there. Names that would clash with each other or with a name
+ * that is already in the folder (ignoring case, as Windows and macOS do) get a
+ * numbered suffix instead (Notes.pdf, Notes_2.pdf, ...), handed out in name
+ * order so the same tree always gets the same plan. A PDF's sidecar
+ * (Name.pdf.json) is renamed with it.
+ *
+ * Every run writes the renames it made, in order, to a manifest (default:
+ * .renames/sanitize-<time>.json). --undo replays a manifest backwards; it skips
+ * renames that are already undone, so an interrupted undo can be run again.
+ */
+
 const fs = require('fs');
 const path = require('path');
 
-const pdfRoot = path.join(__dirname, '..', 'pdfs');
+const root = path.resolve(__dirname, '..');
+const pdfRoot = path.join(root, 'pdfs');
+
+const MANIFEST_VERSION = 1;
 
 /**
  * Sanitize a single path segment (file or folder name):
@@ -27,72 +48,177 @@ function sanitizeName(name) {
     return sanitized + ext;
 }
 
+/** "Notes.pdf", 2 → "Notes_2.pdf"; "Unit_1", 2 → "Unit_1_2" */
+function withSuffix(name, n, isDir) {
+    const ext = isDir ? '' : name.match(/(\.[a-zA-Z0-9]+)$/)?.[1] || '';
+    return `${ext ? name.slice(0, -ext.length) : name}_${n}${ext}`;
+}
+
+const rel = full => path.relative(root, full).replace(/\\/g, '/');
+
 /**
- * Collect all directories under root, sorted deepest-first.
- * We must rename children before parents so paths stay valid.
+ * Work out every rename without touching the disk.
+ *
+ * Renames are listed in the order they must run: inside a folder before the
+ * folder itself, so each one only changes the last segment of a path that
+ * still exists at that point.
+ *
+ * @returns {{ renames: Array<{ type: 'dir'|'file'|'sidecar', from: string, to: string, note?: string }>,
+ *             warnings: string[] }} paths relative to the repository root
  */
-function collectDirs(dir) {
-    const result = [];
-    function walk(current) {
-        const entries = fs.readdirSync(current, { withFileTypes: true });
-        for (const e of entries) {
-            if (e.isDirectory()) {
-                const full = path.join(current, e.name);
-                walk(full);          // recurse first (depth-first)
-                result.push(full);   // push after children → deepest first
+function planRenames(dir = pdfRoot) {
+    const renames = [];
+    const warnings = [];
+
+    function visit(current) {
+        const entries = fs.readdirSync(current, { withFileTypes: true })
+            .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        entries.filter(e => e.isDirectory()).forEach(e => visit(path.join(current, e.name)));
+
+        const names = new Set(entries.map(e => e.name));
+        const changing = entries.filter(e => (e.isDirectory() || (e.isFile() && /\.pdf$/i.test(e.name)))
+            && sanitizeName(e.name) !== e.name);
+        const movingSidecars = new Set(changing.filter(e => !e.isDirectory() && names.has(`${e.name}.json`)).map(e => `${e.name}.json`));
+
+        // Everything that keeps its name holds on to it; the rest are handed out in name order
+        const taken = new Set(entries
+            .filter(e => !changing.includes(e) && !movingSidecars.has(e.name))
+            .map(e => e.name.toLowerCase()));
+        const level = [];
+        for (const e of changing) {
+            const isDir = e.isDirectory();
+            const hasSidecar = movingSidecars.has(`${e.name}.json`);
+            const free = name => !taken.has(name.toLowerCase()) && !(hasSidecar && taken.has(`${name}.json`.toLowerCase()));
+            const wanted = sanitizeName(e.name);
+            let target = wanted;
+            for (let n = 2; !free(target); n++) target = withSuffix(wanted, n, isDir);
+            taken.add(target.toLowerCase());
+            if (hasSidecar) taken.add(`${target}.json`.toLowerCase());
+
+            const note = target !== wanted ? `${wanted} is taken` : undefined;
+            level.push({ type: isDir ? 'dir' : 'file', from: rel(path.join(current, e.name)), to: rel(path.join(current, target)), note });
+            if (hasSidecar) {
+                level.push({ type: 'sidecar', from: rel(path.join(current, `${e.name}.json`)), to: rel(path.join(current, `${target}.json`)) });
             }
         }
+        // Files first, then folders, so a folder's own renames are listed under its old path
+        renames.push(...level.filter(r => r.type !== 'dir'), ...level.filter(r => r.type === 'dir'));
+
+        entries.filter(e => e.isFile() && /\.pdf\.json$/i.test(e.name) && !names.has(e.name.slice(0, -5)))
+            .forEach(e => warnings.push(`${rel(path.join(current, e.name))} has no PDF next to it`));
     }
-    walk(dir);
-    return result;
+
+    visit(dir);
+    return { renames, warnings };
 }
 
-let renamedCount = 0;
+function printPlan({ renames, warnings }) {
+    const label = { dir: 'DIR ', file: 'FILE', sidecar: '  + ' };
+    renames.forEach(r => {
+        console.log(`  ${label[r.type]} ${r.from}  →  ${path.posix.basename(r.to)}${r.note ? `  (${r.note})` : ''}`);
+    });
+    warnings.forEach(w => console.warn(`  ⚠️  ${w}`));
+}
 
-// ── Step 1: Rename directories (deepest first) ───────────────────────────────
-console.log('=== Sanitizing directory names ===');
-if (!fs.existsSync(pdfRoot)) {
-    console.error('PDF root not found:', pdfRoot);
-    process.exit(1);
+/**
+ * Run renames in order, stopping at the first one whose target exists.
+ * @returns {Array} the renames that were made (also when it stops early)
+ */
+function applyRenames(renames) {
+    const done = [];
+    for (const r of renames) {
+        const from = path.join(root, r.from);
+        const to = path.join(root, r.to);
+        if (!fs.existsSync(from)) throw Object.assign(new Error(`${r.from} is missing`), { done });
+        // Same file on a case-insensitive disk is fine; anything else would be overwritten
+        if (fs.existsSync(to) && fs.statSync(to).ino !== fs.statSync(from).ino) {
+            throw Object.assign(new Error(`${r.to} already exists`), { done });
+        }
+        fs.renameSync(from, to);
+        done.push(r);
+    }
+    return done;
 }
 
-const dirs = collectDirs(pdfRoot);
-for (const fullPath of dirs) {
-    const parent = path.dirname(fullPath);
-    const oldName = path.basename(fullPath);
-    const newName = sanitizeName(oldName);
-
-    if (oldName !== newName) {
-        const newPath = path.join(parent, newName);
-        console.log(`  DIR  "${oldName}"  →  "${newName}"`);
-        fs.renameSync(fullPath, newPath);
-        renamedCount++;
+function writeManifest(file, renames) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const manifest = { version: MANIFEST_VERSION, createdAt: new Date().toISOString(), renames };
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/** The renames that undo a manifest, last first; ones that are already undone are left out. */
+function planUndo(manifest) {
+    if (!manifest || manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.renames)) {
+        throw new Error('not a rename manifest from this script');
     }
+    return manifest.renames.slice().reverse()
+        .map(r => ({ type: r.type, from: r.to, to: r.from }))
+        .filter(r => fs.existsSync(path.join(root, r.from)) || !fs.existsSync(path.join(root, r.to)));
 }
 
-// ── Step 2: Rename PDF files ──────────────────────────────────────────────────
-console.log('\n=== Sanitizing file names ===');
-function walkFiles(dir) {
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-    for (const e of entries) {
-        const fullPath = path.join(dir, e.name);
-        if (e.isDirectory()) {
-            walkFiles(fullPath);
-        } else if (e.isFile() && /\.pdf$/i.test(e.name)) {
-            const newName = sanitizeName(e.name);
-            if (e.name !== newName) {
-                const newPath = path.join(dir, newName);
-                console.log(`  FILE "${e.name}"  →  "${newName}"`);
-                fs.renameSync(fullPath, newPath);
-                renamedCount++;
-            }
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const valueOf = name => {
+        const i = args.indexOf(name);
+        if (i < 0) return null;
+        if (!args[i + 1] || args[i + 1].startsWith('--')) {
+            console.error(`${name} needs a file name`);
+            process.exit(2);
+        }
+        return args[i + 1];
+    };
+    const dryRun = args.includes('--dry-run');
+    const undoPath = valueOf('--undo');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const manifestPath = path.resolve(valueOf('--manifest') || path.join(root, '.renames', `sanitize-${stamp}.json`));
+
+    let plan;
+    if (undoPath) {
+        console.log(`=== Undoing ${undoPath} ===`);
+        try {
+            plan = { renames: planUndo(JSON.parse(fs.readFileSync(undoPath, 'utf8'))), warnings: [] };
+        } catch (err) {
+            console.error(`Can't undo ${undoPath}: ${err.message}`);
+            process.exit(2);
         }
+    } else {
+        if (!fs.existsSync(pdfRoot)) {
+            console.error('PDF root not found:', pdfRoot);
+            process.exit(1);
+        }
+        console.log('=== Sanitizing folder and file names ===');
+        plan = planRenames();
+    }
+    printPlan(plan);
+
+    if (!plan.renames.length) {
+        console.log('\nNothing to rename.');
+        process.exit(0);
+    }
+    if (dryRun) {
+        console.log(`\nDry run: ${plan.renames.length} rename(s) planned, nothing changed.`);
+        process.exit(0);
     }
-}
-walkFiles(pdfRoot);
 
-// ── Done ──────────────────────────────────────────────────────────────────────
-console.log(`\nDone. ${renamedCount} item(s) renamed.`);
-if (renamedCount > 0) {
+    let done;
+    let failure = null;
+    try {
+        done = applyRenames(plan.renames);
+    } catch (err) {
+        done = err.done || [];
+        failure = err;
+    }
+    // An undo is its own record; a forward run always leaves one, even when it stopped early
+    if (!undoPath && done.length) writeManifest(manifestPath, done);
+
+    if (failure) {
+        console.error(`\nStopped after ${done.length} of ${plan.renames.length} rename(s): ${failure.message}`);
+        if (!undoPath && done.length) console.error(`Undo what was done with: node scripts/sanitizeFilenames.js --undo ${rel(manifestPath)}`);
+        process.exit(1);
+    }
+    console.log(`\nDone. ${done.length} item(s) renamed.`);
+    if (!undoPath) console.log(`Manifest: ${rel(manifestPath)} (undo with --undo ${rel(manifestPath)})`);
     console.log('\nNext: run  node scripts/generateData.js  to update JSON data files.');
 }
+
+module.exports = { sanitizeName, planRenames, applyRenames, planUndo };
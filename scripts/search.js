@@ -0,0 +1,232 @@
+// Ranked, typo-tolerant search over data/search_index.json.
+//
+// Loaded as a plain <script> after scripts/fulltext.js (it reuses the same
+// tokenizer) and exposes SEARCH. Used by the homepage dropdown and by
+// search.html, which also merges in full-text hits from FULLTEXT.
+
+// Relative weight of a hit in each field. Titles are what people remember,
+// file paths are mostly noise but still carry course codes and unit names.
+const SEARCH_FIELDS = [
+    { key: 'title', boost: 3 },
+    { key: 'tags', boost: 2 },
+    { key: 'subject', boost: 2 },
+    { key: 'author', boost: 1.5 },
+    { key: 'type', boost: 1.5 },
+    { key: 'courseType', boost: 1.5 },
+    { key: 'semester', boost: 1 },
+    { key: 'file', boost: 1 }
+];
+
+// How much an exact, prefix or fuzzy term match is worth
+const MATCH_WEIGHT = { exact: 1, prefix: 0.75, fuzzy: 0.5 };
+
+// Facets shown on search.html, in display order. `key` is the field on the index item.
+const SEARCH_FACETS = [
+    { key: 'semester', label: 'Semester' },
+    { key: 'subject', label: 'Subject' },
+    { key: 'type', label: 'Type' },
+    { key: 'courseType', label: 'Course Type' },
+    { key: 'language', label: 'Language' }
+];
+
+/** Damerau-Levenshtein distance, giving up (returning max + 1) once it exceeds `max`. */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                v = Math.min(v, prevPrev[j - 2] + 1);
+            }
+            cur[j] = v;
+            if (v < rowMin) rowMin = v;
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+/** Typos allowed for a query term of this length. Short terms must be exact. */
+function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Match a query term against a vocabulary.
+ * Returns Map<vocabTerm, weight> of every acceptable expansion.
+ */
+function expandTerm(term, vocab, { prefix = true } = {}) {
+    const out = new Map();
+    const typos = allowedTypos(term);
+    vocab.forEach(v => {
+        let w = 0;
+        if (v === term) w = MATCH_WEIGHT.exact;
+        else if (prefix && term.length >= 2 && v.startsWith(term)) w = MATCH_WEIGHT.prefix;
+        else if (typos) {
+            // Against the whole word, and (while typing) against its start,
+            // so "thermodinam" already finds "thermodynamics"
+            let d = editDistance(term, v, typos);
+            if (prefix && d > typos) d = editDistance(term, v.slice(0, term.length), typos);
+            if (d <= typos) w = MATCH_WEIGHT.fuzzy * (1 - d / (2 * (typos + 1)));
+        }
+        if (w) out.set(v, w);
+    });
+    return out;
+}
+
+function tokenizeField(value) {
+    // Tags are a list; file paths use _ and / as separators, so split them like spaces
+    const text = Array.isArray(value) ? value.join(' ') : String(value || '');
+    return fullTextTokenize(text.replace(/[_/]+/g, ' '));
+}
+
+/**
+ * Build a search engine over index items ({ title, subject, type, semester, courseType, file },
+ * plus author, tags and language when a sidecar gives them).
+ */
+function createSearchEngine(items) {
+    const docs = items.map(item => {
+        const fields = {};
+        SEARCH_FIELDS.forEach(f => { fields[f.key] = new Set(tokenizeField(item[f.key])); });
+        return { item, fields };
+    });
+
+    const vocab = new Set();
+    docs.forEach(d => Object.values(d.fields).forEach(set => set.forEach(t => vocab.add(t))));
+
+    /** Items matching every facet filter except `skip`. */
+    function passesFilters(item, filters, skip) {
+        return Object.keys(filters || {}).every(key => {
+            if (key === skip) return true;
+            const wanted = filters[key];
+            if (!wanted || wanted.length === 0) return true;
+            return wanted.includes(item[key] || '');
+        });
+    }
+
+    /**
+     * `opts.extra` takes already-scored results from elsewhere (full-text hits)
+     * and merges them in before faceting. When the file is matched by both, the
+     * scores add up and the extra fields (page, snippet) are kept.
+     *
+     * @param {string} query
+     * @param {{ filters?: Object<string,string[]>, offset?: number, limit?: number, extra?: Array<{ item, score }> }} [opts]
+     * @returns {{ results: Array<{ item, score }>, total: number, facets: Object, terms: string[] }}
+     */
+    function search(query, opts = {}) {
+        const terms = fullTextTokenize(query);
+        const filters = opts.filters || {};
+
+        let scored;
+        if (terms.length === 0) {
+            scored = docs.map(d => ({ item: d.item, score: 0 }));
+        } else {
+            const expansions = terms.map(t => expandTerm(t, vocab));
+            scored = [];
+            docs.forEach(d => {
+                let score = 0;
+                for (const exp of expansions) {
+                    let best = 0;
+                    SEARCH_FIELDS.forEach(f => {
+                        d.fields[f.key].forEach(tok => {
+                            const w = exp.get(tok);
+                            if (w && w * f.boost > best) best = w * f.boost;
+                        });
+                    });
+                    if (!best) return; // every term has to match somewhere
+                    score += best;
+                }
+                scored.push({ item: d.item, score });
+            });
+        }
+
+        if (opts.extra && opts.extra.length) {
+            const byFile = new Map(scored.map(r => [r.item.file, r]));
+            opts.extra.forEach(x => {
+                const hit = byFile.get(x.item.file);
+                if (hit) Object.assign(hit, x, { item: hit.item, score: hit.score + x.score });
+                else scored.push(x);
+            });
+        }
+
+        // Facet counts: each facet is counted with every *other* filter applied,
+        // so picking "Semester 4" still shows how many hits the other semesters have.
+        const facets = {};
+        SEARCH_FACETS.forEach(f => {
+            const counts = {};
+            scored.forEach(r => {
+                if (!passesFilters(r.item, filters, f.key)) return;
+                const v = r.item[f.key];
+                if (v) counts[v] = (counts[v] || 0) + 1;
+            });
+            facets[f.key] = counts;
+        });
+
+        const filtered = scored
+            .filter(r => passesFilters(r.item, filters))
+            .sort((a, b) => b.score - a.score || String(a.item.title).localeCompare(String(b.item.title)));
+
+        const offset = opts.offset || 0;
+        const limit = opts.limit || filtered.length;
+        return {
+            results: filtered.slice(offset, offset + limit),
+            all: filtered,
+            total: filtered.length,
+            facets,
+            terms
+        };
+    }
+
+    const byFile = new Map(items.map(item => [item.file, item]));
+
+    return { search, vocab, passesFilters, itemForFile: file => byFile.get(file) };
+}
+
+/** viewer.html link for an index item, optionally opening at a page. */
+function searchViewerLink(item, page) {
+    const filePath = encodeURI(String(item.file || '').replace(/^\/+/, ''));
+    const semNum = String(item.semester || '').match(/\d+/)?.[0] || '1';
+    let link = `viewer.html?file=${encodeURIComponent(filePath)}&title=${encodeURIComponent(item.title)}&subject=${encodeURIComponent(item.subject)}&sem=${encodeURIComponent(semNum)}`;
+    if (page) link += `&page=${page}`;
+    return link;
+}
+
+const SEARCH = {
+    engine: null,
+    loading: null,
+
+    /** Fetch data/search_index.json once and build the engine. */
+    load() {
+        if (!this.loading) {
+            this.loading = fetch('data/search_index.json', { cache: 'no-cache' })
+                .then(res => (res.ok ? res.json() : []))
+                .catch(() => [])
+                .then(items => {
+                    this.engine = createSearchEngine(items);
+                    return this.engine;
+                });
+        }
+        return this.loading;
+    },
+
+    /** Full-text expansion: exact/fuzzy for every term, prefix as well for the one being typed. */
+    expandForFullText(term, vocab, isLast) {
+        return expandTerm(term, vocab, { prefix: isLast });
+    },
+
+    editDistance,
+    expandTerm
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSearchEngine, editDistance, expandTerm, SEARCH_FIELDS, SEARCH_FACETS };
+}
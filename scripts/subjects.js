@@ -1,11 +0,0 @@
-// Shared list of subjects to ensure consistency between upload form and subjects page
-const COMMON_SUBJECTS = [
-    "Physics", "Chemistry", "Mathematics", "Zoology",
-    "Botany", "Computer_Science", "English_AEC",
-    "SEC", "IKS", "VAC"
-];
-
-// Subjects that do not have Major/Minor/Multi course types
-const GENERAL_SUBJECTS = [
-    "English_AEC", "SEC", "IKS", "VAC"
-];
@@ -0,0 +1,87 @@
+// The site's taxonomy: semesters, subjects, course types, categories, exam
+// types, unit designations and units, with the names pages show for them.
+//
+// Everything that lists or checks one of these reads it from here: the
+// generator and validators require() it, the pages load it as a plain <script>
+// (TAXONOMY and the id lists below become globals), and the upload worker
+// imports it. Adding a subject or a fifth unit is a one-line change to TAXONOMY.
+//
+// Ids are what folder and file names use; names are what people see.
+
+const TAXONOMY = {
+    // Folders are Sem_N
+    semesters: [1, 2, 3, 4, 5, 6],
+
+    // general: no Major/Minor/Multi; files sit under General/, or, with
+    //   needsCoreSubject, under the core subject they go with (SEC/Physics/...).
+    // courseType: how data/courses.json labels a general subject's courses.
+    subjects: [
+        { id: 'Physics', name: 'Physics' },
+        { id: 'Chemistry', name: 'Chemistry' },
+        { id: 'Mathematics', name: 'Mathematics' },
+        { id: 'Zoology', name: 'Zoology' },
+        { id: 'Botany', name: 'Botany' },
+        { id: 'Computer_Science', name: 'Computer Science' },
+        { id: 'English_AEC', name: 'English AEC', general: true, courseType: 'AEC' },
+        { id: 'SEC', name: 'SEC', general: true, needsCoreSubject: true, courseType: 'SEC' },
+        { id: 'IKS', name: 'IKS', general: true, needsCoreSubject: true, courseType: 'IKS' },
+        { id: 'VAC', name: 'VAC', general: true, needsCoreSubject: true, courseType: 'VAC' }
+    ],
+
+    courseTypes: [
+        { id: 'Major', name: 'Major' },
+        { id: 'Minor', name: 'Minor' },
+        { id: 'Multi', name: 'Multi' }
+    ],
+
+    // hint: what the upload form shows after the name
+    // count: one and many, for the navigation pages' "12 papers · 8 notes"
+    categories: [
+        { id: 'Papers', name: 'Past Exam Papers', count: ['paper', 'papers'] },
+        { id: 'Notes', name: 'Unit Notes', hint: 'Study Content', count: ['note', 'notes'] },
+        { id: 'Syllabus', name: 'Syllabus', hint: 'Unit List & Topics', count: ['syllabus', 'syllabi'] }
+    ],
+
+    examTypes: [
+        { id: 'External', name: 'External', hint: 'Final Exam' },
+        { id: 'Internal', name: 'Internal', hint: 'Mid-term / Unit Test' }
+    ],
+
+    // A subject with two Major courses in a semester keeps their notes in
+    // "Major 1 - Unit 1" and "Major 2 - Unit 1" folders. codeSuffix tells the
+    // courses apart in data/courses.json (401 is Major 1, 401A is Major 2).
+    unitDesignations: [
+        { id: 'Major 1', name: 'Major 1', codeSuffix: '' },
+        { id: 'Major 2', name: 'Major 2', codeSuffix: 'A' }
+    ],
+
+    units: [1, 2, 3, 4]
+};
+
+const taxonomyIds = list => list.map(item => item.id);
+
+const SEMESTERS = TAXONOMY.semesters;
+const COMMON_SUBJECTS = taxonomyIds(TAXONOMY.subjects);
+// Subjects that do not have Major/Minor/Multi course types
+const GENERAL_SUBJECTS = taxonomyIds(TAXONOMY.subjects.filter(s => s.general));
+// General subjects filed under a core subject, and the folder level they add there
+const UNIT_SUBJECTS = taxonomyIds(TAXONOMY.subjects.filter(s => s.needsCoreSubject));
+const COURSE_TYPES = taxonomyIds(TAXONOMY.courseTypes);
+const CATEGORIES = taxonomyIds(TAXONOMY.categories);
+const EXAM_TYPES = taxonomyIds(TAXONOMY.examTypes);
+const UNIT_DESIGNATIONS = taxonomyIds(TAXONOMY.unitDesignations);
+const UNITS = TAXONOMY.units;
+
+/** Display name of an id: taxonomyName('subjects', 'Computer_Science') -> "Computer Science". */
+function taxonomyName(kind, id) {
+    const key = String(id || '').toLowerCase().replace(/[\s_]+/g, '');
+    const item = TAXONOMY[kind].find(x => x.id.toLowerCase().replace(/[\s_]+/g, '') === key);
+    return item ? item.name : String(id || '').replace(/_/g, ' ');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TAXONOMY, SEMESTERS, COMMON_SUBJECTS, GENERAL_SUBJECTS, UNIT_SUBJECTS, COURSE_TYPES,
+        CATEGORIES, EXAM_TYPES, UNIT_DESIGNATIONS, UNITS, taxonomyIds, taxonomyName
+    };
+}
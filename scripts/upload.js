@@ -1,7 +1,6 @@
-// REPLACE THIS with your actual Cloudflare Worker URL after deploying.
-// Example: https://exam-pdf-proxy.your-subdomain.workers.dev
-const WORKER_URL = 'https://pdf-upload.harshthakor091.workers.dev';
-// ─────────────────────────────────────────────────────────────────────────────
+// Upload form logic. The subjects, course types and other choices come from
+// scripts/taxonomy.js; WORKER_URL, CHALLENGE_SITE_KEY and the challenge widget
+// from scripts/workerClient.js. Both are loaded first.
 
 document.addEventListener('DOMContentLoaded', () => {
     const form = document.getElementById('uploadForm');
@@ -19,10 +18,32 @@ document.addEventListener('DOMContentLoaded', () => {
     const submitBtn = document.getElementById('submitBtn');
     const spinner = document.getElementById('submitSpinner');
     const statusMessage = document.getElementById('statusMessage');
-    const filenamePreview = document.getElementById('filenamePreview');
-    const previewText = document.getElementById('previewText');
     const btnText = submitBtn.querySelector('span');
 
+    // ── Options from the taxonomy (scripts/taxonomy.js) ──────────────────────
+    // Subjects are offered and sent in display form ("Computer Science"), as the
+    // form has always done; the worker and filename grammar accept both.
+    const displayId = id => id.replace(/_/g, ' ');
+    const generalSubjectsDisplay = GENERAL_SUBJECTS.map(displayId);
+    const coreSubjectHoldersDisplay = UNIT_SUBJECTS.map(displayId);
+
+    function addOptions(select, options) {
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+    const withHint = item => (item.hint ? `${item.name} (${item.hint})` : item.name);
+
+    addOptions(semesterSelect, TAXONOMY.semesters.map(n => ({ value: String(n), label: `Semester ${n}` })));
+    addOptions(courseTypeSelect, TAXONOMY.courseTypes.map(t => ({ value: t.id, label: t.name })));
+    addOptions(categorySelect, TAXONOMY.categories.map(c => ({ value: c.id, label: withHint(c) })));
+    addOptions(document.getElementById('examType'), TAXONOMY.examTypes.map(e => ({ value: e.id, label: withHint(e) })));
+    addOptions(unitNameInput, TAXONOMY.units.map(n => ({ value: String(n), label: `Unit ${n}` })));
+    addOptions(document.getElementById('unitType'), TAXONOMY.unitDesignations.map(d => ({ value: d.id, label: d.name })));
+
     // Toggle fields based on category
     categorySelect.addEventListener('change', (e) => {
         const val = e.target.value;
@@ -45,33 +66,16 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // COMMON SUBJECTS is now loaded from scripts/subjects.js
-
     // Populate the dropdown initially
+    const subjectOption = id => ({ value: displayId(id), label: taxonomyName('subjects', id) });
     subjectSelect.innerHTML = '<option value="" disabled selected>Select Subject</option>';
-    COMMON_SUBJECTS.sort().forEach(sub => {
-        const option = document.createElement('option');
-        const displaySub = sub.replace(/_/g, ' ');
-        option.value = displaySub;
-        option.textContent = displaySub;
-        subjectSelect.appendChild(option);
-    });
+    addOptions(subjectSelect, COMMON_SUBJECTS.slice().sort().map(subjectOption));
 
     const coreSubjectSelect = document.getElementById('coreSubject');
     const coreSubjectGroup = document.getElementById('coreSubjectGroup');
     if (coreSubjectSelect) {
         // Populate coreSubject dropdown with non-general subjects
-        const NON_GENERAL_SUBJECTS = typeof GENERAL_SUBJECTS !== 'undefined'
-            ? COMMON_SUBJECTS.filter(s => !GENERAL_SUBJECTS.includes(s))
-            : COMMON_SUBJECTS;
-
-        NON_GENERAL_SUBJECTS.sort().forEach(sub => {
-            const option = document.createElement('option');
-            const displaySub = sub.replace(/_/g, ' ');
-            option.value = displaySub;
-            option.textContent = displaySub;
-            coreSubjectSelect.appendChild(option);
-        });
+        addOptions(coreSubjectSelect, COMMON_SUBJECTS.filter(s => !GENERAL_SUBJECTS.includes(s)).sort().map(subjectOption));
     }
 
     // Enable the subject dropdown if a semester is chosen
@@ -84,20 +88,13 @@ document.addEventListener('DOMContentLoaded', () => {
     // Hide Course Type for general subjects and show Core Subject instead
     subjectSelect.addEventListener('change', (e) => {
         const val = e.target.value;
-        // GENERAL_SUBJECTS is defined in scripts/subjects.js with underscores (e.g. "English_AEC").
-        // We map to display form (spaces) here because subjectSelect.value also uses spaces.
-        // The fallback must match that same display form — do NOT change to underscores.
-        const generalSubjectsDisplay = typeof GENERAL_SUBJECTS !== 'undefined'
-            ? GENERAL_SUBJECTS.map(s => s.replace(/_/g, ' '))
-            : ['English AEC', 'SEC', 'IKS', 'VAC']; // display form (spaces), not underscore form
-
         if (generalSubjectsDisplay.includes(val)) {
             courseTypeGroup.style.display = 'none';
             courseTypeSelect.value = 'General';
             courseTypeSelect.removeAttribute('required');
 
             if (coreSubjectGroup) {
-                if (val === 'English AEC') {
+                if (!coreSubjectHoldersDisplay.includes(val)) {
                     coreSubjectGroup.style.display = 'none';
                     coreSubjectSelect.removeAttribute('required');
                     coreSubjectSelect.value = '';
@@ -121,110 +118,433 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // ── Dynamic Filename Generation ──
-    function generateSemanticFilename() {
-        const subject = subjectSelect.value || '';
-        const coreSubject = coreSubjectSelect ? coreSubjectSelect.value : '';
-        const courseCode = courseCodeInput.value.trim().toUpperCase();
-        const category = categorySelect.value;
-        const examType = document.getElementById('examType').value;
-        const year = document.getElementById('year').value;
-        const unitName = document.getElementById('unitName').value.trim();
+    // ── Shared fields ─────────────────────────────────────────────────────────
+    // Semester, subject and course apply to the whole submission; everything
+    // else (category, exam type, year, unit, optional details) is per file, see the rows below.
+    function sharedFields() {
+        const subjectTitle = (subjectSelect.value || '').trim();
+        const showCore = coreSubjectGroup && coreSubjectGroup.style.display !== 'none';
+        const coreSubject = showCore && coreSubjectSelect ? coreSubjectSelect.value : '';
+
+        // If it's a general subject, use the selected Core Subject (e.g. Physics) as the CourseType folder
+        // Fallback to "General" if coreSubject is empty for some reason
+        let finalCourseType = courseTypeSelect.value;
+        if (generalSubjectsDisplay.includes(subjectTitle)) {
+            finalCourseType = coreSubject ? coreSubject.replace(/\s+/g, '_') : 'General';
+        }
+
+        // Format subject for folder path
+        const subject = subjectTitle.replace(/\w\S*/g, txt =>
+            txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase()
+        );
+        return {
+            semester: semesterSelect.value,
+            semesterKey: `Sem_${semesterSelect.value}`,
+            subjectTitle,
+            subject,
+            subjectFolder: subject.replace(/\s+/g, '_'),
+            coreSubject,
+            courseType: courseTypeSelect.value,
+            finalCourseType,
+            courseCode: courseCodeInput.value.trim().toUpperCase()
+        };
+    }
 
-        if (!subject || !courseCode) return '';
+    // ── Dynamic Filename Generation ──
+    function filenameFor(shared, row) {
+        const { category, examType, year } = rowValues(row);
+        if (!shared.subjectTitle || !shared.courseCode) return '';
 
         if (category === 'Notes') {
-            const fileInput = document.getElementById('pdfFile');
-            if (fileInput && fileInput.files.length > 0) {
-                return fileInput.files[0].name.replace(/[^a-zA-Z0-9.\-_ ]/g, '').replace(/\s+/g, ' ');
-            }
-            return '[Original_File_Name].pdf';
+            return cleanNoteFilename(row.file.name);
         }
 
-        let parts = [];
-        // Convert internal underscores to spaces for the filename
-        parts.push(subject.replace(/_/g, ' '));
+        // Papers and Syllabus follow the shared grammar in scripts/filenames.js
+        return buildPaperFilename({
+            subject: shared.subjectTitle,
+            coreSubject: shared.coreSubject,
+            courseCode: shared.courseCode,
+            examType: category === 'Papers' ? examType : '',
+            year: category === 'Papers' ? year : '',
+            category
+        });
+    }
+
+    // Sanitize every path segment to avoid spaces/special chars that break URLs.
+    function sanitizeSegment(s) {
+        return String(s)
+            .replace(/[^a-zA-Z0-9_.\-]/g, '_')  // unsafe chars → _
+            .replace(/_+/g, '_')                  // collapse multiples
+            .replace(/^_+|_+$/g, '');             // strip leading/trailing _
+    }
 
-        // Add core subject if it is visible and selected
-        if (coreSubjectGroup && coreSubjectGroup.style.display !== 'none' && coreSubject) {
-            parts.push(coreSubject.replace(/_/g, ' '));
+    // pdfs/{Semester}/{Subject}/{CourseType}/[{UnitType}]/{Category}/[{ExamType}|{UnitName}]/file.pdf
+    function targetPathFor(shared, row) {
+        const fileName = filenameFor(shared, row);
+        if (!fileName || !shared.semester || !shared.finalCourseType) return '';
+        const { category, examType, unitName, unitType } = rowValues(row);
+
+        const pathParts = [
+            'pdfs',
+            shared.semesterKey,
+            sanitizeSegment(shared.subjectFolder),
+            sanitizeSegment(shared.finalCourseType)
+        ];
+
+        // 1. Handle Unit Designation (SEC/IKS/VAC) as a separate folder level if applicable
+        // For Major 1/2, we will combine it with the Unit Name instead.
+        const isGeneralUnitType = UNIT_SUBJECTS.includes(unitType?.toUpperCase());
+        if (unitType && isGeneralUnitType) {
+            pathParts.push(sanitizeSegment(unitType));
         }
 
-        parts.push(courseCode);
+        // 2. Add Category (Papers, Notes, Syllabus)
+        pathParts.push(sanitizeSegment(category));
 
-        if (category === 'Papers') {
-            if (examType) parts.push(examType);
-            if (year) parts.push(year);
-        } else if (category === 'Syllabus') {
-            parts.push('Syllabus');
+        // 3. Add Exam Type for Papers
+        if (category === 'Papers' && examType) {
+            pathParts.push(sanitizeSegment(examType));
         }
 
-        // Use underscores instead of spaces for better web compatibility
-        return parts.join('_').replace(/[^a-zA-Z0-9.\-_]/g, '').replace(/[\s_]+/g, '_') + '.pdf';
-    }
+        // 4. Construct Unit Name segment (for Notes)
+        let displayUnitName = unitName ? `Unit ${unitName}` : '';
 
-    function updatePreview() {
-        const fn = generateSemanticFilename();
-        if (fn) {
-            filenamePreview.style.display = 'block';
-            previewText.textContent = fn;
-        } else {
-            filenamePreview.style.display = 'none';
+        // 5. If it's a Major designation, prefix it to the unit name (e.g. Major 1 - Unit 1)
+        if (unitType && !isGeneralUnitType) {
+            displayUnitName = displayUnitName ? `${unitType} - ${displayUnitName}` : unitType;
         }
+
+        if (displayUnitName) {
+            pathParts.push(sanitizeSegment(displayUnitName));
+        }
+
+        pathParts.push(fileName);
+        return pathParts.join('/');
     }
 
-    // ── Live file size checker ────────────────────────────────────────────────
+    // ── File rows ─────────────────────────────────────────────────────────────
+    // One row per selected PDF with its own category / exam type / year / unit,
+    // pre-filled from the default fields above. Picking more files adds rows.
     const pdfFileInput = document.getElementById('pdfFile');
-    const fileSizeMsg  = document.getElementById('fileSizeMsg');
+    const fileRows = document.getElementById('fileRows');
+    const applyDefaultsBtn = document.getElementById('applyDefaults');
     const WARN_MB  = 10;   // amber warning above this
-    const BLOCK_MB = 50;   // red error above this (hard limit)
+    const BLOCK_MB = 50;   // red error above this (hard limit per file)
+    const BATCH_MB = 95;   // whole submission; Cloudflare rejects request bodies over 100 MB
+
+    const rows = [];
+
+    const defaultInputs = {
+        category: categorySelect,
+        examType: document.getElementById('examType'),
+        year: yearInput,
+        unitName: unitNameInput,
+        unitType: document.getElementById('unitType')
+    };
+
+    // Optional details, sent per file and committed as a sidecar (Name.pdf.json)
+    // next to the PDF. Author, tags and language have defaults above; title and
+    // description only make sense for one file.
+    const META_FIELDS = [
+        { key: 'title', label: 'Title', placeholder: 'Title, e.g. Mechanics — Lecture Notes', max: 120 },
+        { key: 'description', label: 'Description', placeholder: 'Short description of what it covers', max: 500 },
+        { key: 'author', label: 'Author / Teacher', placeholder: 'Author / teacher', max: 80 },
+        { key: 'tags', label: 'Topics / Tags', placeholder: 'Topics / tags, comma-separated' },
+        { key: 'language', label: 'Language', placeholder: 'Language', max: 40 }
+    ];
+    const defaultMeta = {
+        author: document.getElementById('author'),
+        tags: document.getElementById('tags'),
+        language: document.getElementById('language')
+    };
+
+    function rowValues(row) {
+        const v = {};
+        Object.keys(row.inputs).forEach(k => { v[k] = row.inputs[k].value.trim(); });
+        // Fields that don't apply to the category are ignored, as in the default fields
+        if (v.category !== 'Papers') { v.examType = ''; v.year = ''; }
+        if (v.category !== 'Notes') { v.unitName = ''; v.unitType = ''; }
+        return v;
+    }
 
-    function checkFileSize() {
-        if (!pdfFileInput.files || pdfFileInput.files.length === 0) {
-            fileSizeMsg.className = '';
-            fileSizeMsg.innerHTML = '';
-            return;
+    function setMsg(el, kind, html) {
+        el.className = kind ? `row-msg ${kind}` : 'row-msg';
+        el.innerHTML = html;
+        el.hidden = !kind;
+    }
+
+    function applyDefaults(row) {
+        Object.keys(defaultInputs).forEach(k => { row.inputs[k].value = defaultInputs[k].value; });
+        Object.keys(defaultMeta).forEach(k => { row.meta[k].value = defaultMeta[k].value; });
+        updateRowFields(row);
+    }
+
+    function updateRowFields(row) {
+        const category = row.inputs.category.value;
+        row.inputs.examType.style.display = category === 'Papers' ? '' : 'none';
+        row.inputs.year.style.display = category === 'Papers' ? '' : 'none';
+        row.inputs.unitName.style.display = category === 'Notes' ? '' : 'none';
+        row.inputs.unitType.style.display = category === 'Notes' ? '' : 'none';
+    }
+
+    function addRow(file) {
+        const el = document.createElement('div');
+        el.className = 'file-row';
+        el.innerHTML = `
+            <div class="file-row-head">
+                <span class="file-row-name"></span>
+                <span class="file-row-size"></span>
+                <button type="button" class="file-row-remove" title="Remove this file" aria-label="Remove this file">✕</button>
+            </div>
+            <div class="file-row-fields"></div>
+            <details class="file-row-meta">
+                <summary>Title, description and more (optional)</summary>
+                <div class="file-row-meta-fields"></div>
+            </details>
+            <div class="file-row-saved"></div>
+            <div class="row-msg" data-msg="path" hidden></div>
+            <div class="row-msg" data-msg="size" hidden></div>
+            <div class="row-msg" data-msg="pdf" hidden></div>
+            <div class="row-msg" data-msg="duplicate" hidden></div>`;
+        el.querySelector('.file-row-name').textContent = file.name;
+        el.querySelector('.file-row-size').textContent = (file.size / (1024 * 1024)).toFixed(1) + ' MB';
+
+        const row = {
+            file,
+            el,
+            inputs: {},
+            meta: {},
+            msg: {},
+            sizeBlocked: false,
+            pdfBlocked: false,
+            inspection: null,      // Promise of inspectPdf() for this file
+            duplicateCheck: null,  // Promise of the duplicate lookup
+            duplicateWarning: ''   // set when this file is already known
+        };
+        el.querySelectorAll('[data-msg]').forEach(m => { row.msg[m.dataset.msg] = m; });
+
+        // The row's fields are copies of the default fields, without id/name so
+        // they stay out of the form's own data
+        const fields = el.querySelector('.file-row-fields');
+        Object.keys(defaultInputs).forEach(k => {
+            const input = defaultInputs[k].cloneNode(true);
+            input.removeAttribute('id');
+            input.removeAttribute('name');
+            input.removeAttribute('required');
+            input.setAttribute('aria-label', defaultInputs[k].labels && defaultInputs[k].labels[0]
+                ? defaultInputs[k].labels[0].textContent.trim()
+                : k);
+            if (k === 'year') input.placeholder = 'Year';
+            input.addEventListener('input', refreshRows);
+            input.addEventListener('change', () => {
+                if (k === 'category') updateRowFields(row);
+                refreshRows();
+            });
+            row.inputs[k] = input;
+            fields.appendChild(input);
+        });
+        const metaFields = el.querySelector('.file-row-meta-fields');
+        META_FIELDS.forEach(f => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = f.placeholder;
+            input.setAttribute('aria-label', f.label);
+            if (f.max) input.maxLength = f.max;
+            if (f.key === 'language') input.setAttribute('list', 'languageOptions');
+            row.meta[f.key] = input;
+            metaFields.appendChild(input);
+        });
+        applyDefaults(row);
+
+        el.querySelector('.file-row-remove').addEventListener('click', () => {
+            rows.splice(rows.indexOf(row), 1);
+            el.remove();
+            refreshRows();
+        });
+
+        rows.push(row);
+        fileRows.appendChild(el);
+        checkFileSize(row);
+        runPdfCheck(row);
+        runDuplicateCheck(row);
+    }
+
+    /** Update every row's "Saved as" line and flag files that would land on the same path. */
+    function refreshRows() {
+        const shared = sharedFields();
+        const paths = rows.map(row => targetPathFor(shared, row));
+        rows.forEach((row, i) => {
+            const saved = row.el.querySelector('.file-row-saved');
+            saved.innerHTML = paths[i] ? `Saved as: <code>${escapeHtml(paths[i].split('/').pop())}</code>` : '';
+            const clash = paths[i] && paths.some((p, j) => j !== i && p === paths[i]);
+            setMsg(row.msg.path, clash ? 'error' : '', clash
+                ? '❌ Another file in this upload gets the same name. Change its type, exam type, year or unit.'
+                : '');
+        });
+        updateSubmitState();
+    }
+
+    function updateSubmitState() {
+        submitBtn.disabled = rows.some(r => r.sizeBlocked || r.pdfBlocked);
+    }
+
+    pdfFileInput.addEventListener('change', () => {
+        Array.from(pdfFileInput.files || []).forEach(addRow);
+        pdfFileInput.value = ''; // so the same or more files can be picked again
+        refreshRows();
+    });
+
+    applyDefaultsBtn.addEventListener('click', () => {
+        rows.forEach(applyDefaults);
+        refreshRows();
+    });
+
+    [semesterSelect, subjectSelect, courseCodeInput, courseTypeSelect, coreSubjectSelect].forEach(el => {
+        if (el) {
+            el.addEventListener('input', refreshRows);
+            el.addEventListener('change', refreshRows);
         }
-        const file = pdfFileInput.files[0];
-        const mb = file.size / (1024 * 1024);
+    });
+
+    // ── Live file size checker ────────────────────────────────────────────────
+    function checkFileSize(row) {
+        const mb = row.file.size / (1024 * 1024);
         const mbStr = mb.toFixed(1) + ' MB';
 
         if (mb > BLOCK_MB) {
-            fileSizeMsg.className = 'size-error';
-            fileSizeMsg.innerHTML = `❌ File is too large (${mbStr}). Maximum allowed is ${BLOCK_MB} MB.<br>
-                Please compress it first at <a href="https://ilovepdf.com/compress_pdf" target="_blank" rel="noopener">ilovepdf.com</a> (free, no sign-up).`;
-            submitBtn.disabled = true;
+            setMsg(row.msg.size, 'error', `❌ File is too large (${mbStr}). Maximum allowed is ${BLOCK_MB} MB.<br>
+                Please compress it first at <a href="https://ilovepdf.com/compress_pdf" target="_blank" rel="noopener">ilovepdf.com</a> (free, no sign-up).`);
+            row.sizeBlocked = true;
         } else if (mb > WARN_MB) {
-            fileSizeMsg.className = 'size-warn';
-            fileSizeMsg.innerHTML = `⚠️ Large file (${mbStr}). Consider compressing it at 
+            setMsg(row.msg.size, 'warn', `⚠️ Large file (${mbStr}). Consider compressing it at 
                 <a href="https://ilovepdf.com/compress_pdf" target="_blank" rel="noopener">ilovepdf.com</a> 
-                (free) to keep the site fast. You can still submit as-is.`;
-            submitBtn.disabled = false;
+                (free) to keep the site fast. You can still submit as-is.`);
+            row.sizeBlocked = false;
         } else {
-            fileSizeMsg.className = 'size-ok';
-            fileSizeMsg.innerHTML = `✅ Good file size (${mbStr}).`;
-            submitBtn.disabled = false;
+            setMsg(row.msg.size, '', '');
+            row.sizeBlocked = false;
         }
     }
 
-    pdfFileInput.addEventListener('change', checkFileSize);
+    // ── PDF structure check ───────────────────────────────────────────────────
+    // Looks at the actual bytes (scripts/pdfCheck.js) instead of trusting the
+    // extension: renamed images, cut-off downloads and locked PDFs are blocked,
+    // scans without a text layer get a heads-up.
+    function runPdfCheck(row) {
+        row.inspection = row.file.arrayBuffer()
+            .then(buf => inspectPdf(new Uint8Array(buf)))
+            .catch(err => {
+                console.warn('PDF check failed:', err);
+                return null; // couldn't read it here; the worker and CI still check
+            });
+        row.inspection.then(result => {
+            if (!result) return;
+            const errors = result.problems.filter(p => p.severity === 'error');
+            const warnings = result.problems.filter(p => p.severity === 'warning');
+            row.pdfBlocked = errors.length > 0;
+            updateSubmitState();
+
+            const { pages, hasText } = result.info;
+            const summary = [
+                pages ? `${pages} page${pages === 1 ? '' : 's'}` : '',
+                hasText ? 'searchable text' : ''
+            ].filter(Boolean).join(' • ');
+            if (errors.length) {
+                setMsg(row.msg.pdf, 'error', `❌ This file can't be uploaded:<ul>${errors.map(p => `<li>${p.message}</li>`).join('')}</ul>`);
+            } else if (warnings.length) {
+                setMsg(row.msg.pdf, 'warn', `⚠️ ${summary ? `PDF looks readable (${summary}), but:` : 'PDF looks readable, but:'}<ul>${warnings.map(p => `<li>${p.message}</li>`).join('')}</ul>`);
+            } else {
+                setMsg(row.msg.pdf, 'ok', `✅ Valid PDF${summary ? ` (${summary})` : ''}.`);
+            }
+        });
+    }
 
-    // Attach listeners to update live preview
-    const previewInputs = [categorySelect, subjectSelect, courseCodeInput, document.getElementById('examType'), document.getElementById('year'), document.getElementById('unitName'), pdfFileInput];
-    if (coreSubjectSelect) previewInputs.push(coreSubjectSelect);
+    // ── Duplicate check ───────────────────────────────────────────────────────
+    // Hash each selected file in the browser and look it up in data/hashes.json
+    // (published by the data build) and in open upload PRs (via the worker).
+    let hashManifest = null;
 
-    previewInputs.forEach(el => {
-        if (el) {
-            el.addEventListener('input', updatePreview);
-            el.addEventListener('change', updatePreview);
+    function loadHashManifest() {
+        if (!hashManifest) {
+            hashManifest = fetch('data/hashes.json', { cache: 'no-cache' })
+                .then(res => (res.ok ? res.json() : null))
+                .catch(() => null);
         }
-    });
+        return hashManifest;
+    }
+
+    async function sha256Hex(file) {
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async function fetchPendingUploads(hash) {
+        try {
+            const res = await fetch(`${WORKER_URL}/pending?sha256=${hash}`);
+            if (!res.ok) return [];
+            return (await res.json()).pending || [];
+        } catch (err) {
+            return []; // the site copy check still works without the worker
+        }
+    }
+
+    function escapeHtml(s) {
+        return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    async function checkDuplicate(file) {
+        const hash = await sha256Hex(file);
+        const [manifest, pending] = await Promise.all([loadHashManifest(), fetchPendingUploads(hash)]);
+        const onSite = manifest ? Object.keys(manifest.files).filter(f => manifest.files[f] === hash) : [];
+
+        const lines = [];
+        onSite.forEach(f => {
+            const name = f.split('/').pop();
+            lines.push(`Already on the site: <a href="viewer.html?file=${encodeURIComponent(f)}&title=${encodeURIComponent(name)}" target="_blank" rel="noopener">${escapeHtml(f.replace(/^pdfs\//, ''))}</a>`);
+        });
+        pending.forEach(pr => {
+            // Local worker backends have no PR number and may have no link
+            const label = `${pr.number ? `#${pr.number} ` : ''}${escapeHtml(pr.title)}`;
+            lines.push(`Already waiting for review: ${pr.url
+                ? `<a href="${escapeHtml(pr.url)}" target="_blank" rel="noopener">${label}</a>`
+                : label}`);
+        });
+        return { hash, lines };
+    }
+
+    function runDuplicateCheck(row) {
+        // crypto.subtle only exists on https:// (and localhost) pages
+        if (!window.crypto || !crypto.subtle) return;
+
+        setMsg(row.msg.duplicate, 'info', 'Checking whether this document is already on the site…');
+        row.duplicateCheck = checkDuplicate(row.file).catch(err => {
+            console.warn('Duplicate check failed:', err);
+            return { hash: null, lines: [] };
+        });
+        row.duplicateCheck.then(({ hash, lines }) => {
+            row.hash = hash;
+            // The same file picked twice in this upload
+            const twin = hash && rows.find(r => r !== row && r.hash === hash);
+            if (twin) lines.push(`Also selected above as ${escapeHtml(twin.file.name)}`);
+            if (lines.length) {
+                row.duplicateWarning = lines.join('<br>');
+                setMsg(row.msg.duplicate, 'warn', `⚠️ This exact file has been uploaded before.<br>${row.duplicateWarning}<br>Please only submit it if it belongs somewhere else as well.`);
+            } else {
+                setMsg(row.msg.duplicate, '', '');
+            }
+        });
+    }
+
+    // ── Anti-spam challenge ───────────────────────────────────────────────────
+    // The worker rate-limits uploads and, when configured, wants a Turnstile
+    // token with each one (see scripts/workerClient.js).
+    const challenge = mountChallenge(document.getElementById('challengeWidget'));
 
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
 
         if (WORKER_URL.includes('REPLACE_WITH_YOUR')) {
-            showError('<strong>Setup Required:</strong> Please update the <code>WORKER_URL</code> in <code>scripts/upload.js</code> after deploying to Cloudflare.');
+            showError('<strong>Setup Required:</strong> Please update the <code>WORKER_URL</code> in <code>scripts/workerClient.js</code> after deploying to Cloudflare.');
             return;
         }
 
@@ -233,165 +553,110 @@ document.addEventListener('DOMContentLoaded', () => {
         statusMessage.innerHTML = '';
         statusMessage.style.display = 'none';
 
-        // 1. Get Form Data
-        const formData = new FormData(form);
-        const semester = formData.get('semester');
-        let subject = formData.get('subject');
-        const courseType = formData.get('courseType');
-        const coreSubject = formData.get('coreSubject');
-        const category = formData.get('category');
-        const examType = formData.get('examType');
-        const year = formData.get('year');
-        const unitName = formData.get('unitName');
-        const unitType = formData.get('unitType');
-        const file = formData.get('pdfFile');
-        const subjectTitle = subject.trim();
-
-        let courseCodeVal = formData.get('courseCode');
-        if (courseCodeVal) {
-            courseCodeVal = courseCodeVal.trim().toUpperCase();
-            if (!/^\d{3}A?$/.test(courseCodeVal)) {
-                showError('Course code must be exactly a 3-digit number, optionally followed by the letter "A" (e.g., 101 or 101A).');
-                return;
-            }
+        // 1. Shared fields
+        const shared = sharedFields();
+        if (shared.courseCode && !/^\d{3}A?$/.test(shared.courseCode)) {
+            showError('Course code must be exactly a 3-digit number, optionally followed by the letter "A" (e.g., 101 or 101A).');
+            return;
         }
 
-        if (!subject) {
+        if (!shared.subjectTitle) {
             showError('Please select a Subject.');
             return;
         }
-        subject = subject.trim();
 
-        if (!file || file.type !== 'application/pdf') {
-            showError('Please select a valid PDF file.');
+        if (!rows.length) {
+            showError('Please select at least one PDF file.');
             return;
         }
 
-        // 50 MB limit — safe well within GitHub API's ~75 MB effective ceiling
-        if (file.size > 50 * 1024 * 1024) {
-            showError('File is too large. Maximum size is 50 MB.');
+        const empty = rows.filter(r => !r.file.size);
+        if (empty.length) {
+            showError(`These files are empty: ${empty.map(r => escapeHtml(r.file.name)).join(', ')}`);
             return;
         }
 
-        // Format subject for folder path
-        subject = subject.replace(/\w\S*/g, txt =>
-            txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase()
-        );
-        const subjectFolder = subject.replace(/\s+/g, '_');
-
-        setLoading(true);
-        try {
-            // 2. Sanitize filename using dynamic naming logic
-            const newFileName = generateSemanticFilename();
-
-            // Determine the final course type to use in the path.
-            // GENERAL_SUBJECTS uses underscores (subjects.js), but subjectTitle here is already
-            // in display form (spaces), so we convert before comparing. Fallback must match too.
-            const generalSubjectsDisplay = typeof GENERAL_SUBJECTS !== 'undefined'
-                ? GENERAL_SUBJECTS.map(s => s.replace(/_/g, ' '))
-                : ['English AEC', 'SEC', 'IKS', 'VAC']; // display form (spaces), not underscore form
-
-            let finalCourseType = courseType;
-            if (generalSubjectsDisplay.includes(subjectTitle)) {
-                // If it's a general subject, use the selected Core Subject (e.g. Physics) as the CourseType folder
-                // Fallback to "General" if coreSubject is empty for some reason
-                finalCourseType = coreSubject ? coreSubject.replace(/\s+/g, '_') : 'General';
-            }
-
-            // 3. Build target path: pdfs/{Semester}/{Subject}/{CourseType}/[{UnitType}]/{Category}/[{UnitName}]/file.pdf
-            // Sanitize every path segment to avoid spaces/special chars that break URLs.
-            function sanitizeSegment(s) {
-                return String(s)
-                    .replace(/[^a-zA-Z0-9_.\-]/g, '_')  // unsafe chars → _
-                    .replace(/_+/g, '_')                  // collapse multiples
-                    .replace(/^_+|_+$/g, '');             // strip leading/trailing _
-            }
-
-            const semesterKey = `Sem_${semester}`;
-            const pathParts = [
-                'pdfs',
-                semesterKey,
-                sanitizeSegment(subjectFolder),
-                sanitizeSegment(finalCourseType)
-            ];
-
-            // 1. Handle Unit Designation (SEC/IKS/VAC) as a separate folder level if applicable
-            // For Major 1/2, we will combine it with the Unit Name instead.
-            const isGeneralUnitType = ['SEC', 'IKS', 'VAC'].includes(unitType?.toUpperCase());
-            if (unitType && isGeneralUnitType) {
-                pathParts.push(sanitizeSegment(unitType));
+        // 2. Per-file checks
+        for (const row of rows) {
+            const inspection = row.inspection && await row.inspection;
+            const pdfErrors = inspection ? inspection.problems.filter(p => p.severity === 'error') : [];
+            if (pdfErrors.length) {
+                showError(`${escapeHtml(row.file.name)} can't be uploaded:<br>${pdfErrors.map(p => p.message).join('<br>')}`);
+                return;
             }
+        }
 
-            // 2. Add Category (Papers, Notes, Syllabus)
-            pathParts.push(sanitizeSegment(category));
+        // 50 MB limit per file — safe well within GitHub API's ~75 MB effective ceiling
+        const tooLarge = rows.filter(r => r.file.size > BLOCK_MB * 1024 * 1024);
+        if (tooLarge.length) {
+            showError(`Too large (maximum ${BLOCK_MB} MB per file): ${tooLarge.map(r => escapeHtml(r.file.name)).join(', ')}`);
+            return;
+        }
+        const totalMb = rows.reduce((sum, r) => sum + r.file.size, 0) / (1024 * 1024);
+        if (totalMb > BATCH_MB) {
+            showError(`These files add up to ${totalMb.toFixed(1)} MB; one upload can carry at most ${BATCH_MB} MB. Please submit them in two goes.`);
+            return;
+        }
 
-            // 3. Add Exam Type for Papers
-            if (category === 'Papers' && examType) {
-                pathParts.push(sanitizeSegment(examType));
-            }
+        // The site shows these details as text; the worker refuses anything that looks like HTML
+        const htmlMeta = rows.filter(r => Object.values(r.meta).some(input => /[<>]/.test(input.value)));
+        if (htmlMeta.length) {
+            showError(`The details of ${htmlMeta.map(r => escapeHtml(r.file.name)).join(', ')} can't contain &lt; or &gt;.`);
+            return;
+        }
 
-            // 4. Construct Unit Name segment (for Notes)
-            let displayUnitName = '';
-            if (unitName && unitName.trim()) {
-                const num = unitName.trim();
-                displayUnitName = `Unit ${num}`;
-            }
+        const targets = rows.map(row => ({ row, values: rowValues(row), path: targetPathFor(shared, row) }));
+        if (targets.some(t => !t.path)) {
+            showError('Please fill in the semester, course type and course code.');
+            return;
+        }
+        if (new Set(targets.map(t => t.path)).size !== targets.length) {
+            showError('Two files in this upload would get the same name. Change the type, exam type, year or unit of one of them.');
+            return;
+        }
 
-            // 5. If it's a Major designation, prefix it to the unit name (e.g. Major 1 - Unit 1)
-            if (unitType && !isGeneralUnitType) {
-                if (displayUnitName) {
-                    displayUnitName = `${unitType} - ${displayUnitName}`;
-                } else {
-                    displayUnitName = unitType;
-                }
-            }
+        // Give the duplicate checks a chance to finish, then make the uploader confirm
+        await Promise.all(rows.map(r => r.duplicateCheck));
+        const duplicates = rows.filter(r => r.duplicateWarning);
+        if (duplicates.length && !confirm(duplicates.length === 1
+            ? `${duplicates[0].file.name} is already on the site or waiting for review. Submit it anyway?`
+            : `${duplicates.length} of these PDFs are already on the site or waiting for review. Submit them anyway?`)) {
+            return;
+        }
 
-            if (displayUnitName) {
-                pathParts.push(sanitizeSegment(displayUnitName));
-            }
+        if (CHALLENGE_SITE_KEY && !challenge.token()) {
+            showError('Please complete the anti-spam check above the Submit button first.');
+            return;
+        }
 
-            pathParts.push(newFileName);
-            const targetPath = pathParts.join('/');
-
-            // 4. Generate metadata
-            const branchName = `upload-${semesterKey.toLowerCase()}-${subjectFolder.toLowerCase()}-${Date.now()}`;
-            const commitMsg = `Add ${category} for ${subject} (${semesterKey})`;
-            const prBody = `
-## New Student Upload
-A user has submitted a new academic document for review.
-
-- **Semester:** ${semesterKey}
-- **Subject:** ${subjectTitle}
-- **Course Type:** ${finalCourseType} ${coreSubject ? '(Core Subject)' : ''}
-- **Type:** ${category} ${category === 'Papers' && examType ? `(${examType})` : ''}
-${year ? `- **Year:** ${year}` : ''}
-${unitName ? `- **Unit Number:** ${unitName}` : ''}
-${unitType ? `- **Unit Designation:** ${unitType}` : ''}
-- **Target Path:** \`${targetPath}\`
-
-Merging this PR will automatically publish the document and regenerate the site data.
-            `;
-
-            // 5. Create FormData for raw binary upload
+        setLoading(true);
+        try {
+            // 3. Create FormData for raw binary upload. The worker builds the paths, branch,
+            //    commit message and PR body itself from these fields; "file" and the
+            //    per-file fields are sent once per PDF, in the same order.
             const payload = new FormData();
-
-            // Pre-read the file into memory. This prevents the "Failed to fetch" error
-            // on mobile devices when selecting a virtual file directly from Google Drive.
-            let safeFile = file;
-            try {
-                const arrayBuffer = await file.arrayBuffer();
-                safeFile = new File([arrayBuffer], newFileName, { type: file.type });
-            } catch (readError) {
-                throw new Error("Could not read the file. If you are selecting directly from Google Drive, please download the PDF to your device first before uploading.");
+            payload.append('semester', shared.semester);
+            payload.append('subject', shared.subjectTitle);
+            payload.append('courseType', shared.courseType);
+            payload.append('coreSubject', shared.coreSubject);
+            payload.append('courseCode', shared.courseCode);
+            if (CHALLENGE_SITE_KEY) payload.append('challengeToken', challenge.token());
+            for (const t of targets) {
+                // Pre-read the file into memory. This prevents the "Failed to fetch" error
+                // on mobile devices when selecting a virtual file directly from Google Drive.
+                let safeFile;
+                try {
+                    const arrayBuffer = await t.row.file.arrayBuffer();
+                    safeFile = new File([arrayBuffer], t.path.split('/').pop(), { type: t.row.file.type });
+                } catch (readError) {
+                    throw new Error(`Could not read ${t.row.file.name}. If you are selecting directly from Google Drive, please download the PDF to your device first before uploading.`);
+                }
+                payload.append('file', safeFile);
+                ['category', 'examType', 'year', 'unitName', 'unitType'].forEach(k => payload.append(k, t.values[k]));
+                META_FIELDS.forEach(f => payload.append(f.key, t.row.meta[f.key].value.trim()));
             }
 
-            payload.append('file', safeFile);
-            payload.append('targetPath', targetPath);
-            payload.append('branchName', branchName);
-            payload.append('commitMsg', commitMsg);
-            payload.append('prBody', prBody);
-
-            // 6. Send to PROXY Server
+            // 4. Send to PROXY Server
             console.log("Sending upload request to proxy...");
             const response = await fetch(`${WORKER_URL}`, {
                 method: 'POST',
@@ -399,27 +664,142 @@ Merging this PR will automatically publish the document and regenerate the site
                 body: payload
             });
 
+            if (response.status === 429) {
+                const errData = await response.json().catch(() => ({}));
+                const wait = Number(response.headers.get('Retry-After')) || errData.retryAfter || 60;
+                showError(`⏳ ${escapeHtml(errData.message || 'Too many uploads.')} Please try again in ${formatWait(wait)}. Nothing was submitted.`);
+                return;
+            }
+            if (response.status === 403) {
+                const errData = await response.json().catch(() => ({}));
+                showError(escapeHtml(errData.message || 'The anti-spam check failed. Please try again.'));
+                return;
+            }
             if (!response.ok) {
                 const errData = await response.json().catch(() => ({}));
                 throw new Error(errData.message || `Proxy Error (${response.status})`);
             }
 
             const data = await response.json();
+            rememberUpload({
+                id: data.id,
+                title: targets.length === 1
+                    ? targets[0].row.meta.title.value.trim() || targets[0].path.split('/').pop()
+                    : `${targets.length} files for ${shared.subject} (${shared.semesterKey})`,
+                files: data.files || targets.map(t => t.path),
+                url: data.prUrl || null,
+                state: 'pending',
+                submittedAt: new Date().toISOString()
+            });
 
-            showSuccess(
-                `✅ PDF submitted successfully! It will be live on the site in a few minutes.`
+            const tracking = data.prUrl
+                ? ` <a href="${escapeHtml(data.prUrl)}" target="_blank" rel="noopener">Follow the review</a>.`
+                : '';
+            showSuccess(targets.length === 1
+                ? `✅ PDF submitted successfully!${tracking} It usually goes live within a few minutes; its progress is shown under "My uploads" below.`
+                : `✅ ${targets.length} PDFs submitted successfully!${tracking} They usually go live within a few minutes; their progress is shown under "My uploads" below.`
             );
             form.reset();
+            rows.splice(0).forEach(r => r.el.remove());
             categorySelect.dispatchEvent(new Event('change'));
+            refreshRows();
 
         } catch (error) {
             console.error('Final upload error details:', error);
-            showError(`Error:${error.message}<br><small>If this persists, check your Cloudflare Worker logs.</small>`);
+            showError(`Error: ${escapeHtml(error.message)}<br><small>If this persists, check your Cloudflare Worker logs.</small>`);
         } finally {
             setLoading(false);
+            challenge.reset();
         }
     });
 
+    // ── My uploads ────────────────────────────────────────────────────────────
+    // Every successful submission is remembered in localStorage; its review
+    // status comes from the worker's GET /status and is refreshed on each visit
+    // until the upload is published or rejected.
+    const MY_UPLOADS_KEY = 'myUploads';
+    const MY_UPLOADS_MAX = 50;
+    const myUploadsSection = document.getElementById('myUploads');
+    const myUploadsList = document.getElementById('myUploadsList');
+    const UPLOAD_STATES = {
+        pending: 'Waiting for review',
+        merged: 'Accepted, being published',
+        published: 'Live on the site',
+        rejected: 'Not accepted',
+        unknown: 'Status unknown'
+    };
+
+    function loadMyUploads() {
+        try {
+            return JSON.parse(localStorage.getItem(MY_UPLOADS_KEY)) || [];
+        } catch (err) {
+            return []; // storage blocked or corrupted
+        }
+    }
+
+    function saveMyUploads(list) {
+        try {
+            localStorage.setItem(MY_UPLOADS_KEY, JSON.stringify(list.slice(0, MY_UPLOADS_MAX)));
+        } catch (err) {
+            // private mode / storage full: the list just isn't kept
+        }
+    }
+
+    function rememberUpload(entry) {
+        if (!entry.id) return;
+        saveMyUploads([entry, ...loadMyUploads().filter(u => u.id !== entry.id)]);
+        renderMyUploads();
+    }
+
+    function renderMyUploads() {
+        const list = loadMyUploads();
+        myUploadsSection.hidden = list.length === 0;
+        myUploadsList.innerHTML = list.map(u => {
+            const state = UPLOAD_STATES[u.state] ? u.state : 'unknown';
+            const date = new Date(u.submittedAt).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+            const link = u.url ? ` · <a href="${escapeHtml(u.url)}" target="_blank" rel="noopener">Review</a>` : '';
+            const files = state === 'published'
+                ? `<div>${u.files.map(f => `<a href="viewer.html?file=${encodeURIComponent(f)}&title=${encodeURIComponent(f.split('/').pop())}" target="_blank" rel="noopener">${escapeHtml(f.split('/').pop())}</a>`).join(' · ')}</div>`
+                : '';
+            const reason = state === 'rejected' && u.reason ? `<div>Reason: ${escapeHtml(u.reason)}</div>` : '';
+            return `<li class="my-upload">
+                <div class="my-upload-title">${escapeHtml(u.title)}</div>
+                <div class="my-upload-meta"><span class="upload-state ${state}">${UPLOAD_STATES[state]}</span> · submitted ${escapeHtml(date)}${link}</div>
+                ${files}${reason}
+            </li>`;
+        }).join('');
+    }
+
+    async function refreshMyUploads() {
+        const list = loadMyUploads();
+        const open = list.filter(u => u.state !== 'published' && u.state !== 'rejected');
+        for (const u of open) {
+            try {
+                const res = await fetch(`${WORKER_URL}/status?id=${encodeURIComponent(u.id)}`);
+                if (res.status === 404) {
+                    u.state = 'unknown';
+                } else if (res.ok) {
+                    const status = await res.json();
+                    u.state = status.state;
+                    u.url = status.url || u.url;
+                    u.reason = status.reason || null;
+                } else if (res.status === 429) {
+                    break; // try again later
+                }
+            } catch (err) {
+                break; // offline or worker unreachable; keep the last known state
+            }
+        }
+        // Merge into the stored list in case another tab added an upload meanwhile
+        const byId = new Map(list.map(u => [u.id, u]));
+        saveMyUploads(loadMyUploads().map(u => byId.get(u.id) || u));
+        renderMyUploads();
+    }
+
+    document.getElementById('refreshUploads').addEventListener('click', refreshMyUploads);
+    renderMyUploads();
+    refreshMyUploads();
+
     // ── Helpers ──────────────────────────────────────────────────────────────
 
     function setLoading(isLoading) {
@@ -0,0 +1,210 @@
+/**
+ * Validates generated data, sidecars and the pdfs/ folder layout.
+ *
+ *   node scripts/validateData.js            # report problems, exit 1 on schema errors
+ *   node scripts/validateData.js --strict   # also fail on layout / sidecar warnings
+ *
+ * generateData.js uses the same functions after it writes data/, so the
+ * checks here are what the build enforces.
+ *
+ * Every problem is reported as "file:line:column message" so editors and CI
+ * logs can jump straight to it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchema, locatePointer, syntaxErrorLocation } = require('./jsonSchema');
+const {
+    TAXONOMY, SEMESTERS, COMMON_SUBJECTS, GENERAL_SUBJECTS, UNIT_SUBJECTS, COURSE_TYPES, CATEGORIES, EXAM_TYPES, UNIT_DESIGNATIONS, UNITS
+} = require('./taxonomy');
+
+const root = path.resolve(__dirname, '..');
+const schemaDir = path.join(root, 'schemas');
+
+// Which schema each file in data/ must follow
+const DATA_SCHEMAS = [
+    { match: /^sem_\d+\.json$/, schema: 'sem.schema.json' },
+    { match: /^syllabus_sem_\d+\.json$/, schema: 'syllabus.schema.json' },
+    { match: /^search_index\.json$/, schema: 'search_index.schema.json' },
+    { match: /^courses\.json$/, schema: 'courses.schema.json' },
+    { match: /^outlines\/[^/]+\.json$/, schema: 'outline.schema.json' },
+    { match: /^hashes\.json$/, schema: 'hashes.schema.json' },
+    { match: /^navigation\.json$/, schema: 'navigation.schema.json' },
+    { match: /^fulltext\/manifest\.json$/, schema: 'fulltext_manifest.schema.json' },
+    { match: /^fulltext\/docs\.json$/, schema: 'fulltext_docs.schema.json' },
+    { match: /^fulltext\/terms_[^/]+\.json$/, schema: 'fulltext_shard.schema.json' },
+    { match: /^fulltext\/text_\d+\.json$/, schema: 'fulltext_text.schema.json' }
+];
+
+// Lists a schema can name with { "$taxonomy": "examTypes" }; loadSchema() turns that into an enum
+const TAXONOMY_ENUMS = {
+    semesters: SEMESTERS,
+    examTypes: EXAM_TYPES,
+    units: UNITS,
+    // data/courses.json labels a general subject's courses with its own course type (AEC, SEC, ...)
+    courseTypes: [...COURSE_TYPES, ...TAXONOMY.subjects.filter(s => s.courseType).map(s => s.courseType)]
+};
+
+function withTaxonomyEnums(schema) {
+    if (Array.isArray(schema)) return schema.map(withTaxonomyEnums);
+    if (!schema || typeof schema !== 'object') return schema;
+    const out = {};
+    Object.entries(schema).forEach(([key, value]) => {
+        if (key !== '$taxonomy') out[key] = withTaxonomyEnums(value);
+        else if (TAXONOMY_ENUMS[value]) out.enum = TAXONOMY_ENUMS[value];
+        else throw new Error(`unknown taxonomy list "${value}" in a schema`);
+    });
+    return out;
+}
+
+const schemaCache = {};
+function loadSchema(name) {
+    if (!schemaCache[name]) {
+        schemaCache[name] = withTaxonomyEnums(JSON.parse(fs.readFileSync(path.join(schemaDir, name), 'utf8')));
+    }
+    return schemaCache[name];
+}
+
+function rel(file) {
+    return path.relative(root, file).replace(/\\/g, '/');
+}
+
+function problem(file, loc, message) {
+    return `${rel(file)}:${loc.line}:${loc.column} ${message}`;
+}
+
+/**
+ * Parse a JSON file and check it against a schema.
+ * @returns {{ value: any, errors: string[] }} value is undefined if the file isn't valid JSON
+ */
+function validateJsonFile(file, schemaName) {
+    return validateJsonText(file, fs.readFileSync(file, 'utf8'), schemaName);
+}
+
+/** Same as validateJsonFile() for content that hasn't been written yet (`file` is only used in messages). */
+function validateJsonText(file, text, schemaName) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (err) {
+        return { value: undefined, errors: [problem(file, syntaxErrorLocation(text, err), `invalid JSON: ${err.message}`)] };
+    }
+    const errors = validateSchema(loadSchema(schemaName), value)
+        .map(e => problem(file, locatePointer(text, e.pointer), `${e.pointer} ${e.message}`));
+    return { value, errors };
+}
+
+/** Schema for a file in data/ ("sem_4.json", "fulltext/manifest.json"), or null if it has none. */
+function dataSchemaFor(name) {
+    const entry = DATA_SCHEMAS.find(s => s.match.test(name));
+    return entry ? entry.schema : null;
+}
+
+/** Check every known file under data/ (recursively) against its schema. */
+function validateDataDir(dataDir) {
+    const errors = [];
+    const visit = dir => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(d => {
+            const full = path.join(dir, d.name);
+            if (d.isDirectory()) return visit(full);
+            const name = path.relative(dataDir, full).replace(/\\/g, '/');
+            const schema = dataSchemaFor(name);
+            if (schema) errors.push(...validateJsonFile(full, schema).errors);
+        });
+    };
+    if (fs.existsSync(dataDir)) visit(dataDir);
+    return errors;
+}
+
+/** Read a Name.pdf.json sidecar; returns null value when it is missing or broken. */
+function readSidecarChecked(pdfFull) {
+    const file = pdfFull + '.json';
+    if (!fs.existsSync(file)) return { value: null, errors: [] };
+    const { value, errors } = validateJsonFile(file, 'sidecar.schema.json');
+    return { value: value === undefined ? null : value, errors };
+}
+
+// ── Folder layout ────────────────────────────────────────────────────────────
+// pdfs/{Sem_N}/{Subject}/{CourseType | CoreSubject}/[{SEC|IKS|VAC}]/{Category}/[{ExamType | UnitFolder}]/file.pdf
+// with the lists in scripts/taxonomy.js
+
+const squash = s => String(s || '').toLowerCase().replace(/[\s_]+/g, '');
+const SEMESTER_FOLDERS = SEMESTERS.map(n => `Sem_${n}`);
+// "Unit_1", "Major_1_-_Unit_1", with the unit's title after it in older folders
+const UNIT_FOLDER_RE = new RegExp(`^(?:(?:${UNIT_DESIGNATIONS.map(d => d.replace(/\s+/g, '_')).join('|')})_-_)?Unit_\\d+(?:_.+)?$`, 'i');
+
+/**
+ * Check one PDF path (relative to the repo root) against the folder convention.
+ * @returns {string[]} problems, empty when the path is fine
+ */
+function checkPdfPath(relPath) {
+    const parts = relPath.split('/');
+    const problems = [];
+    const bad = (i, what) => problems.push(`${relPath}:1:1 unknown ${what} "${parts[i]}"`);
+
+    if (parts[0] !== 'pdfs') return [`${relPath}:1:1 is not under pdfs/`];
+    if (!SEMESTER_FOLDERS.includes(parts[1])) bad(1, `semester folder (expected ${SEMESTER_FOLDERS.join(', ')})`);
+
+    const subject = COMMON_SUBJECTS.find(s => squash(s) === squash(parts[2]));
+    if (!subject) {
+        // Legacy layout: pdfs/Sem_N/Papers/file.pdf is still picked up as papers
+        if (squash(parts[2]) !== 'papers') bad(2, 'subject');
+        return problems;
+    }
+
+    let i = 3;
+    const general = GENERAL_SUBJECTS.includes(subject);
+    if (general && UNIT_SUBJECTS.includes(subject)) {
+        const core = COMMON_SUBJECTS.find(s => !GENERAL_SUBJECTS.includes(s) && squash(s) === squash(parts[i]));
+        if (!core) bad(i, 'core subject');
+    } else if (general) {
+        if (parts[i] !== 'General') bad(i, 'course type (expected General)');
+    } else if (!COURSE_TYPES.includes(parts[i])) {
+        bad(i, `course type (expected ${COURSE_TYPES.join(', ')})`);
+    }
+    i++;
+
+    if (UNIT_SUBJECTS.includes(String(parts[i]).toUpperCase())) i++;
+
+    const category = parts[i];
+    if (!CATEGORIES.includes(category)) {
+        bad(i, `category (expected ${CATEGORIES.join(', ')})`);
+        return problems;
+    }
+    i++;
+
+    const rest = parts.slice(i, -1);
+    if (rest.length > 1) problems.push(`${relPath}:1:1 has unexpected extra folders "${rest.join('/')}"`);
+    if (rest.length === 1) {
+        if (category === 'Papers' && !EXAM_TYPES.includes(rest[0])) bad(i, `exam type folder (expected ${EXAM_TYPES.join(', ')})`);
+        if (category === 'Notes' && !UNIT_FOLDER_RE.test(rest[0])) bad(i, 'unit folder (expected Unit_N or Major_N_-_Unit_N...)');
+        if (category === 'Syllabus') bad(i, 'folder inside Syllabus');
+    }
+    return problems;
+}
+
+if (require.main === module) {
+    const strict = process.argv.includes('--strict');
+    const dataDir = path.join(root, 'data');
+    const pdfRoot = path.join(root, 'pdfs');
+
+    const errors = validateDataDir(dataDir);
+    const warnings = [];
+    const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach(d => {
+        const full = path.join(dir, d.name);
+        if (d.isDirectory()) return walk(full);
+        if (/\.pdf$/i.test(d.name)) {
+            warnings.push(...checkPdfPath(rel(full)));
+            warnings.push(...readSidecarChecked(full).errors);
+        }
+    });
+    if (fs.existsSync(pdfRoot)) walk(pdfRoot);
+
+    errors.forEach(e => console.error('error:', e));
+    warnings.forEach(w => console.error(strict ? 'error:' : 'warning:', w));
+    const failed = errors.length + (strict ? warnings.length : 0);
+    console.log(failed ? `\n${failed} problem(s) found.` : 'All data is valid.');
+    process.exit(failed ? 1 : 0);
+}
+
+module.exports = { validateJsonFile, validateJsonText, dataSchemaFor, validateDataDir, readSidecarChecked, checkPdfPath };
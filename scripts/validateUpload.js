@@ -0,0 +1,241 @@
+/**
+ * Checks the files an upload PR adds before it is merged.
+ *
+ *   node scripts/validateUpload.js --base main --head <ref> [--report <file.md>]
+ *   node scripts/validateUpload.js [--report <file.md>] pdfs/Sem_4/.../file.pdf ...
+ *
+ * With --base/--head it reads the PR's files straight from git (the checkout
+ * itself stays on main, so a PR can't change the checks it is judged by);
+ * otherwise it checks the given files on disk.
+ *
+ * Each file must:
+ *   - be a new file under pdfs/ (uploads never change or delete files)
+ *   - follow the folder layout (checkPdfPath in validateData.js)
+ *   - for papers and syllabi, be named by the grammar in filenames.js and agree
+ *     with its folders; notes only need a safe name
+ *   - be a readable PDF (pdfCheck.js) of at most 50 MB
+ *   - not be a copy of a PDF that is already in pdfs/ or elsewhere in the PR
+ * Sidecars (Name.pdf.json) next to a new PDF are checked against their schema.
+ *
+ * Prints a Markdown report (and writes it to --report) and exits 1 when any
+ * file has an error; warnings alone don't fail. The auto-merge workflow holds
+ * failing PRs for a maintainer.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { checkPdfPath, validateJsonText } = require('./validateData');
+const { parsePaperFilename, buildPaperFilename, isNoteFilename } = require('./filenames');
+const { CATEGORIES, EXAM_TYPES } = require('./taxonomy');
+const { inspectPdf } = require('./pdfCheck');
+const { sha256 } = require('./buildCache');
+
+const root = path.resolve(__dirname, '..');
+
+const MAX_BYTES = 50 * 1024 * 1024;  // same limit as the upload form and worker
+const WARN_BYTES = 10 * 1024 * 1024;
+
+const squash = s => String(s || '').toLowerCase().replace(/[\s_]+/g, '');
+
+function git(args) {
+    return execFileSync('git', args, { cwd: root, maxBuffer: 1 << 30 });
+}
+
+/**
+ * Files a PR changes, from `git diff base...head`.
+ * @returns {Array<{ status: string, file: string, read: () => Buffer }>}
+ */
+function changedFiles(base, head) {
+    const fields = git(['diff', '--name-status', '-z', '--no-renames', `${base}...${head}`]).toString('utf8').split('\0');
+    const out = [];
+    for (let i = 0; i + 1 < fields.length; i += 2) {
+        const file = fields[i + 1];
+        out.push({ status: fields[i], file, read: () => git(['cat-file', 'blob', `${head}:${file}`]) });
+    }
+    return out;
+}
+
+function filesOnDisk(files) {
+    return files.map(f => {
+        const full = path.resolve(f);
+        const file = path.relative(root, full).replace(/\\/g, '/');
+        return { status: 'A', file, read: () => fs.readFileSync(full) };
+    });
+}
+
+/** Size -> files for every PDF already in pdfs/; only same-sized files need hashing. */
+function existingPdfsBySize(skip) {
+    const bySize = new Map();
+    const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).forEach(d => {
+        const full = path.join(dir, d.name);
+        if (d.isDirectory()) return walk(full);
+        const file = path.relative(root, full).replace(/\\/g, '/');
+        if (!/\.pdf$/i.test(d.name) || skip.has(file)) return;
+        const size = fs.statSync(full).size;
+        if (!bySize.has(size)) bySize.set(size, []);
+        bySize.get(size).push(file);
+    });
+    const pdfRoot = path.join(root, 'pdfs');
+    if (fs.existsSync(pdfRoot)) walk(pdfRoot);
+    return bySize;
+}
+
+/** Filename grammar for papers and syllabi, and agreement with the folders. */
+function checkFilename(file) {
+    const parts = file.split('/');
+    const name = parts[parts.length - 1];
+    const category = parts.find(p => CATEGORIES.includes(p));
+    if (!category) return []; // checkPdfPath has already complained
+
+    if (category === 'Notes') {
+        return isNoteFilename(name) ? [] : [`notes file name "${name}" should only use letters, digits, spaces, "-", "_" and ".", end in .pdf and not start with a dot`];
+    }
+
+    const parsed = parsePaperFilename(name);
+    if (!parsed) return [`"${name}" doesn't follow the filename grammar (e.g. Physics_401_External_2026.pdf, Physics_401_Syllabus.pdf)`];
+
+    const problems = [];
+    const canonical = buildPaperFilename(parsed);
+    if (canonical !== name) problems.push(`"${name}" should be named "${canonical}"`);
+    if (parsed.category !== category) problems.push(`"${name}" is named as ${parsed.category} but is in the ${category} folder`);
+    if (squash(parsed.subject) !== squash(parts[2])) problems.push(`"${name}" is named for ${parsed.subject} but is in the ${parts[2]} folder`);
+    if (parsed.coreSubject && squash(parsed.coreSubject) !== squash(parts[3])) {
+        problems.push(`"${name}" is named for core subject ${parsed.coreSubject} but is in the ${parts[3]} folder`);
+    }
+    const examFolder = parts[parts.length - 2];
+    if (category === 'Papers' && EXAM_TYPES.includes(examFolder) && parsed.examType !== examFolder) {
+        problems.push(`"${name}" is named as ${parsed.examType || 'no exam type'} but is in the ${examFolder} folder`);
+    }
+    return problems;
+}
+
+/**
+ * Check a set of changed files.
+ * @param {Array<{ status: string, file: string, read: () => Buffer }>} changes
+ * @returns {Promise<Array<{ file: string, size: number|null, pages: number|null, errors: string[], warnings: string[] }>>}
+ */
+async function validateUpload(changes) {
+    const results = [];
+    const added = new Set(changes.filter(c => c.status === 'A').map(c => c.file));
+    const bySize = existingPdfsBySize(added);
+    const seenHashes = new Map(); // hash -> first file in this PR with it
+    const existingHashes = new Map(); // file -> hash, filled lazily
+
+    for (const change of changes) {
+        const { file } = change;
+        const result = { file, size: null, pages: null, errors: [], warnings: [] };
+        results.push(result);
+
+        if (change.status !== 'A') {
+            const verb = change.status === 'D' ? 'deletes' : 'changes';
+            result.errors.push(`${verb} an existing file; uploads may only add new files`);
+            continue;
+        }
+        if (!file.startsWith('pdfs/')) {
+            result.errors.push('is outside pdfs/; uploads may only add PDFs and their sidecars');
+            continue;
+        }
+
+        if (/\.pdf\.json$/i.test(file)) {
+            const pdf = file.replace(/\.json$/i, '');
+            if (!added.has(pdf) && !fs.existsSync(path.join(root, pdf))) result.errors.push(`is a sidecar for ${pdf}, which doesn't exist`);
+            result.errors.push(...validateJsonText(file, change.read().toString('utf8'), 'sidecar.schema.json').errors);
+            continue;
+        }
+        if (!/\.pdf$/i.test(file)) {
+            result.errors.push('is not a PDF');
+            continue;
+        }
+
+        result.errors.push(...checkPdfPath(file).map(p => p.replace(`${file}:1:1 `, '')));
+        result.errors.push(...checkFilename(file));
+
+        const bytes = change.read();
+        result.size = bytes.length;
+        if (bytes.length > MAX_BYTES) result.errors.push(`is ${(bytes.length / 1048576).toFixed(1)} MB; the limit is 50 MB`);
+        else if (bytes.length > WARN_BYTES) result.warnings.push(`is ${(bytes.length / 1048576).toFixed(1)} MB; consider compressing it`);
+
+        const { problems, info } = await inspectPdf(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.length));
+        result.pages = info.pages;
+        problems.forEach(p => (p.severity === 'error' ? result.errors : result.warnings).push(p.message));
+
+        const hash = sha256(bytes);
+        if (seenHashes.has(hash)) result.errors.push(`is the same file as ${seenHashes.get(hash)} in this upload`);
+        else seenHashes.set(hash, file);
+        for (const other of bySize.get(bytes.length) || []) {
+            if (!existingHashes.has(other)) existingHashes.set(other, sha256(fs.readFileSync(path.join(root, other))));
+            if (existingHashes.get(other) === hash) result.errors.push(`is the same file as ${other}, which is already on the site`);
+        }
+    }
+    return results;
+}
+
+function mdCode(value) {
+    return '`' + String(value).replace(/`/g, "'") + '`';
+}
+
+function formatUploadReport(results) {
+    const failed = results.filter(r => r.errors.length);
+    const lines = ['### Upload check', ''];
+    if (!results.length) {
+        lines.push('This PR doesn\'t change any files.');
+        return lines.join('\n') + '\n';
+    }
+    lines.push(failed.length
+        ? `❌ **${failed.length} of ${results.length} file(s) need a maintainer's attention.** This PR was not merged automatically.`
+        : `✅ **All ${results.length} file(s) passed.**`);
+    lines.push('', '| File | Size | Pages | Result |', '| --- | --- | --- | --- |');
+    results.forEach(r => {
+        const size = r.size === null ? '' : `${(r.size / 1048576).toFixed(1)} MB`;
+        const state = r.errors.length ? '❌ error' : r.warnings.length ? '⚠️ warning' : '✅ ok';
+        lines.push(`| ${mdCode(r.file)} | ${size} | ${r.pages === null ? '' : r.pages} | ${state} |`);
+    });
+    results.filter(r => r.errors.length || r.warnings.length).forEach(r => {
+        lines.push('', `**${mdCode(r.file)}**`, '');
+        r.errors.forEach(e => lines.push(`- ❌ ${e}`));
+        r.warnings.forEach(w => lines.push(`- ⚠️ ${w}`));
+    });
+    return lines.join('\n') + '\n';
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const valueOf = name => {
+        const i = args.indexOf(name);
+        if (i < 0) return null;
+        const value = args[i + 1];
+        if (!value || value.startsWith('--')) {
+            console.error(`${name} needs a value`);
+            process.exit(2);
+        }
+        args.splice(i, 2);
+        return value;
+    };
+    const reportPath = valueOf('--report');
+    const base = valueOf('--base');
+    const head = valueOf('--head');
+    if (!!base !== !!head) {
+        console.error('--base and --head go together');
+        process.exit(2);
+    }
+
+    const changes = base ? changedFiles(base, head) : filesOnDisk(args);
+    if (!base && !changes.length) {
+        console.error('Usage: node scripts/validateUpload.js --base <ref> --head <ref> [--report <file.md>]\n' +
+            '       node scripts/validateUpload.js [--report <file.md>] <file.pdf> ...');
+        process.exit(2);
+    }
+
+    validateUpload(changes).then(results => {
+        const report = formatUploadReport(results);
+        console.log(report);
+        if (reportPath) fs.writeFileSync(reportPath, report);
+        process.exit(results.some(r => r.errors.length) ? 1 : 0);
+    }).catch(err => {
+        console.error(err);
+        process.exit(2);
+    });
+}
+
+module.exports = { validateUpload, formatUploadReport, changedFiles };
@@ -0,0 +1,58 @@
+// Where the pages reach the upload worker (scratch/worker.js), and its
+// anti-spam challenge. Loaded as a plain <script> by upload.html, pdfs.html and
+// admin.html.
+
+// REPLACE THIS with your actual Cloudflare Worker URL after deploying.
+// Example: https://exam-pdf-proxy.your-subdomain.workers.dev
+// When the page is opened from localhost (e.g. via `node scratch/server.js`),
+// ?worker=<url> sends requests to a local worker instead. Only honoured on
+// localhost, so a shared link can't redirect real uploads elsewhere.
+const WORKER_URL = (['localhost', '127.0.0.1'].includes(location.hostname)
+    && new URLSearchParams(location.search).get('worker'))
+    || 'https://pdf-upload.harshthakor091.workers.dev';
+// Cloudflare Turnstile site key, when the worker has TURNSTILE_SECRET set.
+// Leave empty if the worker doesn't ask for an anti-spam challenge.
+const CHALLENGE_SITE_KEY = '';
+// ─────────────────────────────────────────────────────────────────────────────
+
+let turnstileLoading = null;
+
+function loadTurnstile() {
+    if (!turnstileLoading) {
+        turnstileLoading = new Promise((resolve, reject) => {
+            window.onWorkerChallengeLoad = () => resolve(window.turnstile);
+            const script = document.createElement('script');
+            script.src = 'https://challenges.cloudflare.com/turnstile/v0/api.js?onload=onWorkerChallengeLoad';
+            script.async = true;
+            script.onerror = () => reject(new Error('Could not load the anti-spam check'));
+            document.head.appendChild(script);
+        });
+    }
+    return turnstileLoading;
+}
+
+/**
+ * Show the challenge widget in `el` when the worker wants one. Tokens are
+ * single-use, so call reset() after every attempt.
+ * @returns {{ token: () => string, reset: () => void }}
+ */
+function mountChallenge(el) {
+    let id = null;
+    if (CHALLENGE_SITE_KEY && el) {
+        loadTurnstile()
+            .then(turnstile => { id = turnstile.render(el, { sitekey: CHALLENGE_SITE_KEY }); })
+            .catch(err => console.warn(err.message));
+    }
+    return {
+        token: () => (id !== null ? window.turnstile.getResponse(id) || '' : ''),
+        reset: () => { if (id !== null) window.turnstile.reset(id); }
+    };
+}
+
+/** "45 seconds", "3 minutes", "2 hours" for a Retry-After value. */
+function formatWait(seconds) {
+    if (seconds < 90) return `${seconds} seconds`;
+    if (seconds < 90 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+    const hours = Math.ceil(seconds / 3600);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,100 @@
+// File names from scripts/filenames.js: whatever the upload form and worker
+// build, generateData.js has to read back and validateUpload.js has to accept.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildPaperFilename, parsePaperFilename, courseKey, parseCourseKey, cleanNoteFilename, isNoteFilename
+} = require('../scripts/filenames');
+const { TAXONOMY, EXAM_TYPES } = require('../scripts/taxonomy');
+
+// Every subject, with a core subject for the ones filed under one
+const SUBJECTS = TAXONOMY.subjects.map(s => ({
+    subject: s.name,
+    coreSubject: s.needsCoreSubject ? 'Physics' : undefined
+}));
+const CODES = ['301', '301A'];
+
+/** Every field combination the upload form can produce. */
+function allFields() {
+    const fields = [];
+    SUBJECTS.forEach(s => CODES.forEach(courseCode => {
+        fields.push({ ...s, courseCode, category: 'Syllabus' });
+        [...EXAM_TYPES, undefined].forEach(examType => [2026, undefined].forEach(year => {
+            fields.push({ ...s, courseCode, category: 'Papers', examType, year });
+        }));
+    }));
+    return fields;
+}
+
+test('build -> parse -> build gives the same filename', () => {
+    allFields().forEach(fields => {
+        const name = buildPaperFilename(fields);
+        const parsed = parsePaperFilename(name);
+        assert.ok(parsed, `${name} should parse`);
+        assert.equal(buildPaperFilename(parsed), name);
+    });
+});
+
+test('parse returns the fields the name was built from', () => {
+    allFields().forEach(fields => {
+        const name = buildPaperFilename(fields);
+        const parsed = parsePaperFilename(name);
+        const subject = fields.coreSubject ? fields.subject.toUpperCase() : fields.subject;
+        assert.equal(parsed.subject, subject, name);
+        assert.equal(parsed.coreSubject, fields.coreSubject || null, name);
+        assert.equal(parsed.courseCode, fields.courseCode, name);
+        assert.equal(parsed.category, fields.category, name);
+        if (fields.category === 'Papers') {
+            assert.equal(parsed.examType, fields.examType || null, name);
+            assert.equal(parsed.year, fields.year || null, name);
+        }
+    });
+});
+
+test('examples from the grammar', () => {
+    assert.equal(buildPaperFilename({ subject: 'Physics', courseCode: '401', examType: 'External', year: 2026 }),
+        'Physics_401_External_2026.pdf');
+    assert.equal(buildPaperFilename({ subject: 'SEC', coreSubject: 'Physics', courseCode: '406', examType: 'Internal', year: 2026 }),
+        'SEC_Physics_406_Internal_2026.pdf');
+    assert.equal(buildPaperFilename({ subject: 'Chemistry', courseCode: '401a', category: 'Syllabus' }),
+        'Chemistry_401A_Syllabus.pdf');
+    assert.equal(buildPaperFilename({ subject: 'Physics', courseCode: '301A', examType: 'External' }),
+        'Physics_301A_External.pdf');
+
+    assert.deepEqual(parsePaperFilename('English_AEC_404_External_2025.pdf'), {
+        subject: 'English AEC', coreSubject: null, courseCode: '404', examType: 'External', year: 2025, category: 'Papers'
+    });
+    assert.deepEqual(parsePaperFilename('Physics_301A.pdf'), {
+        subject: 'Physics', coreSubject: null, courseCode: '301A', examType: null, year: null, category: 'Papers'
+    });
+});
+
+test('names outside the grammar are not parsed', () => {
+    assert.equal(parsePaperFilename('Thermodynamics_Unit1_Revision.pdf'), null);
+    assert.equal(parsePaperFilename('Physics_401_3004.pdf'), null);
+    assert.equal(parsePaperFilename('401_External.pdf'), null);
+    assert.equal(buildPaperFilename({ subject: 'Physics' }), '');
+});
+
+test('courseKey and parseCourseKey round trip', () => {
+    SUBJECTS.forEach(s => CODES.forEach(courseCode => {
+        const key = courseKey({ ...s, courseCode });
+        assert.equal(courseKey(parseCourseKey(key)), key);
+        assert.ok(buildPaperFilename({ ...s, courseCode, category: 'Syllabus' }).startsWith(`${key}_`), key);
+    }));
+    assert.equal(courseKey({ subject: 'SEC', coreSubject: 'Physics', code: '406' }), 'SEC_Physics_406');
+});
+
+test('notes keep the uploader\'s name, made safe, and pass the same check everywhere', () => {
+    ['-intro.pdf', '_unit1.pdf', 'Notes.PDF', 'Unit 1 (Thermodynamics).pdf', 'Modern Physics  notes.pdf'].forEach(name => {
+        const cleaned = cleanNoteFilename(name);
+        assert.ok(isNoteFilename(cleaned), `${name} -> ${cleaned}`);
+        assert.equal(cleanNoteFilename(cleaned), cleaned);
+    });
+    assert.equal(cleanNoteFilename('Unit 1 (Thermodynamics).pdf'), 'Unit 1 Thermodynamics.pdf');
+    assert.equal(cleanNoteFilename(' Modern Physics  notes.pdf'), 'Modern Physics notes.pdf');
+
+    ['.hidden.pdf', 'notes.txt', 'notes', '.pdf', 'Unit/1.pdf'].forEach(name => assert.equal(isNoteFilename(name), false, name));
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FULLTEXT, fullTextShardKey } = require('../scripts/fulltext');
+
+// Three documents in two semesters, laid out as generateData.js writes them
+const FILES = {
+    'manifest.json': {
+        docs: 3,
+        shards: [
+            { key: 'e', index: 'terms_e.json', terms: 2 },
+            { key: 'o', index: 'terms_o.json', terms: 1 },
+            { key: 't', index: 'terms_t.json', terms: 2 },
+            { key: 'u0ab8', index: 'terms_u0ab8.json', terms: 1 }
+        ]
+    },
+    'docs.json': [
+        { title: 'Heat', subject: 'Physics', type: 'Notes', semester: 'sem_1', file: 'pdfs/Sem_1/a.pdf', pages: 1 },
+        { title: 'Engines', subject: 'Physics', type: 'Papers', semester: 'sem_2', file: 'pdfs/Sem_2/b.pdf', pages: 2 },
+        { title: 'Light', subject: 'Physics', type: 'Notes', semester: 'sem_2', file: 'pdfs/Sem_2/c.pdf', pages: 1 }
+    ],
+    'terms_e.json': { engine: [1, 1, 2], entropy: [0, 0, 1, 1, 1, 1] },
+    'terms_o.json': { optics: [2, 0, 3] },
+    'terms_t.json': { thermal: [0, 0, 2, 1, 1, 1], theory: [2, 0, 1] },
+    'terms_u0ab8.json': { 'સમય': [2, 0, 1] },
+    'text_0.json': ['Thermal entropy'],
+    'text_1.json': ['Cover', 'Thermal engine entropy engine'],
+    'text_2.json': ['Optics theory']
+};
+
+/** Serve FILES as data/fulltext/ from a fresh loader; returns the list of files fetched. */
+function serve(t) {
+    Object.assign(FULLTEXT, { manifest: null, docs: null, shards: {}, texts: {} });
+    const fetched = [];
+    t.mock.method(global, 'fetch', async url => {
+        const file = url.replace(FULLTEXT.base, '');
+        fetched.push(file);
+        return file in FILES ? { ok: true, json: async () => FILES[file] } : { ok: false };
+    });
+    return fetched;
+}
+
+test('shard keys are the first character, or its code point outside a-z and 0-9', () => {
+    assert.equal(fullTextShardKey('thermal'), 't');
+    assert.equal(fullTextShardKey('2024'), '2');
+    assert.equal(fullTextShardKey('સમય'), 'u0ab8');
+    assert.equal(fullTextShardKey('\u{1d400}x'), 'u1d400');
+});
+
+test('a query only fetches the shards its terms start with and the texts of its hits', async t => {
+    const fetched = serve(t);
+    const hits = await FULLTEXT.search('thermal entr');
+    assert.deepEqual(hits.map(h => [h.doc.title, h.semester, h.page, h.hits]), [['Heat', 'sem_1', 1, 3], ['Engines', 'sem_2', 2, 2]]);
+    assert.equal(hits[0].snippet, '<mark>Thermal</mark> <mark>entropy</mark>');
+    assert.deepEqual(fetched.sort(), ['docs.json', 'manifest.json', 'terms_e.json', 'terms_t.json', 'text_0.json', 'text_1.json']);
+});
+
+test('the semester filter and the limit leave out the texts of other hits', async t => {
+    const fetched = serve(t);
+    assert.deepEqual((await FULLTEXT.search('thermal', { semesters: ['sem_2'] })).map(h => h.doc.title), ['Engines']);
+    assert.ok(!fetched.includes('text_0.json'));
+
+    const limited = serve(t);
+    assert.deepEqual((await FULLTEXT.search('th', { limit: 1 })).map(h => h.doc.title), ['Heat']);
+    assert.deepEqual(limited.filter(f => f.startsWith('text_')), ['text_0.json']);
+});
+
+test('a term with no shard matches nothing and fetches no shards', async t => {
+    const fetched = serve(t);
+    assert.deepEqual(await FULLTEXT.search('thermal zebra'), []);
+    assert.deepEqual(fetched, ['manifest.json']);
+    assert.equal((await FULLTEXT.search('સમય')).length, 1);
+});
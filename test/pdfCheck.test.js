@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { inspectPdf } = require('../scripts/pdfCheck');
+
+// Laid out like a Word export: an XRef stream, then an empty classic section
+// ("xref 0 0") whose trailer points at it with /XRefStm
+const hybrid = fs.readFileSync(path.join(__dirname, 'fixtures', 'hybrid-xref.pdf'));
+// Every xref offset points at the "\n" just before "N 0 obj"
+const offByOne = fs.readFileSync(path.join(__dirname, 'fixtures', 'xref-off-by-one.pdf'));
+
+const codes = result => result.problems.map(p => p.code);
+
+test('hybrid-reference files are not reported as damaged', async () => {
+    const result = await inspectPdf(new Uint8Array(hybrid));
+    assert.deepEqual(codes(result), []);
+    assert.equal(result.info.pages, 1);
+    assert.equal(result.info.hasText, true);
+});
+
+test('an empty section without /XRefStm is still damaged', async () => {
+    const bytes = Buffer.from(hybrid.toString('latin1').replace(/\/XRefStm \d+/, ''), 'latin1');
+    assert.deepEqual(codes(await inspectPdf(new Uint8Array(bytes))), ['xref-broken']);
+});
+
+test('an /XRefStm that points nowhere is damaged', async () => {
+    const bytes = Buffer.from(hybrid.toString('latin1').replace(/\/XRefStm \d+/, '/XRefStm 12'), 'latin1');
+    assert.deepEqual(codes(await inspectPdf(new Uint8Array(bytes))), ['xref-broken']);
+});
+
+test('offsets that point at the end of line before an object are accepted', async () => {
+    const result = await inspectPdf(new Uint8Array(offByOne));
+    assert.deepEqual(codes(result), []);
+    assert.equal(result.info.pages, 1);
+});
+
+test('offsets that point into the middle of an object are still damaged', async () => {
+    // Shift every offset two bytes on, past the end of line and into "N 0 obj"
+    const text = offByOne.toString('latin1').replace(/(\d{10}) 00000 n/g, (m, o) => `${String(Number(o) + 2).padStart(10, '0')} 00000 n`);
+    assert.deepEqual(codes(await inspectPdf(new Uint8Array(Buffer.from(text, 'latin1')))), ['xref-broken']);
+});
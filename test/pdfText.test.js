@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { extractPdfText } = require('../scripts/pdfText');
+
+const read = file => fs.readFileSync(path.join(__dirname, '..', file));
+
+test('word gaps are measured in ems, with a wider bar for TJ kerning', () => {
+    // 10 pt, every glyph 0.5 em wide (no /Widths):
+    //   [(kern)-180(ing)]TJ                 0.18 em of kerning   -> one word
+    //   [(TJ)-250(space)]TJ                 0.25 em              -> two words
+    //   (placed)Tj 31.8 0 Td (apart)Tj      placed 0.18 em apart -> two words
+    //   (close)Tj 26 0 Td (by)Tj            placed 0.1 em apart  -> one word
+    const { pages } = extractPdfText(read('test/fixtures/word-gaps.pdf'));
+    assert.deepEqual(pages, ['kerning\nTJ space\nplaced apart\ncloseby']);
+});
+
+test('a Word syllabus export keeps its words apart and its kerned words whole', () => {
+    const { pages } = extractPdfText(read('pdfs/Sem_1/Physics/Major/Syllabus/BSC_SEMESTER-1_NEP2020_PhyMJ_.pdf'));
+    const lines = pages.join('\n').split('\n');
+
+    // [(B Sc Sem I )6.6(and I)6(I)-.6( PHYSICS Sy)-13.6(llabi June 2023 un)6.4(der NEP 2020)...]TJ
+    assert.ok(lines.includes('B Sc Sem I and II PHYSICS Syllabi June 2023 under NEP 2020'));
+    // [...(cs,)-65.4( )-65.5(Waves-)6.1(Sound and Electronics )]TJ
+    assert.ok(lines.includes('COURSENAME:Mathematical,Thermodynamics, Waves-Sound and Electronics'));
+    // This line is typed without spaces: the Tj string has none and its glyph
+    // widths add up to the next Td, so it comes out as drawn
+    assert.ok(lines.includes('(2.14),changeofentropyinanIrreversibleprocess(2.15), Principle'));
+});
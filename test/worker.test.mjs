@@ -0,0 +1,140 @@
+// Rate limiting and the admin token check of the upload worker (scratch/worker.js).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createUploadHandler, KvRateLimitStore, MemoryRateLimitStore } from "../scratch/worker.js";
+
+/** Freeze Date.now() at `start`; returns a function that moves the clock on by some seconds. */
+function fakeClock(t, start = 1_700_000_000_000) {
+  let now = start;
+  t.mock.method(Date, "now", () => now);
+  return (seconds) => { now += seconds * 1000; };
+}
+
+/** Just enough of a KV namespace: get(key, "json") and put(key, value, { expirationTtl }). */
+function fakeKv() {
+  const values = new Map();
+  return {
+    values,
+    async get(key, type) {
+      const v = values.get(key);
+      return v === undefined ? null : type === "json" ? JSON.parse(v.value) : v.value;
+    },
+    async put(key, value, options = {}) {
+      values.set(key, { value, expirationTtl: options.expirationTtl });
+    },
+  };
+}
+
+const stores = {
+  MemoryRateLimitStore: () => new MemoryRateLimitStore(),
+  KvRateLimitStore: () => new KvRateLimitStore(fakeKv()),
+};
+
+for (const [name, makeStore] of Object.entries(stores)) {
+  test(`${name} counts within the window and starts again after it`, async (t) => {
+    const tick = fakeClock(t);
+    const store = makeStore();
+    const first = await store.increment("upload:ip:1.2.3.4", 60);
+    assert.deepEqual(first, { count: 1, resetAt: Date.now() + 60_000 });
+
+    tick(59);
+    assert.deepEqual(await store.increment("upload:ip:1.2.3.4", 60), { count: 2, resetAt: first.resetAt });
+    assert.equal((await store.increment("upload:ip:5.6.7.8", 60)).count, 1, "other keys have their own counter");
+
+    tick(1);
+    assert.deepEqual(await store.increment("upload:ip:1.2.3.4", 60), { count: 1, resetAt: Date.now() + 60_000 });
+  });
+}
+
+test("KvRateLimitStore keeps keys for the rest of the window, and at least 60 seconds", async (t) => {
+  const tick = fakeClock(t);
+  const kv = fakeKv();
+  const store = new KvRateLimitStore(kv);
+  await store.increment("status:global", 600);
+  assert.equal(kv.values.get("rate:status:global").expirationTtl, 600);
+  tick(590);
+  await store.increment("status:global", 600);
+  assert.equal(kv.values.get("rate:status:global").expirationTtl, 60);
+});
+
+// /status with no backend answers 500 once the rate limit has let it through
+const statusRequest = (ip) => new Request("https://worker.test/status?id=upload-abc", { headers: { "CF-Connecting-IP": ip } });
+
+test("requests over the limit get 429 with Retry-After until the window resets", async (t) => {
+  const tick = fakeClock(t);
+  const handler = createUploadHandler({
+    rateLimitStore: new MemoryRateLimitStore(),
+    rateLimits: { status: [{ scope: "ip", limit: 2, windowSeconds: 60 }] },
+  });
+
+  assert.equal((await handler(statusRequest("1.2.3.4"))).status, 500);
+  assert.equal((await handler(statusRequest("1.2.3.4"))).status, 500);
+
+  tick(15);
+  const limited = await handler(statusRequest("1.2.3.4"));
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get("Retry-After"), "45");
+  assert.deepEqual(await limited.json(), {
+    message: "Too many requests from your connection.", code: "rate-limited", scope: "ip", retryAfter: 45,
+  });
+  assert.equal((await handler(statusRequest("5.6.7.8"))).status, 500, "other IPs aren't affected");
+
+  tick(45);
+  assert.equal((await handler(statusRequest("1.2.3.4"))).status, 500);
+});
+
+test("an IP over its own limit doesn't use up the global one", async (t) => {
+  fakeClock(t);
+  const handler = createUploadHandler({
+    rateLimitStore: new MemoryRateLimitStore(),
+    rateLimits: {
+      status: [
+        { scope: "ip", limit: 1, windowSeconds: 60 },
+        { scope: "global", limit: 2, windowSeconds: 60 },
+      ],
+    },
+  });
+
+  assert.equal((await handler(statusRequest("1.2.3.4"))).status, 500);
+  for (let i = 0; i < 5; i++) assert.equal((await handler(statusRequest("1.2.3.4"))).status, 429);
+  assert.equal((await handler(statusRequest("5.6.7.8"))).status, 500);
+
+  const global = await handler(statusRequest("9.9.9.9"));
+  assert.equal(global.status, 429);
+  assert.equal((await global.json()).scope, "global");
+});
+
+// With no backend, a request that gets past the token check answers 500
+const adminRequest = (authorization) => new Request("https://worker.test/admin/pending", {
+  headers: authorization === undefined ? {} : { Authorization: authorization },
+});
+
+test("admin endpoints only take the exact token", async () => {
+  const handler = createUploadHandler({ adminToken: "s3cret-token" });
+
+  assert.equal((await handler(adminRequest("Bearer s3cret-token"))).status, 500);
+  assert.equal((await handler(adminRequest("bearer s3cret-token"))).status, 500);
+
+  for (const wrong of [undefined, "", "Bearer ", "Bearer s3cret-tokeN", "Bearer s3cret-toke", "Bearer s3cret-token-2", "s3cret"]) {
+    const response = await handler(adminRequest(wrong));
+    assert.equal(response.status, 401, `${JSON.stringify(wrong)} should be refused`);
+    assert.equal(response.headers.get("WWW-Authenticate"), "Bearer");
+    assert.equal((await response.json()).code, "unauthorized");
+  }
+});
+
+test("admin endpoints are off without a token, and rate limited before the token is checked", async (t) => {
+  fakeClock(t);
+  assert.equal((await createUploadHandler()(adminRequest("Bearer anything"))).status, 404);
+
+  const handler = createUploadHandler({
+    adminToken: "s3cret-token",
+    rateLimitStore: new MemoryRateLimitStore(),
+    rateLimits: { admin: [{ scope: "ip", limit: 2, windowSeconds: 600 }] },
+  });
+  assert.equal((await handler(adminRequest("Bearer guess-1"))).status, 401);
+  assert.equal((await handler(adminRequest("Bearer guess-2"))).status, 401);
+  assert.equal((await handler(adminRequest("Bearer s3cret-token"))).status, 429);
+});
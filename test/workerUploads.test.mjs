@@ -0,0 +1,191 @@
+// Upload paths and the admin review of the upload worker (scratch/worker.js),
+// driven through LocalGitBackend on a scratch git repository.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { LocalGitBackend } from "../scratch/localBackends.js";
+import { buildTargetPath, checkTargetPath, createUploadHandler, parseTargetPath, readSharedFields } from "../scratch/worker.js";
+import { CATEGORIES, COURSE_TYPES, EXAM_TYPES, TAXONOMY, UNIT_DESIGNATIONS, UNIT_SUBJECTS } from "../scripts/taxonomy.js";
+
+const PDF = "%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n";
+const EXISTING = "pdfs/Sem_4/Physics/Major/Papers/External/Physics_401_External_2025.pdf";
+const PHYSICS_401 = { semester: "4", subject: "Physics", courseType: "Major", courseCode: "401" };
+const FILE_FIELDS = ["category", "examType", "year", "unitName", "unitType"];
+
+/** A git repository on main holding one published paper (EXISTING); removed after the test. */
+function scratchRepo(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "worker-uploads-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const git = (...args) => execFileSync("git", ["-c", "user.name=Test", "-c", "user.email=test@localhost", ...args], { cwd: dir, encoding: "utf8" });
+  git("init", "-q", "-b", "main");
+  fs.mkdirSync(path.join(dir, path.dirname(EXISTING)), { recursive: true });
+  fs.writeFileSync(path.join(dir, EXISTING), PDF);
+  git("add", "-A");
+  git("commit", "-q", "-m", "Base");
+
+  const handler = createUploadHandler({ backend: new LocalGitBackend({ repoDir: dir }), adminToken: "s3cret-token" });
+  const branches = () => git("for-each-ref", "--format=%(refname:short)", "refs/heads/upload-*").split("\n").filter(Boolean);
+  return { dir, git, handler, branches };
+}
+
+const pdf = (name, bytes = PDF) => new File([bytes], name, { type: "application/pdf" });
+
+/** The upload form's request: shared fields once, then "file" and each per-file field once per PDF. */
+function uploadRequest(shared, files) {
+  const form = new FormData();
+  Object.entries(shared).forEach(([name, value]) => form.append(name, value));
+  files.forEach((f) => {
+    form.append("file", f.file);
+    FILE_FIELDS.forEach((name) => form.append(name, f[name] || ""));
+  });
+  return new Request("https://worker.test/upload", { method: "POST", body: form });
+}
+
+const adminPost = (route, body) => new Request(`https://worker.test/admin/${route}`, {
+  method: "POST",
+  headers: { Authorization: "Bearer s3cret-token", "Content-Type": "application/json" },
+  body: JSON.stringify(body),
+});
+
+/** The shared fields for one subject, as readSharedFields() gives them. */
+function sharedFor(subject, courseType) {
+  const form = new FormData();
+  Object.entries({ semester: "3", subject, courseType, coreSubject: "Physics", courseCode: "301A" }).forEach(([k, v]) => form.append(k, v));
+  return readSharedFields(form);
+}
+
+/** Every file the upload form can describe, for each subject and course type. */
+function allUploads() {
+  const uploads = [];
+  TAXONOMY.subjects.forEach((s) => {
+    const courseTypes = s.general || s.needsCoreSubject ? [""] : COURSE_TYPES;
+    courseTypes.forEach((courseType) => {
+      const shared = sharedFor(s.id || s.name, courseType);
+      const add = (name, fields) => uploads.push({ shared, name, fields: { examType: "", year: "", unitName: "", unitType: "", ...fields } });
+      add("syllabus.pdf", { category: "Syllabus" });
+      EXAM_TYPES.forEach((examType) => ["2026", ""].forEach((year) => add("paper.pdf", { category: "Papers", examType, year })));
+      ["", ...UNIT_DESIGNATIONS, ...UNIT_SUBJECTS].forEach((unitType) => ["", "2"].forEach((unitName) => {
+        add("Unit 2 Optics notes.pdf", { category: "Notes", unitType, unitName });
+      }));
+    });
+  });
+  return uploads;
+}
+
+test("every path an upload builds is one a rename accepts, and parses back to its fields", () => {
+  const uploads = allUploads();
+  assert.ok(uploads.length > 100);
+  uploads.forEach(({ shared, name, fields }) => {
+    const built = buildTargetPath(shared, { name }, fields).path;
+    const checked = checkTargetPath(built);
+    assert.deepEqual(checked, parseTargetPath(built), built);
+    assert.deepEqual(checked.fields, fields, built);
+    assert.equal(checked.shared.semesterKey, shared.semesterKey, built);
+    assert.equal(checked.shared.subject, shared.subject, built);
+    assert.equal(checked.shared.courseFolder, shared.courseFolder, built);
+    assert.equal(checked.shared.coreSubject, shared.coreSubject, built);
+    if (fields.category !== "Notes") assert.equal(checked.shared.courseCode, shared.courseCode, built);
+  });
+});
+
+test("renames outside the layout or the naming rules are refused", () => {
+  [
+    "x.pdf",
+    "pdfs/../x.pdf",
+    "pdfs/Sem_4/../../x.pdf",
+    "pdfs/Sem_4/Physics/Major/Notes/../x.pdf",
+    "pdfs/Sem_4/Physics/Major/Notes/Unit_1/../../../../../x.pdf",
+    "pdfs/Sem_4/Physics/Major/Papers/External/../../../../x.pdf",
+    "pdfs/Sem_9/Physics/Major/Papers/External/Physics_401_External_2026.pdf",
+    "pdfs/Sem_4/Astrology/Major/Papers/External/Astrology_401_External_2026.pdf",
+    "pdfs/Sem_4/Physics/Core/Papers/External/Physics_401_External_2026.pdf",
+    "pdfs/Sem_4/Physics/Major/Exams/External/Physics_401_External_2026.pdf",
+    "pdfs/Sem_4/Physics/Major/Papers/External/physics_401_external_2026.pdf",
+    "pdfs/Sem_4/Physics/Major/Papers/External/Physics_External_2026.pdf",
+    "pdfs/Sem_4/Physics/Major/Papers/Internal/Physics_401_External_2026.pdf",
+    "pdfs/Sem_4/Physics/Major/Syllabus/Unit_1/Physics_401_Syllabus.pdf",
+    "pdfs/Sem_4/Physics/Major/Notes/Unit_1/.hidden.pdf",
+    "pdfs/Sem_4/Physics/Major/Notes/Chapter_1/Optics.pdf",
+  ].forEach((p) => assert.throws(() => checkTargetPath(p), { status: 400 }, p));
+});
+
+test("uploads with unknown fields or unsafe notes names get 400 and make no branch", async (t) => {
+  const { handler, branches } = scratchRepo(t);
+  const paper = { file: pdf("paper.pdf"), category: "Papers", examType: "External", year: "2026" };
+  const refused = [
+    [{ ...PHYSICS_401, subject: "Astrology" }, [paper]],
+    [{ ...PHYSICS_401, courseType: "../Major" }, [paper]],
+    [{ ...PHYSICS_401, courseCode: "401/../402" }, [paper]],
+    [PHYSICS_401, [{ ...paper, category: "Exams" }]],
+    [PHYSICS_401, [{ ...paper, examType: "../../Internal" }]],
+    [PHYSICS_401, [{ file: pdf("../../x.pdf"), category: "Notes", unitName: "1" }]],
+    [PHYSICS_401, [{ file: pdf("..\\..\\x.pdf"), category: "Notes", unitName: "1" }]],
+    [PHYSICS_401, [{ file: pdf(".pdf"), category: "Notes", unitName: "1" }]],
+    [PHYSICS_401, [{ file: pdf("Optics.pdf"), category: "Notes", unitName: "../1" }]],
+  ];
+  for (const [shared, files] of refused) {
+    const response = await handler(uploadRequest(shared, files));
+    assert.equal(response.status, 400, JSON.stringify([shared, files.map((f) => ({ ...f, file: f.file.name }))]));
+  }
+  assert.deepEqual(branches(), []);
+});
+
+test("an upload can't replace a file that is already on the site", async (t) => {
+  const { handler, branches } = scratchRepo(t);
+  const response = await handler(uploadRequest(PHYSICS_401, [
+    { file: pdf("paper.pdf"), category: "Papers", examType: "External", year: "2025" },
+  ]));
+  assert.equal(response.status, 409);
+  assert.match((await response.json()).message, /Physics_401_External_2025\.pdf already exists/);
+  assert.deepEqual(branches(), []);
+});
+
+test("files over 50 MB get 413", async (t) => {
+  const { handler, branches } = scratchRepo(t);
+  const big = new Uint8Array(50 * 1024 * 1024 + 1);
+  big.set(new TextEncoder().encode(PDF));
+  const response = await handler(uploadRequest(PHYSICS_401, [
+    { file: pdf("paper.pdf", big), category: "Papers", examType: "External", year: "2026" },
+  ]));
+  assert.equal(response.status, 413);
+  assert.deepEqual(branches(), []);
+});
+
+test("a batch upload is one branch that goes through review onto main", async (t) => {
+  const { git, handler, branches } = scratchRepo(t);
+  const paper = "pdfs/Sem_4/Physics/Major/Papers/External/Physics_401_External_2026.pdf";
+  const notes = "pdfs/Sem_4/Physics/Major/Notes/Unit_1/Optics notes.pdf";
+
+  const uploaded = await handler(uploadRequest(PHYSICS_401, [
+    { file: pdf("paper.pdf"), category: "Papers", examType: "External", year: "2026" },
+    { file: pdf("Optics notes.pdf"), category: "Notes", unitName: "1" },
+  ]));
+  assert.equal(uploaded.status, 200);
+  const { id, files } = await uploaded.json();
+  assert.deepEqual(files, [paper, notes]);
+  assert.deepEqual(branches(), [id]);
+
+  const status = async () => (await handler(new Request(`https://worker.test/status?id=${id}`))).json();
+  assert.deepEqual(await status(), { id, state: "pending", url: null, files: [notes, paper] });
+
+  // The paper was sent as External but is an Internal 2024 paper
+  const renamed = "pdfs/Sem_4/Physics/Major/Papers/Internal/Physics_401_Internal_2024.pdf";
+  const rename = (to) => handler(adminPost("update", { id, changes: [{ path: paper, rename: to }] }));
+  assert.equal((await rename("pdfs/Sem_4/Physics/Major/Papers/Internal/../../../../../../x.pdf")).status, 400);
+  assert.equal((await rename("pdfs/Sem_4/Physics/Major/Papers/Internal/Physics_401_Internal_2024_v2.pdf")).status, 400);
+  assert.equal((await rename(EXISTING)).status, 409);
+  assert.equal((await rename(renamed)).status, 200);
+  assert.deepEqual(branches(), [id]);
+  assert.deepEqual((await status()).files, [notes, renamed]);
+
+  const approved = await handler(adminPost("approve", { id }));
+  assert.equal(approved.status, 200);
+  assert.equal((await approved.json()).state, "merged");
+  assert.equal((await status()).state, "merged");
+  assert.deepEqual(git("ls-tree", "-r", "--name-only", "main", "pdfs").split("\n").filter(Boolean).sort(), [EXISTING, notes, renamed].sort());
+});